@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { addDays, parseIsoDate, toIsoDate } from "../lib/dates";
+import { applyBackup, createBackup, createDailyEarningsCsv, parseBackup } from "../lib/export";
+
+// Helper function: saves text as a file through a temporary link
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers cancel the download if the URL goes before it has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Backup and restore of every setting as JSON, and a CSV of daily earnings for
+// spreadsheets. The CSV covers the profile on screen.
+export default function BackupSettings({ store, onStoreChange, config, takeHomeRatio }) {
+  const today = toIsoDate(new Date());
+  const [importMode, setImportMode] = useState('merge');
+  const [message, setMessage] = useState('');
+  const [range, setRange] = useState({ from: `${today.slice(0, 8)}01`, to: today });
+
+  const handleExport = () => {
+    const backup = createBackup(store);
+    downloadFile(`salary-counter-${today}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = parseBackup(await file.text());
+    } catch (error) {
+      setMessage(error.message);
+      return;
+    }
+    onStoreChange((prev) => applyBackup(prev, imported, importMode));
+    const count = imported.profiles.length;
+    setMessage(`${importMode === 'merge' ? 'Merged' : 'Restored'} ${count} profile${count === 1 ? '' : 's'} from ${file.name}.`);
+  };
+
+  const from = parseIsoDate(range.from);
+  const to = parseIsoDate(range.to);
+  const isRangeValid = !isNaN(from) && !isNaN(to) && from <= to && to < addDays(from, 366 * 5);
+
+  const handleCsvExport = () => {
+    const csv = createDailyEarningsCsv(config, from, to, takeHomeRatio);
+    downloadFile(`earnings-${range.from}-to-${range.to}.csv`, csv, 'text/csv');
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Backup</Label>
+      <div className="flex gap-2 items-center text-sm">
+        <button
+          onClick={handleExport}
+          className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Export settings
+        </button>
+        <select
+          value={importMode}
+          onChange={(e) => setImportMode(e.target.value)}
+          className="border rounded px-2 py-1"
+          aria-label="Import mode"
+        >
+          <option value="merge">Merge with mine</option>
+          <option value="replace">Replace mine</option>
+        </select>
+      </div>
+      <div className="flex items-center justify-between mt-2">
+        <Label htmlFor="backupFile" className="text-sm text-gray-600">
+          Import a backup (.json)
+        </Label>
+        <input
+          id="backupFile"
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="text-xs w-40"
+        />
+      </div>
+      {message && <p className="text-xs text-gray-600 mt-1">{message}</p>}
+
+      <Label className="text-sm text-gray-600 mt-3 mb-1 block">Daily earnings (.csv)</Label>
+      <div className="flex gap-2 items-center text-sm">
+        <Input
+          type="date"
+          value={range.from}
+          onChange={(e) => setRange({ ...range, from: e.target.value })}
+          aria-label="CSV from"
+        />
+        <span className="text-gray-600">to</span>
+        <Input
+          type="date"
+          value={range.to}
+          onChange={(e) => setRange({ ...range, to: e.target.value })}
+          aria-label="CSV to"
+        />
+      </div>
+      <button
+        onClick={handleCsvExport}
+        disabled={!isRangeValid}
+        className="mt-2 text-xs text-blue-600 underline disabled:opacity-30"
+      >
+        Download CSV
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Label } from "../components/ui/label";
+import { EARNINGS_CARDS, moveCard } from "../lib/periods";
+
+// Which earnings cards are shown, and in what order
+export default function CardSettings({ cards, onCardsChange }) {
+  const hidden = Object.keys(EARNINGS_CARDS).filter((id) => !cards.includes(id));
+
+  const handleToggle = (id) => {
+    onCardsChange(cards.includes(id) ? cards.filter((card) => card !== id) : [...cards, id]);
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Cards</Label>
+      <ul className="text-sm space-y-1">
+        {[...cards, ...hidden].map((id) => {
+          const shown = cards.includes(id);
+          const index = cards.indexOf(id);
+          return (
+            <li key={id} className="flex items-center gap-2">
+              <input
+                id={`card-${id}`}
+                type="checkbox"
+                checked={shown}
+                onChange={() => handleToggle(id)}
+              />
+              <Label htmlFor={`card-${id}`} className={`flex-1 ${shown ? '' : 'text-gray-400'}`}>
+                {EARNINGS_CARDS[id]}
+              </Label>
+              {shown && (
+                <>
+                  <button
+                    onClick={() => onCardsChange(moveCard(cards, id, -1))}
+                    disabled={index === 0}
+                    className="px-1 text-gray-500 disabled:opacity-30"
+                    aria-label={`Move ${EARNINGS_CARDS[id]} up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => onCardsChange(moveCard(cards, id, 1))}
+                    disabled={index === cards.length - 1}
+                    className="px-1 text-gray-500 disabled:opacity-30"
+                    aria-label={`Move ${EARNINGS_CARDS[id]} down`}
+                  >
+                    ↓
+                  </button>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
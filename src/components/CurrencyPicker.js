@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { getCurrencyName, searchCurrencies } from "../lib/currency";
+
+// Picks a currency from every ISO 4217 one. Typing a code or name narrows the
+// list; the chosen currency always stays in it.
+export default function CurrencyPicker({ value, onChange, label = 'Currency' }) {
+  const [query, setQuery] = useState('');
+  const matches = searchCurrencies(query);
+  const codes = matches.includes(value) ? matches : [value, ...matches];
+
+  return (
+    <div className="flex gap-2 items-center">
+      <Input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search currencies"
+        className="w-36"
+        aria-label={`Search ${label.toLowerCase()}`}
+      />
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="border rounded px-2 py-1 text-sm flex-1 min-w-0"
+        aria-label={label}
+      >
+        {codes.map((code) => (
+          <option key={code} value={code}>{code} · {getCurrencyName(code)}</option>
+        ))}
+      </select>
+      {matches.length === 0 && <span className="text-xs text-gray-500">No matches</span>}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import { motion } from "framer-motion";
+
+// One live earnings figure on a coloured card. The pulse shows while money is
+// being earned, and beats faster during overtime.
+export default function EarningsCard({
+  title,
+  icon: Icon,
+  className,
+  subtextClassName,
+  amount,
+  secondaryAmount,
+  description,
+  active,
+  pulseDuration = 2,
+  pulseDelay = 0,
+  badge,
+  children,
+}) {
+  return (
+    <div className={`bg-gradient-to-br ${className} rounded-xl p-6 shadow-lg text-white relative overflow-hidden`}>
+      {/* Pulse indicator for active earning */}
+      {active && (
+        <motion.div
+          className="absolute top-4 right-4 w-3 h-3 bg-white rounded-full"
+          animate={{
+            opacity: [0.4, 1, 0.4],
+            scale: [1, 1.2, 1],
+          }}
+          transition={{
+            duration: pulseDuration,
+            repeat: Infinity,
+            ease: "easeInOut",
+            delay: pulseDelay,
+          }}
+        />
+      )}
+
+      <div className="flex items-center gap-3 mb-3">
+        <Icon className="w-6 h-6" />
+        <h2 className="text-xl font-bold">
+          {title}
+        </h2>
+        {badge}
+      </div>
+
+      <p className="text-4xl font-semibold">
+        {amount}
+      </p>
+
+      {/* The amount in a second currency, when one is shown */}
+      {secondaryAmount && (
+        <p className="text-lg font-mono opacity-80 mt-1">
+          {secondaryAmount}
+        </p>
+      )}
+
+      {description && (
+        <p className={`text-sm ${subtextClassName} mt-2`}>
+          {description}
+        </p>
+      )}
+
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from 'react';
+import { toIsoDate } from "../lib/dates";
+import { DAY_KINDS, HISTORY_GROUPS, HISTORY_RANGES, getCalendarWeeks, getHistory, groupHistory } from "../lib/history";
+
+// Calendar colours for each kind of day. Worked days get darker the more they
+// paid, as a share of the best day in the range.
+const KIND_STYLES = {
+  leave: 'bg-sky-400',
+  holiday: 'bg-amber-400',
+  weekend: 'bg-gray-200',
+  off: 'bg-white border border-gray-300',
+};
+const WORKED_STYLES = ['bg-green-300', 'bg-green-500', 'bg-green-700'];
+
+// Helper function: the colour of a day in the calendar
+function getCellStyle(entry, bestDay) {
+  if (entry.kind !== 'worked') {
+    return KIND_STYLES[entry.kind];
+  }
+  const share = bestDay > 0 ? entry.gross / bestDay : 0;
+  return WORKED_STYLES[Math.min(WORKED_STYLES.length - 1, Math.floor(share * WORKED_STYLES.length))];
+}
+
+// Helper function: the name of a day, week or month in the chart
+function formatGroupLabel(start, group) {
+  if (group === 'month') {
+    return start.toLocaleDateString([], { month: 'short', year: 'numeric' });
+  }
+  const day = start.toLocaleDateString([], { day: 'numeric', month: 'short' });
+  return group === 'week' ? `Week of ${day}` : day;
+}
+
+// Past earnings from the schedule or clocked sessions: a chart per day, week
+// or month and a calendar of what kind of day each was. Take-home uses the
+// same share of gross as the counter.
+export default function EarningsHistory({ config, takeHomeRatio, showTakeHome, formatAmount }) {
+  const [range, setRange] = useState('month');
+  const [group, setGroup] = useState('day');
+  const [takeHome, setTakeHome] = useState(showTakeHome);
+
+  // Added up again only when a setting that changes earnings does
+  const {
+    annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion,
+    customHolidays, leave, overtime, tracking, sessions, timeZone,
+  } = config;
+  const days = useMemo(() => getHistory({
+    annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion,
+    customHolidays, leave, overtime, tracking, sessions, timeZone,
+  }, range, Date.now()), [
+    annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion,
+    customHolidays, leave, overtime, tracking, sessions, timeZone, range,
+  ]);
+  const ratio = takeHome ? takeHomeRatio : 1;
+  const groups = groupHistory(days, group);
+  const highest = Math.max(0, ...groups.map((entry) => entry.gross));
+  const bestDay = Math.max(0, ...days.map((entry) => entry.gross));
+  const total = days.reduce((sum, entry) => sum + entry.gross, 0);
+  const weeks = getCalendarWeeks(days);
+
+  const counts = {};
+  days.forEach((entry) => {
+    counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+  });
+
+  const toggleClass = (active) => `px-2 py-1 rounded ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          className="border rounded px-2 py-1"
+          aria-label="History range"
+        >
+          {Object.entries(HISTORY_RANGES).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <div className="flex gap-1">
+          {Object.entries(HISTORY_GROUPS).map(([id, label]) => (
+            <button key={id} onClick={() => setGroup(id)} className={toggleClass(group === id)} aria-pressed={group === id}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-1 ml-auto">
+          <button onClick={() => setTakeHome(false)} className={toggleClass(!takeHome)} aria-pressed={!takeHome}>
+            Gross
+          </button>
+          <button onClick={() => setTakeHome(true)} className={toggleClass(takeHome)} aria-pressed={takeHome}>
+            Take-home
+          </button>
+        </div>
+      </div>
+
+      <p className="text-gray-600">
+        {takeHome ? 'Take-home' : 'Gross'} over the range: <span className="font-semibold">{formatAmount(total * ratio)}</span>
+      </p>
+
+      <div>
+        <div
+          className="flex items-end gap-px h-40 border-b border-gray-300"
+          role="img"
+          aria-label={`Earnings per ${group}`}
+        >
+          {groups.map((entry) => (
+            <div
+              key={entry.start.getTime()}
+              className="flex-1 bg-blue-500 hover:bg-blue-700 rounded-t"
+              style={{ height: `${highest > 0 ? (entry.gross / highest) * 100 : 0}%` }}
+              title={`${formatGroupLabel(entry.start, group)}: ${formatAmount(entry.gross * ratio)}, ${entry.hours.toFixed(1)}h`}
+            />
+          ))}
+        </div>
+        {groups.length > 0 && (
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{formatGroupLabel(groups[0].start, group)}</span>
+            <span>{formatGroupLabel(groups[groups.length - 1].start, group)}</span>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="flex gap-1 overflow-x-auto pb-1" aria-label="Calendar">
+          {weeks.map((week) => (
+            <div key={toIsoDate(week.find(Boolean).day)} className="flex flex-col gap-1">
+              {week.map((entry, index) => (entry ? (
+                <div
+                  key={index}
+                  className={`w-3 h-3 rounded-sm ${getCellStyle(entry, bestDay)}`}
+                  title={`${entry.day.toLocaleDateString()}: ${DAY_KINDS[entry.kind]}, ${formatAmount(entry.gross * ratio)}`}
+                />
+              ) : (
+                <div key={index} className="w-3 h-3" />
+              )))}
+            </div>
+          ))}
+        </div>
+        <ul className="flex flex-wrap gap-3 text-xs text-gray-600 mt-2">
+          {Object.entries(DAY_KINDS).map(([kind, label]) => (
+            <li key={kind} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded-sm ${kind === 'worked' ? WORKED_STYLES[1] : KIND_STYLES[kind]}`} />
+              {label} {counts[kind] || 0}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { parseIsoDate, toIsoDate } from "../lib/dates";
+import { findRate, mergeRates, parseRatesFile, removeRate, setRate } from "../lib/exchange";
+import CurrencyPicker from "./CurrencyPicker";
+
+// Helper function: '5 Jan 2024' for a rate's 'YYYY-MM-DD' date
+export function formatRateDate(isoDate) {
+  return parseIsoDate(isoDate).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// A second currency to show earnings in, and the table of exchange rates it
+// uses. Rates are typed in or imported from a file, so nothing is fetched.
+export default function ExchangeRateSettings({ currency, displayCurrency, rates, onDisplayCurrencyChange, onRatesChange }) {
+  const [message, setMessage] = useState('');
+  // The rate as typed, until the input loses focus
+  const [draft, setDraft] = useState(null);
+  const found = displayCurrency && findRate(rates, currency, displayCurrency);
+  const isSame = displayCurrency === currency;
+
+  const handleToggle = (e) => {
+    onDisplayCurrencyChange(e.target.checked ? (currency === 'EUR' ? 'USD' : 'EUR') : null);
+  };
+
+  // A typed rate is dated today
+  const handleRateChange = (e) => {
+    setDraft(e.target.value);
+    const rate = parseFloat(e.target.value);
+    if (!(rate > 0)) return;
+    onRatesChange(setRate(rates, { from: currency, to: displayCurrency, rate, date: toIsoDate(new Date()) }));
+  };
+
+  const handleDateChange = (e) => {
+    if (!found || !e.target.value) return;
+    onRatesChange(setRate(rates, { from: currency, to: displayCurrency, rate: found.rate, date: e.target.value }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { rates: imported, problems } = parseRatesFile(await file.text(), toIsoDate(new Date()));
+    if (imported.length > 0) {
+      onRatesChange((prev) => mergeRates(prev, imported));
+    }
+    const count = imported.length;
+    setMessage([`Imported ${count} rate${count === 1 ? '' : 's'} from ${file.name}.`, ...problems].join(' '));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <Label htmlFor="showSecondCurrency" className="text-sm font-medium">
+          Also show earnings in another currency
+        </Label>
+        <input
+          id="showSecondCurrency"
+          type="checkbox"
+          checked={displayCurrency !== null}
+          onChange={handleToggle}
+        />
+      </div>
+
+      {displayCurrency !== null && (
+        <div className="mt-2 space-y-2">
+          <CurrencyPicker value={displayCurrency} onChange={onDisplayCurrencyChange} label="Second currency" />
+          {isSame ? (
+            <p className="text-xs text-amber-600">Pick a currency other than {currency}.</p>
+          ) : (
+            <div className="flex gap-2 items-center text-sm">
+              <span className="text-gray-600 whitespace-nowrap">1 {currency} =</span>
+              <Input
+                type="number"
+                step="any"
+                min="0"
+                value={draft !== null ? draft : (found ? Number(found.rate.toPrecision(6)) : '')}
+                onChange={handleRateChange}
+                onBlur={() => setDraft(null)}
+                className="w-28"
+                aria-label={`${currency} to ${displayCurrency} rate`}
+              />
+              <span className="text-gray-600">{displayCurrency} on</span>
+              <Input
+                type="date"
+                value={found ? found.date : ''}
+                onChange={handleDateChange}
+                disabled={!found}
+                aria-label="Rate date"
+              />
+            </div>
+          )}
+          {!isSame && !found && (
+            <p className="text-xs text-gray-500">Enter a rate, or import one, to see {displayCurrency} amounts.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-3">
+        <Label htmlFor="ratesFile" className="text-sm text-gray-600">
+          Import rates (.json, .csv)
+        </Label>
+        <input
+          id="ratesFile"
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleImport}
+          className="text-xs w-40"
+        />
+      </div>
+      {message && <p className="text-xs text-gray-600 mt-1">{message}</p>}
+
+      {rates.length > 0 && (
+        <ul className="text-xs text-gray-600 mt-2 space-y-1">
+          {rates.map((entry) => (
+            <li key={`${entry.from}-${entry.to}`} className="flex justify-between items-center">
+              <span>1 {entry.from} = {entry.rate} {entry.to} · {formatRateDate(entry.date)}</span>
+              <button
+                onClick={() => onRatesChange(removeRate(rates, entry.from, entry.to))}
+                className="text-gray-400 hover:text-red-600 px-1"
+                aria-label={`Remove ${entry.from} to ${entry.to} rate`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
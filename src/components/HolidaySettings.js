@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Label } from "../components/ui/label";
+import { toIsoDate } from "../lib/dates";
+import { getHolidaysForYear, HOLIDAY_REGIONS, parseIcsHolidays } from "../lib/holidays";
+
+// Public holiday settings: the region calendar plus custom holidays imported
+// from an .ics file.
+export default function HolidaySettings({ region, customHolidays, onRegionChange, onCustomHolidaysChange }) {
+  const [importMessage, setImportMessage] = useState('');
+
+  const today = new Date();
+  const upcoming = getHolidaysForYear(region, today.getFullYear())
+    .concat(getHolidaysForYear(region, today.getFullYear() + 1))
+    .filter((h) => h.date >= toIsoDate(today))
+    .slice(0, 3);
+
+  const handleIcsImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const imported = parseIcsHolidays(await file.text());
+    if (imported.length === 0) {
+      setImportMessage(`No all-day events found in ${file.name}.`);
+      return;
+    }
+
+    // Imported days replace any custom holiday already on the same date
+    const byDate = new Map(customHolidays.map((h) => [h.date, h]));
+    imported.forEach((h) => byDate.set(h.date, h));
+    onCustomHolidaysChange([...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)));
+    setImportMessage(`Imported ${imported.length} day${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+  };
+
+  const handleClearCustom = () => {
+    onCustomHolidaysChange([]);
+    setImportMessage('');
+  };
+
+  return (
+    <div>
+      <Label htmlFor="holidayRegion" className="text-base font-semibold mb-2 block">
+        Public Holidays
+      </Label>
+      <select
+        id="holidayRegion"
+        value={region}
+        onChange={(e) => onRegionChange(e.target.value)}
+        className="border rounded px-2 py-1 text-sm w-full"
+      >
+        {Object.entries(HOLIDAY_REGIONS).map(([value, calendar]) => (
+          <option key={value} value={value}>{calendar.label}</option>
+        ))}
+      </select>
+      {upcoming.length > 0 && (
+        <p className="text-xs text-gray-500 mt-1">
+          Next: {upcoming.map((h) => `${h.name} (${h.date})`).join(', ')}
+        </p>
+      )}
+
+      <div className="flex items-center justify-between mt-2">
+        <Label htmlFor="holidayIcs" className="text-sm text-gray-600">
+          Import custom holidays (.ics)
+        </Label>
+        <input
+          id="holidayIcs"
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={handleIcsImport}
+          className="text-xs w-40"
+        />
+      </div>
+      {customHolidays.length > 0 && (
+        <p className="text-xs text-gray-500 mt-1">
+          {customHolidays.length} custom holiday{customHolidays.length === 1 ? '' : 's'}.{' '}
+          <button onClick={handleClearCustom} className="underline text-blue-600">
+            Clear
+          </button>
+        </p>
+      )}
+      {importMessage && (
+        <p className="text-xs text-gray-500 mt-1">{importMessage}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { toIsoDate } from "../lib/dates";
+import { getDayOf } from "../lib/earnings";
+import { bookLeave, cancelLeave, getLeaveYear, isLeaveTaken, LEAVE_PARTS } from "../lib/leave";
+
+const monthNames = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Annual leave settings: the yearly allowance and the days booked off.
+export default function LeavePlanner({
+  config,
+  allowance,
+  yearStartMonth,
+  onAllowanceChange,
+  onYearStartMonthChange,
+  onLeaveChange,
+}) {
+  // Today in the schedule's time zone, as the leave summary counts it
+  const todayDay = getDayOf(config, Date.now());
+  const today = toIsoDate(todayDay);
+  const [from, setFrom] = useState(today);
+  const [to, setTo] = useState('');
+  const [part, setPart] = useState('full');
+  const [message, setMessage] = useState('');
+
+  const handleAllowanceChange = (e) => {
+    let val = parseFloat(e.target.value);
+    if (isNaN(val) || val < 0) {
+      val = 0;
+    }
+    onAllowanceChange(val);
+  };
+
+  const handleBook = () => {
+    if (!from) return;
+    const end = to && to >= from ? to : from;
+    const leave = bookLeave(config, from, end, part);
+    if (!leave.some((entry) => entry.date >= from && entry.date <= end)) {
+      setMessage('No working days in that range.');
+      return;
+    }
+    onLeaveChange(leave);
+    setMessage('');
+    setTo('');
+  };
+
+  // Show this leave year's bookings onwards
+  const { start } = getLeaveYear(todayDay, yearStartMonth);
+  const visible = (config.leave || []).filter((entry) => entry.date >= toIsoDate(start));
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Annual Leave</Label>
+      <div className="flex gap-4">
+        <div className="flex-1">
+          <Label htmlFor="leaveAllowance" className="text-sm text-gray-600 mb-1 block">
+            Allowance (days)
+          </Label>
+          <Input
+            id="leaveAllowance"
+            type="number"
+            min="0"
+            step="0.5"
+            value={allowance}
+            onChange={handleAllowanceChange}
+            className="w-full"
+          />
+        </div>
+        <div className="flex-1">
+          <Label htmlFor="leaveYearStart" className="text-sm text-gray-600 mb-1 block">
+            Leave year starts
+          </Label>
+          <select
+            id="leaveYearStart"
+            value={yearStartMonth}
+            onChange={(e) => onYearStartMonthChange(Number(e.target.value))}
+            className="border rounded px-2 py-2 text-sm w-full"
+          >
+            {monthNames.map((name, idx) => (
+              <option key={name} value={idx}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mt-3 items-end">
+        <div>
+          <Label htmlFor="leaveFrom" className="text-sm text-gray-600 mb-1 block">From</Label>
+          <Input id="leaveFrom" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor="leaveTo" className="text-sm text-gray-600 mb-1 block">To (optional)</Label>
+          <Input id="leaveTo" type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </div>
+        <div>
+          <Label htmlFor="leavePart" className="text-sm text-gray-600 mb-1 block">Length</Label>
+          <select
+            id="leavePart"
+            value={part}
+            onChange={(e) => setPart(e.target.value)}
+            className="border rounded px-2 py-2 text-sm w-full"
+          >
+            {Object.entries(LEAVE_PARTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button
+        onClick={handleBook}
+        className="mt-2 px-3 py-1 rounded bg-blue-600 text-white text-sm hover:bg-blue-700"
+      >
+        Book leave
+      </button>
+      {message && <p className="text-xs text-gray-500 mt-1">{message}</p>}
+
+      {visible.length > 0 && (
+        <ul className="mt-2 text-sm divide-y">
+          {visible.map((entry) => (
+            <li key={entry.date} className="flex justify-between items-center py-1">
+              <span>
+                {entry.date}
+                {entry.part !== 'full' && <span className="text-gray-500"> · {LEAVE_PARTS[entry.part]}</span>}
+                {isLeaveTaken(entry, todayDay) && <span className="text-gray-400"> · taken</span>}
+              </span>
+              <button
+                onClick={() => onLeaveChange(cancelLeave(config.leave, entry.date))}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Cancel leave on ${entry.date}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { MILESTONE_SUGGESTIONS, addMilestone, removeMilestone, updateMilestone } from "../lib/milestones";
+import { EARNINGS_CARDS } from "../lib/periods";
+
+// Adds, edits and removes milestones. New ones start from a suggestion the
+// list doesn't have yet.
+export default function MilestoneSettings({ milestones, onMilestonesChange, currency }) {
+  const handleAdd = () => {
+    const suggestion = MILESTONE_SUGGESTIONS.find((other) => !milestones.some((m) => m.name === other.name))
+      || { name: `Milestone ${milestones.length + 1}`, amount: 10, period: 'today' };
+    onMilestonesChange(addMilestone(milestones, suggestion).milestones);
+  };
+
+  const handleAmountChange = (id, value) => {
+    let amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0) {
+      amount = 0;
+    }
+    onMilestonesChange(updateMilestone(milestones, id, { amount }));
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Milestones</Label>
+      <ul className="text-sm space-y-2">
+        {milestones.map((milestone) => (
+          <li key={milestone.id} className="flex gap-2 items-center">
+            <Input
+              value={milestone.name}
+              onChange={(e) => onMilestonesChange(updateMilestone(milestones, milestone.id, { name: e.target.value }))}
+              className="flex-1"
+              aria-label="Milestone name"
+            />
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              value={milestone.amount}
+              onChange={(e) => handleAmountChange(milestone.id, e.target.value)}
+              className="w-24"
+              aria-label={`${milestone.name} amount in ${currency}`}
+            />
+            <select
+              value={milestone.period}
+              onChange={(e) => onMilestonesChange(updateMilestone(milestones, milestone.id, { period: e.target.value }))}
+              className="border rounded px-2 py-1"
+              aria-label={`${milestone.name} period`}
+            >
+              {Object.entries(EARNINGS_CARDS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onMilestonesChange(removeMilestone(milestones, milestone.id))}
+              className="text-gray-400 hover:text-red-600 px-1"
+              aria-label={`Remove ${milestone.name}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button onClick={handleAdd} className="mt-2 text-xs text-blue-600 underline">
+        + Add milestone
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AnimatePresence, motion } from "framer-motion";
+import { getCrossedMilestones, getMilestoneProgress } from "../lib/milestones";
+import { EARNINGS_CARDS } from "../lib/periods";
+
+const CELEBRATION_MS = 4000;
+
+// Progress towards each milestone in its period, with a celebration when one
+// is crossed. `earnings` holds the live amount for each period, gross or
+// take-home as named by `mode`; changing mode starts the comparison afresh so
+// switching to gross doesn't count as crossing anything.
+export default function Milestones({ milestones, earnings, mode, formatAmount }) {
+  const [celebrations, setCelebrations] = useState([]);
+  const previous = useRef({ mode, earnings: {} });
+  const timers = useRef([]);
+
+  useEffect(() => {
+    const before = previous.current.mode === mode ? previous.current.earnings : {};
+    previous.current = { mode, earnings };
+    const crossed = getCrossedMilestones(milestones, before, earnings);
+    if (crossed.length === 0) return;
+    setCelebrations((prev) => [
+      ...prev,
+      ...crossed
+        .filter((milestone) => !prev.some((celebration) => celebration.id === milestone.id))
+        .map((milestone) => ({ id: milestone.id, name: milestone.name })),
+    ]);
+    timers.current.push(setTimeout(() => {
+      setCelebrations((prev) => prev.filter((celebration) => !crossed.some((m) => m.id === celebration.id)));
+    }, CELEBRATION_MS));
+  }, [milestones, earnings, mode]);
+
+  // Pending celebrations are dropped with the component
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(clearTimeout);
+  }, []);
+
+  if (milestones.length === 0) return null;
+
+  return (
+    <div className="mt-4 space-y-3 relative">
+      <AnimatePresence>
+        {celebrations.map((celebration) => (
+          <motion.div
+            key={celebration.id}
+            initial={{ opacity: 0, scale: 0.5, y: 10 }}
+            animate={{ opacity: 1, scale: [0.5, 1.15, 1], y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.6 }}
+            className="bg-gradient-to-r from-amber-400 to-pink-500 text-white font-semibold text-center rounded-lg p-3 shadow-lg"
+            role="status"
+          >
+            🎉 {celebration.name} reached!
+          </motion.div>
+        ))}
+      </AnimatePresence>
+
+      {milestones.map((milestone) => {
+        const earned = earnings[milestone.period] || 0;
+        const { percent, reached, times } = getMilestoneProgress(milestone, earned);
+        return (
+          <div key={milestone.id} className="text-sm text-gray-600">
+            <div className="flex justify-between items-center mb-1">
+              <span>
+                {reached ? '✓ ' : ''}{milestone.name} · {formatAmount(milestone.amount)}
+                <span className="text-gray-400"> {EARNINGS_CARDS[milestone.period].toLowerCase()}</span>
+              </span>
+              <span className="font-medium">
+                {times > 1 ? `${times}× earned` : `${percent}%`}
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <motion.div
+                className={`${reached ? 'bg-amber-500' : 'bg-pink-400'} h-2 rounded-full`}
+                animate={{ width: `${percent}%` }}
+                transition={{ ease: 'easeOut', duration: 0.5 }}
+              />
+            </div>
+          </div>
+        );
+      })}
+      <p className="text-xs text-gray-500">Milestones count {mode} earnings.</p>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { DEFAULT_OVERTIME_RULES, OVERTIME_RULE_TYPES } from "../lib/overtime";
+import { DAY_LABELS } from "../lib/schedule";
+
+// Overtime settings for hourly and day-rate pay: a list of rules, each raising
+// the pay for some hours by a multiplier.
+export default function OvertimeSettings({ rules, onRulesChange }) {
+  const updateRule = (index, changes) => {
+    onRulesChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleTypeChange = (index, type) => {
+    onRulesChange(rules.map((rule, i) => (
+      i === index ? { ...DEFAULT_OVERTIME_RULES[type], multiplier: rule.multiplier } : rule
+    )));
+  };
+
+  // Kept within what a rule can use, see isValidOvertimeRule
+  const handleNumberChange = (index, field, value, min) => {
+    let val = parseFloat(value);
+    if (isNaN(val) || val < min) {
+      val = min;
+    }
+    updateRule(index, { [field]: val });
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Overtime</Label>
+      {rules.length === 0 && (
+        <p className="text-xs text-gray-500">No overtime rules. Every hour is paid at the base rate.</p>
+      )}
+      <div className="space-y-2">
+        {rules.map((rule, index) => (
+          <div key={index} className="flex gap-2 items-center text-sm">
+            <select
+              value={rule.type}
+              onChange={(e) => handleTypeChange(index, e.target.value)}
+              className="border rounded px-2 py-1"
+              aria-label={`Overtime rule ${index + 1} type`}
+            >
+              {Object.entries(OVERTIME_RULE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {rule.type === 'daily' ? (
+              <>
+                <Input
+                  type="number"
+                  min="0.5"
+                  step="0.5"
+                  value={rule.hours}
+                  onChange={(e) => handleNumberChange(index, 'hours', e.target.value, 0.5)}
+                  className="w-16"
+                  aria-label={`Overtime rule ${index + 1} hours`}
+                />
+                <span className="text-gray-600">h/day</span>
+              </>
+            ) : (
+              <select
+                value={rule.day}
+                onChange={(e) => updateRule(index, { day: Number(e.target.value) })}
+                className="border rounded px-2 py-1"
+                aria-label={`Overtime rule ${index + 1} day`}
+              >
+                {DAY_LABELS.map((label, idx) => (
+                  <option key={label} value={idx}>{label}</option>
+                ))}
+              </select>
+            )}
+            <span className="text-gray-600">at</span>
+            <Input
+              type="number"
+              min="1"
+              step="0.25"
+              value={rule.multiplier}
+              onChange={(e) => handleNumberChange(index, 'multiplier', e.target.value, 1)}
+              className="w-16"
+              aria-label={`Overtime rule ${index + 1} multiplier`}
+            />
+            <span className="text-gray-600">×</span>
+            <button
+              onClick={() => onRulesChange(rules.filter((other, i) => i !== index))}
+              className="text-gray-400 hover:text-red-600 px-1"
+              aria-label={`Remove overtime rule ${index + 1}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={() => onRulesChange([...rules, { ...DEFAULT_OVERTIME_RULES.daily }])}
+        className="mt-2 text-xs text-blue-600 underline"
+      >
+        + Add overtime rule
+      </button>
+    </div>
+  );
+}
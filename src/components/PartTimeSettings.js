@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { formatMoney } from "../lib/currency";
+import { parseIsoDate } from "../lib/dates";
+import { applyFraction, applyFteSalary, getFteSalary } from "../lib/parttime";
+import { getChangeOn } from "../lib/salaryhistory";
+
+// Salary inputs for a part-time contract: the full-time-equivalent salary, the
+// contracted FTE and a full-time week's hours, with the salary actually paid.
+// annualSalary stays the actual salary, see lib/parttime. The FTE salary is
+// that of the pay in effect today, after any pay change. Hours that don't
+// match the FTE are flagged next to the schedule.
+export default function PartTimeSettings({
+  annualSalary,
+  onAnnualSalaryChange,
+  salaryHistory,
+  onSalaryHistoryChange,
+  today,
+  partTime,
+  onPartTimeChange,
+  currency,
+}) {
+  // Numbers as typed, until the input loses focus
+  const [drafts, setDrafts] = useState({});
+  const change = getChangeOn(salaryHistory, today);
+  const actualSalary = change ? change.annualSalary : annualSalary;
+  const fteSalary = getFteSalary(actualSalary, partTime);
+
+  const valueOf = (field, value) => (drafts[field] !== undefined ? drafts[field] : value);
+  const clearDraft = (field) => setDrafts((prev) => ({ ...prev, [field]: undefined }));
+
+  const handleFteSalaryChange = (e) => {
+    setDrafts((prev) => ({ ...prev, fteSalary: e.target.value }));
+    const amount = parseFloat(e.target.value);
+    const next = applyFteSalary({ annualSalary, salaryHistory }, partTime, isNaN(amount) || amount < 0 ? 0 : amount, today);
+    onAnnualSalaryChange(next.annualSalary);
+    onSalaryHistoryChange(next.salaryHistory);
+  };
+
+  // A new fraction keeps the FTE salaries, so the actual salaries follow it
+  const handleFractionChange = (e) => {
+    setDrafts((prev) => ({ ...prev, fraction: e.target.value }));
+    const fraction = parseFloat(e.target.value);
+    if (!(fraction > 0 && fraction <= 1)) return;
+    const next = applyFraction({ annualSalary, salaryHistory }, partTime, fraction);
+    onPartTimeChange({ ...partTime, fraction });
+    onAnnualSalaryChange(next.annualSalary);
+    onSalaryHistoryChange(next.salaryHistory);
+  };
+
+  const handleHoursChange = (e) => {
+    setDrafts((prev) => ({ ...prev, fullTimeHours: e.target.value }));
+    const hours = parseFloat(e.target.value);
+    if (!(hours > 0 && hours <= 168)) return;
+    onPartTimeChange({ ...partTime, fullTimeHours: hours });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <Label htmlFor="fteSalary" className="text-base font-semibold mb-2 block">
+          Full-Time Equivalent Salary
+        </Label>
+        <Input
+          id="fteSalary"
+          type="number"
+          min="0"
+          value={valueOf('fteSalary', fteSalary)}
+          onChange={handleFteSalaryChange}
+          onBlur={() => clearDraft('fteSalary')}
+          className="w-full"
+        />
+      </div>
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <Label htmlFor="fteFraction" className="text-sm text-gray-600 mb-1 block">FTE</Label>
+          <Input
+            id="fteFraction"
+            type="number"
+            min="0.01"
+            max="1"
+            step="0.01"
+            value={valueOf('fraction', partTime.fraction)}
+            onChange={handleFractionChange}
+            onBlur={() => clearDraft('fraction')}
+          />
+        </div>
+        <div className="flex-1">
+          <Label htmlFor="fullTimeHours" className="text-sm text-gray-600 mb-1 block">Full-time hours a week</Label>
+          <Input
+            id="fullTimeHours"
+            type="number"
+            min="1"
+            max="168"
+            step="any"
+            value={valueOf('fullTimeHours', partTime.fullTimeHours)}
+            onChange={handleHoursChange}
+            onBlur={() => clearDraft('fullTimeHours')}
+          />
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        Actual salary: <span className="font-semibold">{formatMoney(actualSalary, currency)}</span>
+        {' '}({partTime.fraction} × {formatMoney(fteSalary, currency)})
+        {change && ` since the pay change of ${parseIsoDate(change.date).toLocaleDateString()}`}
+      </p>
+    </div>
+  );
+}
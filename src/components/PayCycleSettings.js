@@ -0,0 +1,79 @@
+import React from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { toIsoDate } from "../lib/dates";
+import { PAY_CYCLES, getUpcomingPaydays } from "../lib/paycycle";
+
+const DAYS_OF_MONTH = Array.from({ length: 31 }, (_, i) => i + 1);
+
+// Helper function: 'Fri 24 Jan' for a payday
+export function formatPayday(date) {
+  return date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// When payday falls: monthly on a day of the month, or every one, two or four
+// weeks counted from a known payday. Lists the next few paydays so the effect
+// of weekends and holidays is visible.
+export default function PayCycleSettings({ config, payCycle, onPayCycleChange }) {
+  const isMonthly = payCycle.type === 'monthly';
+  const paydays = getUpcomingPaydays(config, payCycle, new Date());
+
+  const handleTypeChange = (type) => {
+    // Other cycles need a known payday; start from the next one on the old cycle
+    const anchor = type === 'monthly' ? payCycle.anchor : payCycle.anchor || toIsoDate(paydays[0]);
+    onPayCycleChange({ ...payCycle, type, anchor });
+  };
+
+  return (
+    <div>
+      <Label htmlFor="payCycle" className="text-base font-semibold mb-2 block">
+        Payday
+      </Label>
+      <div className="flex gap-2 items-center text-sm">
+        <select
+          id="payCycle"
+          value={payCycle.type}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          {Object.entries(PAY_CYCLES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {isMonthly ? (
+          <>
+            <span className="text-gray-600">on</span>
+            <select
+              value={payCycle.dayOfMonth}
+              onChange={(e) => onPayCycleChange({
+                ...payCycle,
+                dayOfMonth: e.target.value === 'last' ? 'last' : Number(e.target.value),
+              })}
+              className="border rounded px-2 py-1"
+              aria-label="Payday day of month"
+            >
+              <option value="last">the last working day</option>
+              {DAYS_OF_MONTH.map((day) => (
+                <option key={day} value={day}>day {day}</option>
+              ))}
+            </select>
+          </>
+        ) : (
+          <>
+            <span className="text-gray-600">from</span>
+            <Input
+              type="date"
+              value={payCycle.anchor || ''}
+              onChange={(e) => e.target.value && onPayCycleChange({ ...payCycle, anchor: e.target.value })}
+              className="w-40"
+              aria-label="A recent payday"
+            />
+          </>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Next paydays: {paydays.map(formatPayday).join(', ')}. A payday on a weekend or holiday moves to the working day before.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Input } from "../components/ui/input";
+import { DEFAULT_PROFILE_ID, addProfile, removeProfile, updateProfile } from "../lib/profiles";
+
+// Picks the profile on screen, and adds, renames and removes profiles
+export default function ProfileSwitcher({ profiles, profileId, onProfilesChange, onProfileChange }) {
+  const profile = profiles.find((other) => other.id === profileId);
+
+  const handleAdd = () => {
+    const added = addProfile(profiles, `Income ${profiles.length + 1}`);
+    onProfilesChange(added.profiles);
+    onProfileChange(added.id);
+  };
+
+  const handleRemove = () => {
+    onProfilesChange(removeProfile(profiles, profileId));
+    onProfileChange(DEFAULT_PROFILE_ID);
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex gap-2 items-center">
+        <select
+          value={profileId}
+          onChange={(e) => onProfileChange(e.target.value)}
+          className="border rounded px-2 py-1 flex-1"
+          aria-label="Profile"
+        >
+          {profiles.map((other) => (
+            <option key={other.id} value={other.id}>{other.name}</option>
+          ))}
+        </select>
+        <button onClick={handleAdd} className="text-xs text-blue-600 underline">
+          + Add profile
+        </button>
+      </div>
+      {profiles.length > 1 && (
+        <div className="flex gap-2 items-center mt-2">
+          <Input
+            value={profile.name}
+            onChange={(e) => onProfilesChange(updateProfile(profiles, profileId, { name: e.target.value }))}
+            className="flex-1"
+            aria-label="Profile name"
+          />
+          <label className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={profile.active}
+              onChange={(e) => onProfilesChange(updateProfile(profiles, profileId, { active: e.target.checked }))}
+            />
+            In combined total
+          </label>
+          {profileId !== DEFAULT_PROFILE_ID && (
+            <button
+              onClick={handleRemove}
+              className="text-gray-400 hover:text-red-600 px-1"
+              aria-label={`Remove ${profile.name}`}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Labelled progress bar for the share of a period that has been worked
+export default function ProgressBar({ label, percent, barClassName }) {
+  return (
+    <div className="mt-3">
+      <div className="flex justify-between items-center mb-1">
+        <span>Progress - {label}</span>
+        <span className="font-medium">{percent}%</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-3">
+        <div
+          className={`${barClassName} h-3 rounded-full transition-all duration-500 ease-out`}
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+    </div>
+  );
+}
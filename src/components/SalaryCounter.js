@@ -1,44 +1,186 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useLocalStorage } from 'usehooks-ts';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Card, CardContent } from "../components/ui/card";
 import { Input } from "../components/ui/input";
 import { Label } from "../components/ui/label";
 import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "../components/ui/accordion";
 import { motion } from "framer-motion";
-import { Calendar, Clock, TrendingUp } from "lucide-react";
+import { Calendar, CalendarDays, CalendarRange, Clock, Globe, Landmark, Layers, Palmtree, TrendingUp, Wallet } from "lucide-react";
+import { parseIsoDate, toIsoDate } from "../lib/dates";
+import {
+  calculateDayRate,
+  calculateEarnedPerSecond,
+  calculateEarningsBetween,
+  calculateMonthlyTotal,
+  calculateYearlyTotal,
+  getBreakAt,
+  getDayOf,
+  getDayStart,
+  getDaysInMonth,
+  getTotalWorkingHoursToday,
+  getWorkingHoursBetween,
+  getWorkingHoursSoFarToday,
+  getHolidayOn,
+  getLeaveOn,
+  getOvertimeMultiplierAt,
+  isOnLeave,
+  isWithinWorkHours,
+  PAY_BASES,
+} from "../lib/earnings";
+import { calculateTakeHome, getDefaultTaxOptions, getTaxRegime } from "../lib/tax";
+import { summarizeLeave } from "../lib/leave";
+import { describeOvertimeRule } from "../lib/overtime";
+import { formatMoney, formatMoneyWithExtraDigit, getMinorDigits } from "../lib/currency";
+import { convertAmount, findRate } from "../lib/exchange";
+import { getDaysUntilPayday, getPayPeriod } from "../lib/paycycle";
+import { formatZonedTime } from "../lib/timezone";
+import { checkPartTimeHours, createPartTime } from "../lib/parttime";
+import { getPeriod } from "../lib/periods";
+import { getPayOn } from "../lib/salaryhistory";
+import { addProfile, getTakeHomeRatio, sumByCurrency } from "../lib/profiles";
+import { clockIn, clockOut, getOpenSession } from "../lib/sessions";
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_KEY,
+  getEngineConfig,
+  getProfileSettings,
+  loadSettings,
+  saveSettings,
+  updateProfiles,
+  updateSettings,
+} from "../lib/settings";
+import { applySharedSettings, hasShareParams, parseShareQuery } from "../lib/share";
+import BackupSettings from "./BackupSettings";
+import CardSettings from "./CardSettings";
+import CurrencyPicker from "./CurrencyPicker";
+import EarningsCard from "./EarningsCard";
+import EarningsHistory from "./EarningsHistory";
+import ExchangeRateSettings, { formatRateDate } from "./ExchangeRateSettings";
+import HolidaySettings from "./HolidaySettings";
+import LeavePlanner from "./LeavePlanner";
+import MilestoneSettings from "./MilestoneSettings";
+import Milestones from "./Milestones";
+import OvertimeSettings from "./OvertimeSettings";
+import PartTimeSettings from "./PartTimeSettings";
+import PayCycleSettings, { formatPayday } from "./PayCycleSettings";
+import ProfileSwitcher from "./ProfileSwitcher";
+import ProgressBar from "./ProgressBar";
+import SalaryHistorySettings from "./SalaryHistorySettings";
+import ScenarioComparison from "./ScenarioComparison";
+import ScenarioSettings from "./ScenarioSettings";
+import ScheduleEditor from "./ScheduleEditor";
+import ShareLink from "./ShareLink";
+import SharedSettingsNotice from "./SharedSettingsNotice";
+import TaxSettings from "./TaxSettings";
+import TimeZoneSettings from "./TimeZoneSettings";
+import Timesheet from "./Timesheet";
+
+// Icon and colours for each kind of earnings card. Tailwind only sees class
+// names written out in full, so they live here rather than being built up.
+const CARD_STYLES = {
+  month: { icon: Calendar, card: 'from-blue-500 to-blue-600', subtext: 'text-blue-100', bar: 'bg-blue-500' },
+  today: { icon: Clock, card: 'from-green-500 to-green-600', subtext: 'text-green-100', bar: 'bg-green-500' },
+  week: { icon: CalendarDays, card: 'from-indigo-500 to-indigo-600', subtext: 'text-indigo-100', bar: 'bg-indigo-500' },
+  year: { icon: CalendarRange, card: 'from-purple-500 to-purple-600', subtext: 'text-purple-100', bar: 'bg-purple-500' },
+  taxYear: { icon: Landmark, card: 'from-amber-500 to-amber-600', subtext: 'text-amber-100', bar: 'bg-amber-500' },
+  payPeriod: { icon: Wallet, card: 'from-teal-500 to-teal-600', subtext: 'text-teal-100', bar: 'bg-teal-500' },
+};
 
 export default function SalaryCounter() {
-  // Each day: 0=Sunday,1=Monday,2=Tuesday,3=Wednesday,4=Thursday,5=Friday,6=Saturday
-  // default to Mon-Fri on, Sat & Sun off
-  const [dayToggles, setDayToggles] = useLocalStorage('salary-counter-day-toggles', {
-    0: false,
-    1: true,
-    2: true,
-    3: true,
-    4: true,
-    5: true,
-    6: false,
-  });
-
-  const [annualSalary, setAnnualSalary] = useLocalStorage('salary-counter-annual-salary', 30000);
-  const [startHour, setStartHour] = useLocalStorage('salary-counter-start-hour', 10);
-  const [endHour, setEndHour] = useLocalStorage('salary-counter-end-hour', 18);
-  const [currency, setCurrency] = useLocalStorage('salary-counter-currency', '£');
-  const [showTakeHome, setShowTakeHome] = useLocalStorage('salary-counter-show-take-home', false);
-  const [taxPercentage, setTaxPercentage] = useLocalStorage('salary-counter-tax-percentage', 30);
+  // Every setting of every profile, see lib/settings. Settings that couldn't
+  // be used when loading were reset, and the warnings say which.
+  const [loaded] = useState(loadSettings);
+  const [store, setStore] = useState(loaded.store);
+  const [warnings, setWarnings] = useState(loaded.warnings);
+
+  useEffect(() => {
+    saveSettings(store);
+  }, [store]);
+
+  // Pick up changes saved in another tab
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === SETTINGS_KEY && event.newValue !== null) {
+        setStore(loadSettings().store);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Named profiles, each with its own copy of the settings below, see lib/profiles
+  const { profiles, profileId } = store;
+  const setProfiles = (list) => setStore((prev) => updateProfiles(prev, list));
+  const setProfileId = (id) => setStore((prev) => ({ ...prev, profileId: id }));
+
+  // One setting of the profile on screen and its setter, which like a state
+  // setter also takes a function of the previous value
+  const settings = getProfileSettings(store, profileId);
+  const bindSetting = (field) => [settings[field], (value) => setStore((prev) => {
+    const previous = getProfileSettings(prev, prev.profileId)[field];
+    return updateSettings(prev, prev.profileId, { [field]: value instanceof Function ? value(previous) : value });
+  })];
+
+  // Work segments for each weekday, 0=Sunday ... 6=Saturday, see lib/schedule
+  const [schedule, setSchedule] = bindSetting('schedule');
+  // Paid and unpaid breaks for each weekday; unpaid breaks pause the counter
+  const [breaks, setBreaks] = bindSetting('breaks');
+  // 'schedule' counts the scheduled hours; 'sessions' counts clocked sessions
+  const [tracking, setTracking] = bindSetting('tracking');
+  // Clocked work sessions, as [{ id, start, end }] timestamps, see lib/sessions
+  const [sessions, setSessions] = bindSetting('sessions');
+  // IANA time zone the schedule is kept in, or '' for the device's
+  const [timeZone, setTimeZone] = bindSetting('timeZone');
+
+  const [annualSalary, setAnnualSalary] = bindSetting('annualSalary');
+  // How pay is spread over working time, one of PAY_BASES in lib/earnings
+  const [payBasis, setPayBasis] = bindSetting('payBasis');
+  // Used instead of annualSalary for the hourly and daily pay bases
+  const [payRate, setPayRate] = bindSetting('payRate');
+  // Pay changes from a date on, like a raise, see lib/salaryhistory
+  const [salaryHistory, setSalaryHistory] = bindSetting('salaryHistory');
+  // Contracted share of a full-time salary, or null when full-time, see
+  // lib/parttime. annualSalary is still the salary actually paid.
+  const [partTime, setPartTime] = bindSetting('partTime');
+  // Overtime rules for the hourly and daily pay bases, see lib/overtime
+  const [overtime, setOvertime] = bindSetting('overtime');
+  // Key of HOLIDAY_REGIONS in lib/holidays; holidays stop the counter
+  const [holidayRegion, setHolidayRegion] = bindSetting('holidayRegion');
+  // Extra holidays imported from .ics files, as [{ date: 'YYYY-MM-DD', name }]
+  const [customHolidays, setCustomHolidays] = bindSetting('customHolidays');
+  // Booked annual leave, as [{ date: 'YYYY-MM-DD', part: 'full' | 'am' | 'pm' }]
+  const [leave, setLeave] = bindSetting('leave');
+  const [leaveAllowance, setLeaveAllowance] = bindSetting('leaveAllowance');
+  // Month (0-11) the leave year starts in
+  const [leaveYearStart, setLeaveYearStart] = bindSetting('leaveYearStart');
+  const [currency, setCurrency] = bindSetting('currency');
+  // Currency earnings are also shown in, or null, and the rates used for it
+  const [displayCurrency, setDisplayCurrency] = bindSetting('displayCurrency');
+  const [exchangeRates, setExchangeRates] = bindSetting('exchangeRates');
+  const [showTakeHome, setShowTakeHome] = bindSetting('showTakeHome');
+  const [taxPercentage, setTaxPercentage] = bindSetting('taxPercentage');
+  // Id of a regime in lib/tax; 'simple' applies the flat taxPercentage
+  const [taxRegime, setTaxRegime] = bindSetting('taxRegime');
+  // Options for every regime the user has configured, keyed by regime id
+  const [taxOptions, setTaxOptions] = bindSetting('taxOptions');
+  // Earnings cards to show, in order, as keys of EARNINGS_CARDS in lib/periods
+  const [cards, setCards] = bindSetting('cards');
+  // When payday falls, see lib/paycycle
+  const [payCycle, setPayCycle] = bindSetting('payCycle');
+  // Amounts to reach within a period, see lib/milestones
+  const [milestones, setMilestones] = bindSetting('milestones');
+  // Alternative salaries, schedules or tax to compare, see lib/scenarios
+  const [scenarios, setScenarios] = bindSetting('scenarios');
+
+  // Settings from a share link the page was opened with, until the user
+  // decides where they go, see lib/share
+  const [sharedLink, setSharedLink] = useState(() => (
+    hasShareParams(window.location.search) ? parseShareQuery(window.location.search) : null
+  ));
 
   // These values are calculated and don't need to be persisted
-  const [earnedSoFar, setEarnedSoFar] = useState(0);
-  const [earnedToday, setEarnedToday] = useState(0);
-
-  // We'll keep a map of currency => locale + code
-  // Use English-based locales for all, so we always get something like 7,826.09
-  const currencyMap = {
-    '$': { locale: 'en-US', code: 'USD' },
-    '£': { locale: 'en-GB', code: 'GBP' },
-    '€': { locale: 'en-GB', code: 'EUR' },
-    '¥': { locale: 'ja-JP', code: 'JPY' },
-  };
+  const [earnings, setEarnings] = useState({});
+  // Combined earnings of the active profiles, as { month, today } sums by currency
+  const [combined, setCombined] = useState(null);
 
   // For displaying month names in the heading
   const monthNames = [
@@ -46,211 +188,182 @@ export default function SalaryCounter() {
     'July', 'August', 'September', 'October', 'November', 'December'
   ];
 
-  // Helper function to apply tax calculation when take-home mode is enabled
-  const applyTaxCalculation = useCallback((grossAmount) => {
-    if (showTakeHome) {
-      return grossAmount * (1 - taxPercentage / 100);
-    }
-    return grossAmount;
-  }, [showTakeHome, taxPercentage]);
-
-  // Calculates how much we've earned so far today
-  const calculateDailyEarnings = useCallback((annual) => {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Everything the earnings engine needs to know about the schedule
+  const config = useMemo(() => ({
+    annualSalary,
+    payBasis,
+    payRate,
+    salaryHistory,
+    schedule,
+    breaks,
+    holidayRegion,
+    customHolidays,
+    leave,
+    overtime,
+    tracking,
+    sessions,
+    timeZone,
+  }), [annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion, customHolidays, leave, overtime, tracking, sessions, timeZone]);
+
+  // Expected pay always comes from the schedule, even when the live figures
+  // come from clocked sessions
+  const isTrackingSessions = tracking === 'sessions';
+  const scheduleConfig = useMemo(
+    () => (isTrackingSessions ? { ...config, tracking: 'schedule' } : config),
+    [isTrackingSessions, config]
+  );
 
-    // Check if today is a working day
-    if (!isDayEnabled(today)) {
-      return 0;
-    }
+  // Salary and rate in effect today, after any pay changes
+  const currentPay = getPayOn(config, getDayOf(config, Date.now()));
 
-    // Calculate daily rate based on working days in a year
-    // Assuming we work the same schedule throughout the year
-    const totalWorkingDaysPerYear = getTotalWorkingDaysPerYear();
-    const dailyRate = totalWorkingDaysPerYear > 0 ? annual / totalWorkingDaysPerYear : 0;
+  // Gross pay over a year, which is what tax is worked out on. Rate-based pay
+  // has no fixed salary, so use what this calendar year's schedule pays.
+  const isRateBasis = payBasis === 'hourly' || payBasis === 'daily';
+  const annualGross = useMemo(
+    () => (isRateBasis ? calculateYearlyTotal(scheduleConfig, Date.now()) : currentPay.annualSalary),
+    [isRateBasis, scheduleConfig, currentPay.annualSalary]
+  );
 
-    const totalDailyWorkingHours = getDailyWorkingHours();
-    const elapsedHours = getWorkingHoursSoFarToday();
+  const regime = getTaxRegime(taxRegime);
+  // The flat rate keeps its original storage key
+  const regimeOptions = useMemo(() => (
+    regime.id === 'simple' ? { taxPercentage } : { ...taxOptions[regime.id] }
+  ), [regime, taxPercentage, taxOptions]);
 
-    // safeguard if totalDailyWorkingHours is 0
-    if (totalDailyWorkingHours === 0) return 0;
+  // Annual deductions for the current salary, used to scale live earnings
+  const takeHome = useMemo(
+    () => calculateTakeHome(regime.id, annualGross, regimeOptions),
+    [regime, annualGross, regimeOptions]
+  );
 
-    const fraction = Math.max(0, Math.min(1, elapsedHours / totalDailyWorkingHours));
-    const grossEarnings = dailyRate * fraction;
-    return applyTaxCalculation(grossEarnings);
-  }, [dayToggles, startHour, endHour, applyTaxCalculation]);
+  // Helper function to apply tax calculation when take-home mode is enabled
+  const applyTaxCalculation = useCallback((grossAmount) => {
+    if (!showTakeHome) {
+      return grossAmount;
+    }
+    return takeHome.gross > 0 ? grossAmount * (takeHome.net / takeHome.gross) : 0;
+  }, [showTakeHome, takeHome]);
 
-  // Calculates how much we've earned so far this month
-  const calculateEarnings = useCallback((annual) => {
-    const monthly = annual / 12;
-    const totalWorkingHours = getTotalWorkingHoursThisMonth();
-    const elapsedHours = getWorkingHoursSoFarThisMonth();
-    // safeguard if totalWorkingHours is 0
-    if (totalWorkingHours === 0) return 0;
+  // Periods with live earnings: the cards', and any a milestone is counted over
+  const periodIds = useMemo(
+    () => [...new Set([...cards, ...milestones.map((milestone) => milestone.period)])],
+    [cards, milestones]
+  );
 
-    const fraction = Math.max(0, Math.min(1, elapsedHours / totalWorkingHours));
-    const grossEarnings = monthly * fraction;
-    return applyTaxCalculation(grossEarnings);
-  }, [dayToggles, startHour, endHour, applyTaxCalculation]);
+  // Each period, and what it had earned and worked by the start of today.
+  // Long periods like the year are only added up once a day; the live tick
+  // only has to add today's part. Days are those of the schedule's time zone.
+  const todayKey = toIsoDate(getDayOf(config, Date.now()));
+  const todayStart = useMemo(() => getDayStart(config, parseIsoDate(todayKey)), [config, todayKey]);
+  const taxYearStart = regime.taxYearStart;
+  const cardTotals = useMemo(() => {
+    const today = parseIsoDate(todayKey);
+    return Object.fromEntries(periodIds.map((id) => {
+      const period = getPeriod(id, today, { taxYearStart, payCycle, config });
+      const periodStart = getDayStart(config, period.start);
+      return [id, {
+        period,
+        earnedBeforeToday: calculateEarningsBetween(config, periodStart, todayStart),
+        hoursBeforeToday: getWorkingHoursBetween(scheduleConfig, periodStart, todayStart),
+        totalHours: getWorkingHoursBetween(scheduleConfig, periodStart, getDayStart(config, period.end)),
+      }];
+    }));
+  }, [periodIds, todayKey, todayStart, taxYearStart, payCycle, config, scheduleConfig]);
+
+  // Income streams summed in the combined view, once there is more than one
+  // profile. Take-home follows the toggle on screen, with each stream's own
+  // tax settings.
+  const streams = useMemo(() => {
+    if (profiles.length < 2) return [];
+    return profiles.filter((profile) => profile.active).map((profile) => {
+      const isShown = profile.id === profileId;
+      const streamSettings = getProfileSettings(store, profile.id);
+      const streamConfig = isShown ? config : getEngineConfig(streamSettings);
+      // Each stream's days are those of its own time zone
+      const today = isShown ? parseIsoDate(todayKey) : getDayOf(streamConfig, Date.now());
+      const streamTodayStart = getDayStart(streamConfig, today);
+      const monthStart = getDayStart(streamConfig, new Date(today.getFullYear(), today.getMonth(), 1));
+      let ratio = 1;
+      if (isShown) {
+        ratio = applyTaxCalculation(1);
+      } else if (showTakeHome) {
+        ratio = getTakeHomeRatio(streamSettings, streamConfig, today);
+      }
+      return {
+        config: streamConfig,
+        currency: streamSettings.currency,
+        ratio,
+        todayStart: streamTodayStart,
+        earnedBeforeToday: calculateEarningsBetween(streamConfig, monthStart, streamTodayStart),
+      };
+    });
+  }, [store, profiles, profileId, todayKey, config, showTakeHome, applyTaxCalculation]);
 
   useEffect(() => {
     // Recalculate every second
     const interval = setInterval(() => {
-      setEarnedSoFar(calculateEarnings(annualSalary));
-      setEarnedToday(calculateDailyEarnings(annualSalary));
+      const now = Date.now();
+      const earnedToday = calculateEarningsBetween(config, todayStart, now);
+      setEarnings(Object.fromEntries(Object.entries(cardTotals).map(([id, totals]) => (
+        [id, applyTaxCalculation(totals.earnedBeforeToday + earnedToday)]
+      ))));
+      if (streams.length > 0) {
+        const streamsToday = streams.map((stream) => calculateEarningsBetween(stream.config, stream.todayStart, now));
+        setCombined({
+          month: sumByCurrency(streams.map((stream, i) => ({
+            currency: stream.currency,
+            amount: stream.ratio * (stream.earnedBeforeToday + streamsToday[i]),
+          }))),
+          today: sumByCurrency(streams.map((stream, i) => ({
+            currency: stream.currency,
+            amount: stream.ratio * streamsToday[i],
+          }))),
+        });
+      }
     }, 50);
 
     return () => clearInterval(interval);
-  }, [annualSalary, startHour, endHour, dayToggles, currency, showTakeHome, taxPercentage, calculateEarnings, calculateDailyEarnings]);
-
-  // Helper function: checks if a given date is toggled on in dayToggles
-  function isDayEnabled(date) {
-    const day = date.getDay(); // 0=Sunday, 1=Monday, etc.
-    return !!dayToggles[day]; // if toggled on
-  }
-
-  // Helper function: get how many working hours have elapsed so far today
-  function getWorkingHoursSoFarToday() {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }, [config, todayStart, cardTotals, applyTaxCalculation, streams]);
 
-    // Check if today is a working day
-    if (!isDayEnabled(today)) {
-      return 0;
-    }
-
-    const startOfWork = new Date(today.getFullYear(), today.getMonth(), today.getDate(), startHour, 0, 0);
-    const endOfWork = new Date(today.getFullYear(), today.getMonth(), today.getDate(), endHour, 0, 0);
-
-    if (now < startOfWork) {
-      // Before workday starts
-      return 0;
-    } else if (now > endOfWork) {
-      // After workday ends
-      return endHour - startHour;
-    } else {
-      // Part of the workday has passed
-      const msSinceStart = now - startOfWork;
-      const hoursSinceStart = msSinceStart / 1000 / 3600;
-      return hoursSinceStart;
-    }
-  }
-
-  // Helper function: total working hours in a single day
-  function getDailyWorkingHours() {
-    return endHour - startHour;
-  }
-
-  // Helper function: get how many working hours have elapsed so far in the current month
-  function getWorkingHoursSoFarThisMonth() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-    let totalHours = 0;
-
-    for (let day = 1; day <= now.getDate(); day++) {
-      const currentDayDate = new Date(year, month, day);
-      // If the day is toggled off, skip it
-      if (!isDayEnabled(currentDayDate)) {
-        continue;
-      }
-
-      // daily working hours are (endHour - startHour)
-      const dailyHours = endHour - startHour;
-
-      if (day < now.getDate()) {
-        // Entire day's work hours have passed
-        totalHours += dailyHours;
-      } else if (day === now.getDate()) {
-        // Count only up to current time
-        const startOfWork = new Date(year, month, day, startHour, 0, 0);
-        const endOfWork = new Date(year, month, day, endHour, 0, 0);
-        if (now < startOfWork) {
-          // Before workday starts
-        } else if (now > endOfWork) {
-          // After workday ends
-          totalHours += dailyHours;
-        } else {
-          // Part of the workday has passed
-          const msSinceStart = now - startOfWork;
-          const hoursSinceStart = msSinceStart / 1000 / 3600;
-          totalHours += hoursSinceStart;
-        }
-      }
-    }
-
-    return totalHours;
+  // format currency in the user's locale, with one smaller digit past the
+  // currency's smallest unit so the counter visibly ticks
+  function formatCurrency(amount, code = currency) {
+    const { before, extra, after } = formatMoneyWithExtraDigit(amount, code);
+    return (
+      <span className="font-mono">
+        {before}
+        {extra && <span className="text-sm text-gray-100 font-normal">{extra}</span>}
+        {after}
+      </span>
+    );
   }
 
-  // Helper function: total working hours in the current month
-  function getTotalWorkingHoursThisMonth() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-
-    // Start of next month
-    const startOfNextMonth = new Date(year, month + 1, 1);
-    // Last day of this month
-    const lastDayOfMonth = new Date(startOfNextMonth - 1);
-    const daysInMonth = lastDayOfMonth.getDate();
-    let workingHours = 0;
-
-    for (let day = 1; day <= daysInMonth; day++) {
-      const currentDayDate = new Date(year, month, day);
-      if (isDayEnabled(currentDayDate)) {
-        workingHours += endHour - startHour;
-      }
-    }
-
-    return workingHours;
-  }
+  // The second currency's rate, when it can be shown
+  const displayRate = displayCurrency && displayCurrency !== currency
+    ? findRate(exchangeRates, currency, displayCurrency)
+    : null;
 
-  // Helper function: calculate total working days per year based on current schedule
-  function getTotalWorkingDaysPerYear() {
-    let workingDays = 0;
-    // Count working days per week
-    for (let day = 0; day < 7; day++) {
-      if (dayToggles[day]) {
-        workingDays++;
-      }
-    }
-    // Multiply by 52 weeks (approximately)
-    return workingDays * 52;
+  // An amount in the second currency, e.g. '≈ €1,162.35 · rate of 5 Jan 2024'
+  function formatSecondary(amount) {
+    if (!displayRate) return null;
+    return `≈ ${formatMoney(amount * displayRate.rate, displayCurrency)} · rate of ${formatRateDate(displayRate.date)}`;
   }
 
-  // format currency using the chosen symbol in the UI
-  function formatCurrency(amount) {
-    const c = currencyMap[currency];
-
-    // Get the main amount with 2 decimal places
-    const mainAmount = amount.toLocaleString(c.locale, {
-      style: 'currency',
-      currency: c.code,
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Calculate the 3rd decimal digit
-    const scaledAmount = Math.round(amount * 1000);
-    const thirdDecimal = scaledAmount % 10;
-
-    return (
-      <span className="font-mono">
-        {mainAmount}
-        <span className="text-sm text-gray-100 font-normal ml-0.5">.{thirdDecimal}</span>
-      </span>
-    );
+  // Sums by currency in the second currency, when every one has a rate. The
+  // oldest rate used is the one dated.
+  function formatCombinedSecondary(totals) {
+    if (!displayCurrency) return null;
+    const found = Object.keys(totals).map((code) => findRate(exchangeRates, code, displayCurrency));
+    if (found.includes(null) || found.every((rate) => rate.date === null)) return null;
+    const total = Object.entries(totals)
+      .reduce((sum, [code, amount]) => sum + convertAmount(amount, exchangeRates, code, displayCurrency), 0);
+    const oldest = found.map((rate) => rate.date).filter(Boolean).sort()[0];
+    return `≈ ${formatMoney(total, displayCurrency)} · rate of ${formatRateDate(oldest)}`;
   }
 
   // format monthly salary with 0 decimals for help text, if desired
-  function formatMonthly(amount) {
-    const c = currencyMap[currency];
-    return amount.toLocaleString(c.locale, {
-      style: 'currency',
-      currency: c.code,
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    });
+  function formatMonthly(amount, code = currency) {
+    return formatMoney(amount, code, { digits: 0 });
   }
 
   const handleSalaryChange = (e) => {
@@ -261,97 +374,179 @@ export default function SalaryCounter() {
     setAnnualSalary(val);
   };
 
-  const handleStartHourChange = (e) => {
-    let val = parseInt(e.target.value);
-    if (isNaN(val)) {
-      val = 0;
-    }
-    setStartHour(val);
+  // Going part-time starts at FTE 1 of the schedule's week, so the salary
+  // doesn't change until the FTE does
+  const handlePartTimeToggle = (e) => {
+    setPartTime(e.target.checked ? createPartTime(schedule, breaks) : null);
+  };
+
+  const handlePayBasisChange = (e) => {
+    setPayBasis(e.target.value);
   };
 
-  const handleEndHourChange = (e) => {
-    let val = parseInt(e.target.value);
+  const handlePayRateChange = (e) => {
+    let val = parseFloat(e.target.value);
     if (isNaN(val)) {
       val = 0;
     }
-    setEndHour(val);
+    setPayRate(val);
   };
 
-  const handleCurrencyChange = (e) => {
-    setCurrency(e.target.value);
+  const handleCurrencyChange = (code) => {
+    setCurrency(code);
   };
 
-  const handleTaxPercentageChange = (e) => {
-    let val = parseFloat(e.target.value);
-    if (isNaN(val) || val < 0) {
-      val = 0;
-    } else if (val > 100) {
-      val = 100;
+  const handleTaxRegimeChange = (id) => {
+    setTaxRegime(id);
+  };
+
+  const handleTaxOptionChange = (optionId, value) => {
+    if (regime.id === 'simple') {
+      setTaxPercentage(value);
+      return;
     }
-    setTaxPercentage(val);
+    setTaxOptions((prev) => ({
+      ...prev,
+      [regime.id]: { ...prev[regime.id], [optionId]: value },
+    }));
   };
 
-  const handleTakeHomeToggle = () => {
-    setShowTakeHome(!showTakeHome);
+  // Setting up payday makes the pay period the main counter, in place of the
+  // calendar month
+  const handlePayCycleChange = (cycle) => {
+    setPayCycle(cycle);
+    if (!cards.includes('payPeriod')) {
+      setCards(cards.includes('month')
+        ? cards.map((id) => (id === 'month' ? 'payPeriod' : id))
+        : ['payPeriod', ...cards]);
+    }
   };
 
-  // Toggle function for dayToggles
-  const handleDayToggle = (dayIndex) => {
-    setDayToggles((prev) => ({
-      ...prev,
-      [dayIndex]: !prev[dayIndex],
+  // Shared settings go into a new profile, or over the one on screen; either
+  // way the link is then taken out of the address bar
+  const closeSharedLink = () => {
+    setSharedLink(null);
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+  };
+
+  const handleOpenSharedAsProfile = () => {
+    const added = addProfile(profiles, 'Shared link');
+    setStore((prev) => ({
+      ...updateSettings(
+        updateProfiles(prev, added.profiles),
+        added.id,
+        applySharedSettings(DEFAULT_SETTINGS, sharedLink.settings)
+      ),
+      profileId: added.id,
     }));
+    closeSharedLink();
   };
 
-  const dayLabels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const handleReplaceWithShared = () => {
+    setStore((prev) => updateSettings(
+      prev,
+      prev.profileId,
+      applySharedSettings(getProfileSettings(prev, prev.profileId), sharedLink.settings)
+    ));
+    closeSharedLink();
+  };
 
-  // We'll calculate the monthly salary for the help text with thousands formatting.
-  const monthlySalaryRaw = annualSalary / 12;
-  const monthlySalaryDisplay = formatMonthly(applyTaxCalculation(monthlySalaryRaw));
+  const handleTakeHomeToggle = () => {
+    setShowTakeHome(!showTakeHome);
+  };
 
-  // We'll figure out the percent of the month completed.
+  // What the schedule pays this month and today only changes with the day, so
+  // it isn't added up again on every tick
+  const scheduledTotals = useMemo(() => ({
+    month: calculateMonthlyTotal(scheduleConfig, todayStart),
+    day: calculateDayRate(scheduleConfig, parseIsoDate(todayKey)),
+    hoursToday: getTotalWorkingHoursToday(scheduleConfig, todayStart),
+  }), [scheduleConfig, todayKey, todayStart]);
+
+  // We'll calculate the month, day and year figures for the help text with thousands formatting.
+  const monthlySalaryDisplay = formatMonthly(applyTaxCalculation(scheduledTotals.month));
+  const dayRateDisplay = formatMonthly(applyTaxCalculation(scheduledTotals.day));
+  const annualDisplay = formatMonthly(applyTaxCalculation(annualGross));
+
+  // Shown under each card in take-home mode
+  const takeHomeDefaults = getDefaultTaxOptions(regime);
+  const taxDescription = `After ${regime.describe({ ...takeHomeDefaults, ...regimeOptions })}`;
+
+  // We'll figure out the percent of the month completed, in the schedule's
+  // time zone
   const now = new Date();
-  const currentMonth = now.getMonth();
+  const today = getDayOf(config, now);
+  const currentMonth = today.getMonth();
   const currentMonthName = monthNames[currentMonth];
-  const currentYear = now.getFullYear();
-  // compute how many days in month
-  const startOfNextMonth = new Date(currentYear, currentMonth + 1, 1);
-  const lastDayOfMonth = new Date(startOfNextMonth - 1);
-  const daysInMonth = lastDayOfMonth.getDate();
-  const dayOfMonth = now.getDate();
+  const daysInMonth = getDaysInMonth(today);
+  const dayOfMonth = today.getDate();
   const percentComplete = ((dayOfMonth / daysInMonth) * 100).toFixed(1);
 
   // Calculate today's progress percentage
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const todayHoliday = getHolidayOn(config, today);
+  const todayLeave = getLeaveOn(config, today);
+  const leaveSummary = useMemo(
+    () => summarizeLeave(scheduleConfig, parseIsoDate(todayKey), leaveAllowance, leaveYearStart),
+    [scheduleConfig, todayKey, leaveAllowance, leaveYearStart]
+  );
+  // Today's hours include the end of last night's shift. Clocked hours are
+  // measured against the scheduled day and can go past it.
+  const totalDailyHours = scheduledTotals.hoursToday;
   let todayPercentComplete = 0;
-  if (isDayEnabled(today)) {
-    const totalDailyHours = getDailyWorkingHours();
-    const elapsedTodayHours = getWorkingHoursSoFarToday();
-    if (totalDailyHours > 0) {
-      todayPercentComplete = ((elapsedTodayHours / totalDailyHours) * 100).toFixed(1);
-    }
+  if (totalDailyHours > 0) {
+    const elapsedTodayHours = getWorkingHoursSoFarToday(config, now);
+    todayPercentComplete = Math.min(100, (elapsedTodayHours / totalDailyHours) * 100).toFixed(1);
   }
 
-  // Check if we're currently in work hours
-  const isCurrentlyInWorkHours = () => {
-    if (!isDayEnabled(today)) {
-      return false; // Not a working day
-    }
+  const nextPay = getPayPeriod(config, payCycle, today);
+  const daysUntilPayday = getDaysUntilPayday(config, payCycle, today);
 
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
-    const currentTimeInHours = currentHour + (currentMinute / 60);
+  const openSession = getOpenSession(sessions);
+  const handleClockToggle = () => {
+    setSessions((prev) => (getOpenSession(prev) ? clockOut(prev, Date.now()) : clockIn(prev, Date.now())));
+  };
+
+  // Session earnings for the timesheet, to the penny
+  const formatSessionAmount = (amount) => formatMoney(applyTaxCalculation(amount), currency);
+
+  // Card headings, and the shorter names used on the progress bars
+  const cardTitles = {
+    month: `Earnings in ${currentMonthName}`,
+    today: 'Earnings Today',
+    week: 'Earnings This Week',
+    year: `Earnings in ${today.getFullYear()} So Far`,
+    taxYear: 'Earnings This Tax Year',
+    payPeriod: 'Earnings This Pay Period',
+  };
+  const progressLabels = {
+    month: currentMonthName,
+    today: 'Today',
+    week: 'This Week',
+    year: `${today.getFullYear()}`,
+    taxYear: `Tax Year from ${cardTotals.taxYear ? cardTotals.taxYear.period.start.toLocaleDateString([], { day: 'numeric', month: 'short' }) : ''}`,
+    payPeriod: `Pay Period to ${formatPayday(nextPay.payday)}`,
+  };
 
-    return currentTimeInHours >= startHour && currentTimeInHours < endHour;
+  // Share of a card's period done: calendar days for the month, as before,
+  // and scheduled working hours for the rest
+  const scheduledHoursSoFarToday = getWorkingHoursBetween(scheduleConfig, todayStart, now);
+  const cardProgress = (id) => {
+    if (id === 'month') return percentComplete;
+    if (id === 'today') return todayPercentComplete;
+    const totals = cardTotals[id];
+    if (!totals || totals.totalHours === 0) return 0;
+    const worked = totals.hoursBeforeToday + scheduledHoursSoFarToday;
+    return Math.min(100, (worked / totals.totalHours) * 100).toFixed(1);
   };
 
+  // Check if we're currently in work hours
+  const isCurrentlyInWorkHours = () => isWithinWorkHours(config, now);
+  const currentBreak = getBreakAt(config, now);
+  // Above 1 while an overtime band is running; the pulse quickens to match
+  const overtimeMultiplier = getOvertimeMultiplierAt(config, now);
+
   // We'll calculate the per-second earnings within work hours.
-  const totalWorkHours = getTotalWorkingHoursThisMonth();
-  const totalWorkSeconds = totalWorkHours * 3600;
-  let earnedPerSecond = 0;
-  if (totalWorkSeconds > 0) {
-    earnedPerSecond = applyTaxCalculation(monthlySalaryRaw) / totalWorkSeconds;
-  }
+  const earnedPerSecond = applyTaxCalculation(calculateEarnedPerSecond(config, now));
 
   return (
     <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-gray-100 to-blue-200 p-4">
@@ -363,6 +558,35 @@ export default function SalaryCounter() {
       >
         <Card className="shadow-lg p-4 rounded-2xl bg-white">
           <CardContent>
+            {warnings.length > 0 && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg mb-4 text-sm">
+                <p className="font-semibold text-gray-700">Some saved settings couldn't be used</p>
+                <ul className="text-xs text-gray-600 mt-1 list-disc pl-4">
+                  {warnings.map((warning) => <li key={warning}>{warning}</li>)}
+                </ul>
+                <button onClick={() => setWarnings([])} className="mt-2 text-xs text-blue-600 underline">
+                  Dismiss
+                </button>
+              </div>
+            )}
+
+            {sharedLink && (
+              <SharedSettingsNotice
+                sharedLink={sharedLink}
+                profileName={profiles.find((profile) => profile.id === profileId).name}
+                onOpenAsProfile={handleOpenSharedAsProfile}
+                onReplace={handleReplaceWithShared}
+                onDismiss={closeSharedLink}
+              />
+            )}
+
+            <ProfileSwitcher
+              profiles={profiles}
+              profileId={profileId}
+              onProfilesChange={setProfiles}
+              onProfileChange={setProfileId}
+            />
+
             <Accordion type="single" collapsible={true} className="mb-6">
               <AccordionItem value="config">
                 <AccordionTrigger className="text-lg font-semibold">
@@ -371,32 +595,104 @@ export default function SalaryCounter() {
                 <AccordionContent>
                   <div className="space-y-4">
                     <div>
-                      <Label htmlFor="salary" className="text-base font-semibold mb-2 block">
-                        Annual Salary
-                      </Label>
-                      <Input
-                        id="salary"
-                        type="number"
-                        value={annualSalary}
-                        onChange={handleSalaryChange}
-                        className="w-full"
-                      />
+                      {isRateBasis ? (
+                        <>
+                          <Label htmlFor="payRate" className="text-base font-semibold mb-2 block">
+                            {payBasis === 'hourly' ? 'Hourly Rate' : 'Day Rate'}
+                          </Label>
+                          <Input
+                            id="payRate"
+                            type="number"
+                            value={payRate}
+                            onChange={handlePayRateChange}
+                            className="w-full"
+                          />
+                        </>
+                      ) : partTime ? (
+                        <PartTimeSettings
+                          annualSalary={annualSalary}
+                          onAnnualSalaryChange={setAnnualSalary}
+                          salaryHistory={salaryHistory}
+                          onSalaryHistoryChange={setSalaryHistory}
+                          today={today}
+                          partTime={partTime}
+                          onPartTimeChange={setPartTime}
+                          currency={currency}
+                        />
+                      ) : (
+                        <>
+                          <Label htmlFor="salary" className="text-base font-semibold mb-2 block">
+                            Annual Salary
+                          </Label>
+                          <Input
+                            id="salary"
+                            type="number"
+                            value={annualSalary}
+                            onChange={handleSalaryChange}
+                            className="w-full"
+                          />
+                        </>
+                      )}
+                      {!isRateBasis && (
+                        <div className="flex items-center justify-between mt-2">
+                          <Label htmlFor="partTime" className="text-sm font-medium">
+                            Part-time, paid a share of a full-time salary
+                          </Label>
+                          <input
+                            id="partTime"
+                            type="checkbox"
+                            checked={partTime !== null}
+                            onChange={handlePartTimeToggle}
+                          />
+                        </div>
+                      )}
                       <p className="text-sm text-gray-600 mt-1">
-                        Monthly Salary: {monthlySalaryDisplay}
+                        {payBasis === 'monthly' ? 'Monthly Salary' : currentMonthName}: {monthlySalaryDisplay}
+                        {' · '}Today: {dayRateDisplay}
+                        {isRateBasis && <>{' · '}{today.getFullYear()}: {annualDisplay}</>}
                       </p>
-                      <div className="flex gap-2 items-center mt-2">
-                        <p className="text-sm text-gray-600">Currency:</p>
+                      <div className="mt-2">
+                        <Label htmlFor="payBasis" className="text-sm text-gray-600 mb-1 block">
+                          Pay Basis
+                        </Label>
                         <select
-                          value={currency}
-                          onChange={handleCurrencyChange}
-                          className="border rounded px-2 py-1 text-sm"
+                          id="payBasis"
+                          value={payBasis}
+                          onChange={handlePayBasisChange}
+                          className="border rounded px-2 py-1 text-sm w-full"
                         >
-                          <option value="$">$</option>
-                          <option value="£">£</option>
-                          <option value="€">€</option>
-                          <option value="¥">¥</option>
+                          {Object.entries(PAY_BASES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
                         </select>
                       </div>
+                      {isRateBasis && overtime.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Overtime: {overtime.map(describeOvertimeRule).join(', ')}
+                        </p>
+                      )}
+                      <div className="mt-3">
+                        <SalaryHistorySettings
+                          config={config}
+                          salaryHistory={salaryHistory}
+                          onSalaryHistoryChange={setSalaryHistory}
+                          currency={currency}
+                          today={today}
+                        />
+                      </div>
+                      <div className="mt-2">
+                        <p className="text-sm text-gray-600 mb-1">Currency:</p>
+                        <CurrencyPicker value={currency} onChange={handleCurrencyChange} />
+                      </div>
+                      <div className="mt-3">
+                        <ExchangeRateSettings
+                          currency={currency}
+                          displayCurrency={displayCurrency}
+                          rates={exchangeRates}
+                          onDisplayCurrencyChange={setDisplayCurrency}
+                          onRatesChange={setExchangeRates}
+                        />
+                      </div>
                     </div>
 
                     {/* Take Home Toggle Section */}
@@ -420,149 +716,213 @@ export default function SalaryCounter() {
                       </div>
 
                       {showTakeHome && (
-                        <div className="mt-3">
-                          <Label htmlFor="taxPercentage" className="text-sm font-medium mb-2 block">
-                            Tax Rate (%)
-                          </Label>
-                          <Input
-                            id="taxPercentage"
-                            type="number"
-                            min="0"
-                            max="100"
-                            step="0.1"
-                            value={taxPercentage}
-                            onChange={handleTaxPercentageChange}
-                            className="w-full"
-                            placeholder="30"
-                          />
-                          <p className="text-xs text-gray-500 mt-1">
-                            Default is 30%. Adjust based on your tax bracket.
-                          </p>
-                        </div>
+                        <TaxSettings
+                          regime={regime}
+                          options={{ ...takeHomeDefaults, ...regimeOptions }}
+                          takeHome={takeHome}
+                          currency={currency}
+                          onRegimeChange={handleTaxRegimeChange}
+                          onOptionChange={handleTaxOptionChange}
+                          formatAmount={formatMonthly}
+                        />
                       )}
                     </div>
 
-                    <div className="flex gap-4">
-                      <div className="flex-1">
-                        <Label htmlFor="startHour" className="text-base font-semibold mb-2 block">
-                          Start Hour
-                        </Label>
-                        <Input
-                          id="startHour"
-                          type="number"
-                          min="0"
-                          max="23"
-                          value={startHour}
-                          onChange={handleStartHourChange}
-                          className="w-full"
-                        />
-                      </div>
-                      <div className="flex-1">
-                        <Label htmlFor="endHour" className="text-base font-semibold mb-2 block">
-                          End Hour
-                        </Label>
-                        <Input
-                          id="endHour"
-                          type="number"
-                          min="0"
-                          max="23"
-                          value={endHour}
-                          onChange={handleEndHourChange}
-                          className="w-full"
-                        />
-                      </div>
-                    </div>
                     <div>
-                      <Label className="text-base font-semibold mb-2 block">Working Days</Label>
-                      <div className="grid grid-cols-7 gap-2">
-                        {dayLabels.map((label, idx) => (
-                          <div key={label} className="flex flex-col items-center">
-                            <Label htmlFor={`day-${idx}`} className="text-sm mb-1">{label}</Label>
-                            <input
-                              id={`day-${idx}`}
-                              type="checkbox"
-                              checked={dayToggles[idx]}
-                              onChange={() => handleDayToggle(idx)}
-                              aria-label={label}
-                            />
-                          </div>
-                        ))}
-                      </div>
+                      <Label htmlFor="tracking" className="text-base font-semibold mb-2 block">
+                        Working Time
+                      </Label>
+                      <select
+                        id="tracking"
+                        value={tracking}
+                        onChange={(e) => setTracking(e.target.value)}
+                        className="border rounded px-2 py-1 text-sm w-full"
+                      >
+                        <option value="schedule">Follow my work schedule</option>
+                        <option value="sessions">Clock in and out</option>
+                      </select>
+                      {isTrackingSessions && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          The live figures count your clocked sessions. The schedule below still sets your rate.
+                        </p>
+                      )}
                     </div>
+
+                    <TimeZoneSettings timeZone={timeZone} onTimeZoneChange={setTimeZone} />
+
+                    <ScheduleEditor
+                      schedule={schedule}
+                      breaks={breaks}
+                      onScheduleChange={setSchedule}
+                      onBreaksChange={setBreaks}
+                      warnings={partTime && !isRateBasis ? [checkPartTimeHours(schedule, breaks, partTime)].filter(Boolean) : []}
+                    />
+
+                    {isRateBasis && (
+                      <OvertimeSettings rules={overtime} onRulesChange={setOvertime} />
+                    )}
+
+                    <HolidaySettings
+                      region={holidayRegion}
+                      customHolidays={customHolidays}
+                      onRegionChange={setHolidayRegion}
+                      onCustomHolidaysChange={setCustomHolidays}
+                    />
+
+                    <PayCycleSettings
+                      config={config}
+                      payCycle={payCycle}
+                      onPayCycleChange={handlePayCycleChange}
+                    />
+
+                    <CardSettings cards={cards} onCardsChange={setCards} />
+
+                    <MilestoneSettings
+                      milestones={milestones}
+                      onMilestonesChange={setMilestones}
+                      currency={currency}
+                    />
+
+                    <LeavePlanner
+                      config={config}
+                      allowance={leaveAllowance}
+                      yearStartMonth={leaveYearStart}
+                      onAllowanceChange={setLeaveAllowance}
+                      onYearStartMonthChange={setLeaveYearStart}
+                      onLeaveChange={setLeave}
+                    />
+
+                    <ShareLink
+                      settings={{
+                        annualSalary: currentPay.annualSalary,
+                        payBasis,
+                        payRate: currentPay.payRate,
+                        currency,
+                        schedule,
+                        breaks,
+                        timeZone,
+                        showTakeHome,
+                        taxRegime: regime.id,
+                        taxOptions: { ...takeHomeDefaults, ...regimeOptions },
+                      }}
+                    />
+
+                    <BackupSettings
+                      store={store}
+                      onStoreChange={setStore}
+                      config={config}
+                      takeHomeRatio={takeHome.gross > 0 ? takeHome.net / takeHome.gross : 0}
+                    />
                   </div>
                 </AccordionContent>
               </AccordionItem>
-            </Accordion>
-
-            <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-6 shadow-lg text-white relative overflow-hidden">
-              {/* Pulse indicator for active earning */}
-              {isCurrentlyInWorkHours() && (
-                <motion.div
-                  className="absolute top-4 right-4 w-3 h-3 bg-white rounded-full"
-                  animate={{
-                    opacity: [0.4, 1, 0.4],
-                    scale: [1, 1.2, 1],
-                  }}
-                  transition={{
-                    duration: 2,
-                    repeat: Infinity,
-                    ease: "easeInOut",
-                  }}
-                />
+              {isTrackingSessions && (
+                <AccordionItem value="timesheet">
+                  <AccordionTrigger className="text-lg font-semibold">
+                    Timesheet
+                  </AccordionTrigger>
+                  <AccordionContent>
+                    <Timesheet
+                      config={config}
+                      sessions={sessions}
+                      onSessionsChange={setSessions}
+                      formatAmount={formatSessionAmount}
+                    />
+                  </AccordionContent>
+                </AccordionItem>
               )}
+              <AccordionItem value="history">
+                <AccordionTrigger className="text-lg font-semibold">
+                  History
+                </AccordionTrigger>
+                <AccordionContent>
+                  <EarningsHistory
+                    config={config}
+                    takeHomeRatio={takeHome.gross > 0 ? takeHome.net / takeHome.gross : 0}
+                    showTakeHome={showTakeHome}
+                    formatAmount={(amount) => formatMoney(amount, currency)}
+                  />
+                </AccordionContent>
+              </AccordionItem>
+              <AccordionItem value="scenarios">
+                <AccordionTrigger className="text-lg font-semibold">
+                  What If
+                </AccordionTrigger>
+                <AccordionContent>
+                  <ScenarioSettings
+                    settings={settings}
+                    scenarios={scenarios}
+                    onScenariosChange={setScenarios}
+                    currency={currency}
+                  />
+                  <ScenarioComparison settings={settings} scenarios={scenarios} currency={currency} />
+                </AccordionContent>
+              </AccordionItem>
+            </Accordion>
 
-              <div className="flex items-center gap-3 mb-3">
-                <Calendar className="w-6 h-6" />
-                <h2 className="text-xl font-bold">
-                  Earnings in {currentMonthName}
-                </h2>
-              </div>
-
-              <p className="text-4xl font-semibold">
-                {formatCurrency(earnedSoFar)}
-              </p>
-
-              {showTakeHome && (
-                <p className="text-sm text-blue-100 mt-2">
-                  After {taxPercentage}% tax deduction
-                </p>
-              )}
-            </div>
-            <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-6 shadow-lg text-white mt-4 relative overflow-hidden">
-              {/* Pulse indicator for active earning */}
-              {isCurrentlyInWorkHours() && (
-                <motion.div
-                  className="absolute top-4 right-4 w-3 h-3 bg-white rounded-full"
-                  animate={{
-                    opacity: [0.4, 1, 0.4],
-                    scale: [1, 1.2, 1],
-                  }}
-                  transition={{
-                    duration: 2,
-                    repeat: Infinity,
-                    ease: "easeInOut",
-                    delay: 0.5, // Slight delay from the monthly card
-                  }}
+            <div className="space-y-4">
+              {cards.filter((id) => CARD_STYLES[id]).map((id, index) => (
+                <EarningsCard
+                  key={id}
+                  title={cardTitles[id]}
+                  icon={CARD_STYLES[id].icon}
+                  className={CARD_STYLES[id].card}
+                  subtextClassName={CARD_STYLES[id].subtext}
+                  amount={formatCurrency(earnings[id] || 0)}
+                  secondaryAmount={formatSecondary(earnings[id] || 0)}
+                  description={showTakeHome ? taxDescription : null}
+                  active={isCurrentlyInWorkHours()}
+                  pulseDuration={2 / overtimeMultiplier}
+                  pulseDelay={index * 0.5} // Slight delay from the card above
+                  badge={id === 'today' && overtimeMultiplier > 1 && (
+                    <motion.span
+                      initial={{ opacity: 0, scale: 0.8 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      className="ml-auto mr-5 text-xs font-semibold bg-white text-green-700 rounded-full px-2 py-0.5"
+                    >
+                      Overtime {overtimeMultiplier}×
+                    </motion.span>
+                  )}
+                >
+                  {id === 'today' && isTrackingSessions && (
+                    <div className="flex items-center justify-between mt-4">
+                      <span className="text-sm text-green-100">
+                        {openSession
+                          ? `Clocked in since ${new Date(openSession.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                          : 'Not clocked in'}
+                      </span>
+                      <button
+                        onClick={handleClockToggle}
+                        className="px-3 py-1 rounded-full bg-white text-green-700 text-sm font-semibold hover:bg-green-50"
+                      >
+                        {openSession ? 'Clock out' : 'Clock in'}
+                      </button>
+                    </div>
+                  )}
+                </EarningsCard>
+              ))}
+              {streams.length > 0 && combined && (
+                <EarningsCard
+                  title="All Income Streams"
+                  icon={Layers}
+                  className="from-slate-600 to-slate-700"
+                  subtextClassName="text-slate-200"
+                  amount={Object.entries(combined.month).map(([code, amount], i) => (
+                    <span key={code}>{i > 0 && ' + '}{formatCurrency(amount, code)}</span>
+                  ))}
+                  secondaryAmount={formatCombinedSecondary(combined.month)}
+                  description={`This month across ${streams.length} ${streams.length === 1 ? 'stream' : 'streams'}`
+                    + ` · Today: ${Object.entries(combined.today).map(([code, amount]) => formatMoney(amount, code)).join(' + ')}`}
                 />
               )}
-
-              <div className="flex items-center gap-3 mb-3">
-                <Clock className="w-6 h-6" />
-                <h2 className="text-xl font-bold">
-                  Earnings Today
-                </h2>
-              </div>
-
-              <p className="text-4xl font-semibold">
-                {formatCurrency(earnedToday)}
-              </p>
-
-              {showTakeHome && (
-                <p className="text-sm text-green-100 mt-2">
-                  After {taxPercentage}% tax deduction
-                </p>
-              )}
             </div>
+            <Milestones
+              key={profileId} // Switching profile isn't crossing a milestone
+              milestones={milestones}
+              earnings={earnings}
+              mode={showTakeHome ? 'take-home' : 'gross'}
+              formatAmount={(amount) => formatMoney(amount, currency)}
+            />
             <div className="mt-4 text-sm text-gray-600">
               {/* Prominent earnings rate display - always visible */}
               {earnedPerSecond > 0 && (
@@ -579,68 +939,114 @@ export default function SalaryCounter() {
                       </span>
                     </div>
                     <span className="text-lg font-bold text-blue-600">
-                      {currency}{earnedPerSecond.toFixed(4)}/sec
+                      {formatMoney(earnedPerSecond, currency, { digits: getMinorDigits(currency) + 2 })}/sec
                     </span>
                   </div>
-                  <p className="text-xs text-gray-600 mt-1">During work hours</p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {overtimeMultiplier > 1 ? `Overtime at ${overtimeMultiplier}× the base rate` : 'During paid work time'}
+                  </p>
                 </motion.div>
               )}
 
-              {(!isCurrentlyInWorkHours() || !isDayEnabled(today)) && (
+              {/* Countdown to payday */}
+              <div className="flex items-center justify-between p-3 bg-teal-50 rounded-lg mb-3 border border-teal-100">
+                <div className="flex items-center gap-2">
+                  <Wallet className="w-4 h-4 text-teal-600" />
+                  <span className="text-gray-700">
+                    {daysUntilPayday === 0
+                      ? 'Payday today'
+                      : `Payday in ${daysUntilPayday} ${daysUntilPayday === 1 ? 'day' : 'days'}`}
+                  </span>
+                </div>
+                <span className="text-gray-600 text-xs">
+                  {formatPayday(nextPay.payday)}
+                  {nextPay.payday.getTime() !== nextPay.scheduledPayday.getTime()
+                    && ` (moved from ${formatPayday(nextPay.scheduledPayday)})`}
+                </span>
+              </div>
+
+              {/* The schedule's own clock, when it isn't the device's */}
+              {timeZone && (
+                <div className="flex items-center justify-between p-3 bg-indigo-50 rounded-lg mb-3 border border-indigo-100">
+                  <div className="flex items-center gap-2">
+                    <Globe className="w-4 h-4 text-indigo-600" />
+                    <span className="text-gray-700">Schedule time {formatZonedTime(now, timeZone)}</span>
+                  </div>
+                  <span className="text-gray-600 text-xs">{timeZone.replace(/_/g, ' ')}</span>
+                </div>
+              )}
+
+              {/* Annual leave summary */}
+              {(leave.length > 0 || leaveAllowance > 0) && (
+                <div className="flex items-center justify-between p-3 bg-amber-50 rounded-lg mb-3 border border-amber-100">
+                  <div className="flex items-center gap-2">
+                    <Palmtree className="w-4 h-4 text-amber-600" />
+                    <span className="text-gray-700">
+                      {leaveSummary.remaining} of {leaveSummary.allowance} leave days left
+                    </span>
+                  </div>
+                  <span className="text-gray-600 text-xs">
+                    {formatMonthly(applyTaxCalculation(leaveSummary.valueTaken))} of paid leave taken
+                  </span>
+                </div>
+              )}
+
+              {todayLeave && (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className="flex items-center gap-2 p-3 bg-amber-100 rounded-lg mb-3"
+                >
+                  <div className="w-2 h-2 bg-amber-500 rounded-full"></div>
+                  <p>
+                    {isOnLeave(config, now) || todayLeave.part === 'full'
+                      ? 'On annual leave — this time is still paid.'
+                      : `Half day of leave booked (${todayLeave.part === 'am' ? 'morning' : 'afternoon'}).`}
+                  </p>
+                </motion.div>
+              )}
+
+              {currentBreak && currentBreak.paid && isCurrentlyInWorkHours() && (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className="flex items-center gap-2 p-3 bg-green-50 rounded-lg mb-3"
+                >
+                  <div className="w-2 h-2 bg-green-500 rounded-full"></div>
+                  <p>On a paid break until {currentBreak.end} — earnings keep counting.</p>
+                </motion.div>
+              )}
+
+              {!isCurrentlyInWorkHours() && (
                 <motion.div
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   className="flex items-center gap-2 p-3 bg-gray-100 rounded-lg mb-3"
                 >
                   <div className="w-2 h-2 bg-gray-400 rounded-full"></div>
-                  <p>Earnings increase only during work hours.</p>
+                  {todayHoliday ? (
+                    <p>Bank holiday — no earnings today ({todayHoliday.name}).</p>
+                  ) : currentBreak && !currentBreak.paid ? (
+                    <p>On an unpaid break — earnings resume at {currentBreak.end}.</p>
+                  ) : (
+                    <p>
+                      {isTrackingSessions
+                        ? 'Earnings increase only while you are clocked in.'
+                        : 'Earnings increase only during work hours.'}
+                    </p>
+                  )}
                 </motion.div>
               )}
 
-              {/* Month Progress Bar */}
-              <div className="mt-3">
-                <div className="flex justify-between items-center mb-1">
-                  <span>Progress - {currentMonthName}</span>
-                  <span className="font-medium">{percentComplete}%</span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-3">
-                  <div
-                    className="bg-blue-500 h-3 rounded-full transition-all duration-500 ease-out"
-                    style={{ width: `${percentComplete}%` }}
-                  ></div>
-                </div>
-              </div>
-
-              {/* Today Progress Bar */}
-              <div className="mt-3">
-                {isDayEnabled(today) ? (
-                  <>
-                    <div className="flex justify-between items-center mb-1">
-                      <span>Progress - Today</span>
-                      <span className="font-medium">{todayPercentComplete}%</span>
-                    </div>
-                    <div className="w-full bg-gray-200 rounded-full h-3">
-                      <div
-                        className="bg-green-500 h-3 rounded-full transition-all duration-500 ease-out"
-                        style={{ width: `${todayPercentComplete}%` }}
-                      ></div>
-                    </div>
-                  </>
-                ) : (
-                  <>
-                    <div className="flex justify-between items-center mb-1">
-                      <span>Progress - Today</span>
-                      <span className="font-medium">0%</span>
-                    </div>
-                    <div className="w-full bg-gray-200 rounded-full h-3">
-                      <div
-                        className="bg-green-500 h-3 rounded-full transition-all duration-500 ease-out"
-                        style={{ width: '0%' }}
-                      ></div>
-                    </div>
-                  </>
-                )}
-              </div>
+              {/* Progress bars, in the same order as the cards */}
+              {cards.filter((id) => CARD_STYLES[id]).map((id) => (
+                <ProgressBar
+                  key={id}
+                  label={progressLabels[id]}
+                  percent={cardProgress(id)}
+                  barClassName={CARD_STYLES[id].bar}
+                />
+              ))}
             </div>
           </CardContent>
         </Card>
@@ -648,59 +1054,3 @@ export default function SalaryCounter() {
     </div>
   );
 }
-
-// TEST CASES (Jest + React Testing Library)
-// Because this code is a single file component, you can place this in a separate file named
-// "SalaryCounter.test.js" in the same directory if you'd like to run automated tests.
-
-/*
-import { render, screen } from '@testing-library/react';
-import userEvent from '@testing-library/user-event';
-import SalaryCounter from './SalaryCounter';
-
-describe('SalaryCounter', () => {
-  test('Initial annual salary is 120000', () => {
-    render(<SalaryCounter />);
-    const salaryInput = screen.getByLabelText(/Annual Salary/i);
-    expect(salaryInput.value).toBe('120000');
-  });
-
-  test('Updating the salary input changes the displayed value', async () => {
-    render(<SalaryCounter />);
-    const salaryInput = screen.getByLabelText(/Annual Salary/i);
-    await userEvent.clear(salaryInput);
-    await userEvent.type(salaryInput, '50000');
-    expect(salaryInput.value).toBe('50000');
-  });
-
-  test('Start hour and end hour can be updated', async () => {
-    render(<SalaryCounter />);
-    const startHourInput = screen.getByLabelText(/Start Hour/i);
-    const endHourInput = screen.getByLabelText(/End Hour/i);
-    await userEvent.clear(startHourInput);
-    await userEvent.type(startHourInput, '9');
-    expect(startHourInput.value).toBe('9');
-    await userEvent.clear(endHourInput);
-    await userEvent.type(endHourInput, '17');
-    expect(endHourInput.value).toBe('17');
-  });
-
-  // New test for toggling days
-  test('Toggle days on/off', async () => {
-    render(<SalaryCounter />);
-    const sunCheckbox = screen.getByLabelText('Sun');
-    const monCheckbox = screen.getByLabelText('Mon');
-
-    // By default, Sun is off, Mon is on
-    expect(sunCheckbox.checked).toBe(false);
-    expect(monCheckbox.checked).toBe(true);
-
-    // Toggle Sunday ON
-    await userEvent.click(sunCheckbox);
-    expect(sunCheckbox.checked).toBe(true);
-    // Toggle Monday OFF
-    await userEvent.click(monCheckbox);
-    expect(monCheckbox.checked).toBe(false);
-  });
-});
-*/
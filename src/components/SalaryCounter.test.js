@@ -1,36 +1,62 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import SalaryCounter from './SalaryCounter';
+import { SETTINGS_KEY, SETTINGS_VERSION } from '../lib/settings';
+import { parseShareQuery } from '../lib/share';
+
+// user-event fires its events outside React's act(), so each interaction is
+// wrapped to apply its updates before the test goes on
+async function interact(action) {
+  await act(async () => {
+    await action();
+  });
+}
+
+// The settings live in an accordion that only renders its content when open
+async function renderWithSettings() {
+  render(<SalaryCounter />);
+  await interact(() => userEvent.click(screen.getByText(/Set your salary/i)));
+}
 
 describe('SalaryCounter', () => {
-  test('Initial annual salary is 30000', () => {
-    render(<SalaryCounter />);
+  // Settings are saved as they change; each test starts from the defaults.
+  // The counter ticks on a timer, which only runs when a test moves it on.
+  beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('Initial annual salary is 30000', async () => {
+    await renderWithSettings();
     const salaryInput = screen.getByLabelText(/Annual Salary/i);
     expect(salaryInput.value).toBe('30000');
   });
 
   test('Updating the salary input changes the displayed value', async () => {
-    render(<SalaryCounter />);
+    await renderWithSettings();
     const salaryInput = screen.getByLabelText(/Annual Salary/i);
-    await userEvent.clear(salaryInput);
-    await userEvent.type(salaryInput, '50000');
+    await interact(() => userEvent.clear(salaryInput));
+    await interact(() => userEvent.type(salaryInput, '50000'));
     expect(salaryInput.value).toBe('50000');
   });
 
-  test('Start hour and end hour can be updated', async () => {
-    render(<SalaryCounter />);
-    const startHourInput = screen.getByLabelText(/Start Hour/i);
-    const endHourInput = screen.getByLabelText(/End Hour/i);
-    await userEvent.clear(startHourInput);
-    await userEvent.type(startHourInput, '9');
-    expect(startHourInput.value).toBe('9');
-    await userEvent.clear(endHourInput);
-    await userEvent.type(endHourInput, '17');
-    expect(endHourInput.value).toBe('17');
+  test('Shift times can be updated', async () => {
+    await renderWithSettings();
+    const startInput = screen.getByLabelText('Mon start time 1');
+    const endInput = screen.getByLabelText('Mon end time 1');
+    await interact(() => userEvent.clear(startInput));
+    await interact(() => userEvent.type(startInput, '09:30'));
+    expect(startInput.value).toBe('09:30');
+    await interact(() => userEvent.clear(endInput));
+    await interact(() => userEvent.type(endInput, '17:15'));
+    expect(endInput.value).toBe('17:15');
   });
 
   test('Toggle days on/off', async () => {
-    render(<SalaryCounter />);
+    await renderWithSettings();
     const sunCheckbox = screen.getByRole('checkbox', { name: 'Sun' });
     const monCheckbox = screen.getByRole('checkbox', { name: 'Mon' });
 
@@ -39,10 +65,45 @@ describe('SalaryCounter', () => {
     expect(monCheckbox.checked).toBe(true);
 
     // Toggle Sunday ON
-    await userEvent.click(sunCheckbox);
+    await interact(() => userEvent.click(sunCheckbox));
     expect(sunCheckbox.checked).toBe(true);
     // Toggle Monday OFF
-    await userEvent.click(monCheckbox);
+    await interact(() => userEvent.click(monCheckbox));
     expect(monCheckbox.checked).toBe(false);
   });
-}); 
\ No newline at end of file
+
+  test('Switching a day off drops its breaks', async () => {
+    await renderWithSettings();
+    await interact(() => userEvent.click(screen.getByLabelText('Add a break on Mon')));
+    expect(screen.getByLabelText('Mon break start 1')).toBeTruthy();
+
+    await interact(() => userEvent.click(screen.getByRole('checkbox', { name: 'Mon' })));
+    expect(screen.queryByText(/outside the working hours/)).toBeNull();
+    // Back on, Monday starts without the old break
+    await interact(() => userEvent.click(screen.getByRole('checkbox', { name: 'Mon' })));
+    expect(screen.queryByLabelText('Mon break start 1')).toBeNull();
+  });
+
+  test('Share links carry the schedule time zone', async () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+      version: SETTINGS_VERSION,
+      profileId: 'default',
+      profiles: [{ id: 'default', name: 'My job', active: true }],
+      settings: { default: { timeZone: 'America/New_York' } },
+    }));
+    await renderWithSettings();
+    const link = screen.getByLabelText('Share link').value;
+    expect(link).toContain('tz=America%2FNew_York');
+    expect(parseShareQuery(link.slice(link.indexOf('?'))).settings.timeZone).toBe('America/New_York');
+  });
+
+  test('The part-time hours warning shows once, by the schedule', async () => {
+    await renderWithSettings();
+    await interact(() => userEvent.click(screen.getByLabelText(/Part-time, paid a share/)));
+    const fraction = screen.getByLabelText('FTE');
+    await interact(() => userEvent.clear(fraction));
+    await interact(() => userEvent.type(fraction, '0.6'));
+    // The default schedule is 40 hours a week
+    expect(screen.getAllByText('Your schedule has 40h a week, but 0.6 FTE of a 40h week is 24h.')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { formatMoney } from "../lib/currency";
+import { addDays, parseIsoDate, toIsoDate } from "../lib/dates";
+import { addSalaryChange, getPayOn, removeSalaryChange, updateSalaryChange } from "../lib/salaryhistory";
+
+// Pay changes with the date each takes effect, like a raise from 1 March.
+// Only the amount the pay basis uses is shown. A new change is dated today, or
+// the day after the latest change, and starts from the pay it replaces.
+export default function SalaryHistorySettings({ config, salaryHistory, onSalaryHistoryChange, currency, today }) {
+  // Dates as typed, by the date they replace, until the input loses focus.
+  // Committing every keystroke would move the row while a year is typed.
+  const [dateDrafts, setDateDrafts] = useState({});
+  const [message, setMessage] = useState('');
+  const isRateBasis = config.payBasis === 'hourly' || config.payBasis === 'daily';
+  const field = isRateBasis ? 'payRate' : 'annualSalary';
+  const amountName = isRateBasis ? 'rate' : 'salary';
+
+  const handleAdd = () => {
+    const latest = salaryHistory[salaryHistory.length - 1];
+    const date = latest && latest.date >= toIsoDate(today)
+      ? toIsoDate(addDays(parseIsoDate(latest.date), 1))
+      : toIsoDate(today);
+    onSalaryHistoryChange(addSalaryChange(salaryHistory, { date, ...getPayOn(config, parseIsoDate(date)) }));
+  };
+
+  const handleAmountChange = (date, value) => {
+    let amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0) {
+      amount = 0;
+    }
+    onSalaryHistoryChange(updateSalaryChange(salaryHistory, date, { [field]: amount }));
+  };
+
+  // A date already taken by another change is refused rather than replacing it
+  const handleDateCommit = (date) => {
+    const value = dateDrafts[date];
+    setDateDrafts((prev) => ({ ...prev, [date]: undefined }));
+    if (!value || value === date) return;
+    if (salaryHistory.some((change) => change.date === value)) {
+      setMessage(`There is already a pay change on ${value}.`);
+      return;
+    }
+    setMessage('');
+    onSalaryHistoryChange(updateSalaryChange(salaryHistory, date, { date: value }));
+  };
+
+  return (
+    <div>
+      <Label className="text-sm text-gray-600 mb-1 block">Pay changes</Label>
+      {salaryHistory.length > 0 && (
+        <p className="text-xs text-gray-500 mb-2">
+          The {amountName} above is paid until the first change. Now paid:{' '}
+          {formatMoney(getPayOn(config, today)[field], currency)}.
+        </p>
+      )}
+      <ul className="text-sm space-y-2">
+        {salaryHistory.map((change) => (
+          <li key={change.date} className="flex gap-2 items-center">
+            <span className="text-gray-600">From</span>
+            <Input
+              type="date"
+              value={dateDrafts[change.date] !== undefined ? dateDrafts[change.date] : change.date}
+              onChange={(e) => setDateDrafts((prev) => ({ ...prev, [change.date]: e.target.value }))}
+              onBlur={() => handleDateCommit(change.date)}
+              className="w-40"
+              aria-label={`Date of the ${amountName} change`}
+            />
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              value={change[field]}
+              onChange={(e) => handleAmountChange(change.date, e.target.value)}
+              className="flex-1"
+              aria-label={`New ${amountName} from ${change.date}`}
+            />
+            <button
+              onClick={() => onSalaryHistoryChange(removeSalaryChange(salaryHistory, change.date))}
+              className="text-gray-400 hover:text-red-600 px-1"
+              aria-label={`Remove the change from ${change.date}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      {message && <p className="text-xs text-red-600 mt-1">{message}</p>}
+      <button onClick={handleAdd} className="mt-2 text-xs text-blue-600 underline">
+        + Add pay change
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { formatMoney, getMinorDigits } from "../lib/currency";
+import { toIsoDate } from "../lib/dates";
+import { getDateToReach, getScenarioSettings, summarizePay } from "../lib/scenarios";
+import { getEngineConfig } from "../lib/settings";
+
+const DEFAULT_TARGET = 10000;
+
+// Helper function: everything a column's figures depend on, as a string. A
+// column is only worked out again when this changes, so editing one scenario,
+// or a setting none of them use, leaves the others alone.
+function getColumnKey(settings, config, target, now) {
+  const { sessions, ...schedule } = config;
+  const { taxRegime, taxPercentage, taxOptions } = settings;
+  return JSON.stringify([schedule, taxRegime, taxPercentage, taxOptions, target, toIsoDate(new Date(now))]);
+}
+
+// Rows of the comparison, all net of deductions
+const PAY_ROWS = [
+  { field: 'perSecondNet', label: 'Per second', extraDigits: 2 },
+  { field: 'dailyNet', label: 'Per working day', extraDigits: 0 },
+  { field: 'monthlyNet', label: 'Per month', extraDigits: 0 },
+  { field: 'annualNet', label: 'Per year', extraDigits: 0 },
+];
+
+// The profile's own pay next to each scenario's: net pay per second, day,
+// month and year, and when each would reach a target amount from now.
+export default function ScenarioComparison({ settings, scenarios, currency }) {
+  const [target, setTarget] = useState(DEFAULT_TARGET);
+
+  // Each column's figures by getColumnKey, from the last time they were shown
+  const figures = useRef(new Map());
+
+  const columns = useMemo(() => {
+    const now = Date.now();
+    const previous = figures.current;
+    figures.current = new Map();
+    return [{ id: 'current', name: 'Current', settings }, ...scenarios.map((scenario) => ({
+      id: scenario.id,
+      name: scenario.name,
+      settings: getScenarioSettings(settings, scenario),
+    }))].map((column) => {
+      const config = { ...getEngineConfig(column.settings), tracking: 'schedule' };
+      const key = getColumnKey(column.settings, config, target, now);
+      if (!figures.current.has(key)) {
+        if (previous.has(key)) {
+          figures.current.set(key, previous.get(key));
+        } else {
+          const pay = summarizePay(column.settings, config, now);
+          figures.current.set(key, { pay, reachedOn: getDateToReach(config, pay.ratio, target, now) });
+        }
+      }
+      return { ...column, ...figures.current.get(key) };
+    });
+  }, [settings, scenarios, target]);
+
+  const handleTargetChange = (e) => {
+    let amount = parseFloat(e.target.value);
+    if (isNaN(amount) || amount < 0) {
+      amount = 0;
+    }
+    setTarget(amount);
+  };
+
+  if (scenarios.length === 0) {
+    return <p className="text-sm text-gray-500 mt-3">Add a scenario to compare it with your current pay.</p>;
+  }
+
+  const [current] = columns;
+  const format = (amount, extraDigits) => (
+    formatMoney(amount, currency, { digits: getMinorDigits(currency) + extraDigits })
+  );
+
+  return (
+    <div className="mt-4 text-sm">
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="font-medium py-1">Take-home</th>
+              {columns.map((column) => (
+                <th key={column.id} className="font-medium py-1 text-right">{column.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {PAY_ROWS.map(({ field, label, extraDigits }) => (
+              <tr key={field} className="border-t">
+                <td className="py-1 text-gray-600">{label}</td>
+                {columns.map((column) => {
+                  // Differences too small to show at this precision are left out
+                  const difference = column.pay[field] - current.pay[field];
+                  const shown = format(Math.abs(difference), extraDigits);
+                  return (
+                    <td key={column.id} className="py-1 text-right font-mono">
+                      {format(column.pay[field], extraDigits)}
+                      {column.id !== 'current' && shown !== format(0, extraDigits) && (
+                        <span className={`block text-xs ${difference > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {difference > 0 ? '+' : '−'}{shown}
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            <tr className="border-t">
+              <td className="py-1 text-gray-600">Reach {formatMoney(target, currency, { digits: 0 })} by</td>
+              {columns.map((column) => (
+                <td key={column.id} className="py-1 text-right">
+                  {column.reachedOn
+                    ? column.reachedOn.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })
+                    : 'Not within 10 years'}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center gap-2 mt-3">
+        <Label htmlFor="scenarioTarget" className="text-sm text-gray-600">Target to reach from now ({currency})</Label>
+        <Input
+          id="scenarioTarget"
+          type="number"
+          min="0"
+          step="any"
+          value={target}
+          onChange={handleTargetChange}
+          className="w-32"
+        />
+      </div>
+      {current.reachedOn && (
+        <p className="text-gray-600 mt-2">
+          At your current pay you'll take home {formatMoney(target, currency, { digits: 0 })} by{' '}
+          {current.reachedOn.toLocaleDateString([], { day: 'numeric', month: 'long', year: 'numeric' })}.
+        </p>
+      )}
+    </div>
+  );
+}
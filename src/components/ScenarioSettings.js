@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { PAY_BASES } from "../lib/earnings";
+import { addScenario, getScenarioSettings, removeScenario, renameScenario, updateScenario } from "../lib/scenarios";
+import { TAX_REGIMES, getDefaultTaxOptions, getTaxRegime } from "../lib/tax";
+import ScheduleEditor from "./ScheduleEditor";
+
+// Adds, edits and removes "what if" scenarios: their pay, tax settings and
+// hours. A new scenario starts as a copy of the profile; whatever is changed
+// here is kept as the scenario's changes.
+export default function ScenarioSettings({ settings, scenarios, onScenariosChange, currency }) {
+  // The scenario whose hours are open for editing
+  const [editingHoursId, setEditingHoursId] = useState(null);
+
+  const handleAdd = () => {
+    onScenariosChange(addScenario(scenarios, `Scenario ${scenarios.length + 1}`).scenarios);
+  };
+
+  // Takes the previous list, as the schedule editor can make two changes at once
+  const change = (id, changes) => onScenariosChange((prev) => updateScenario(prev, id, changes));
+
+  // Amounts follow the pattern of the main salary inputs: blank or negative is 0
+  const handleAmountChange = (id, field, value, max = Infinity) => {
+    let amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0) {
+      amount = 0;
+    }
+    change(id, { [field]: Math.min(max, amount) });
+  };
+
+  // Options of the scenario's tax regime, like a filing status or pension.
+  // The scenario keeps its own copy of the tax options once one is changed.
+  const handleTaxOptionChange = (id, values, regime, option, value) => {
+    let next = value;
+    if (option.type === 'number') {
+      next = parseFloat(value);
+      if (isNaN(next) || next < option.min) {
+        next = option.min ?? 0;
+      } else if (next > option.max) {
+        next = option.max;
+      }
+    }
+    const options = { ...getDefaultTaxOptions(regime), ...values.taxOptions[regime.id], [option.id]: next };
+    change(id, { taxOptions: { ...values.taxOptions, [regime.id]: options } });
+  };
+
+  const renderTaxOption = (scenario, values, regime, option) => {
+    const options = { ...getDefaultTaxOptions(regime), ...values.taxOptions[regime.id] };
+    const label = `${scenario.name} ${option.label}`;
+    const onChange = (value) => handleTaxOptionChange(scenario.id, values, regime, option, value);
+
+    if (option.type === 'checkbox') {
+      return (
+        <label key={option.id} className="flex items-center gap-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={!!options[option.id]}
+            onChange={() => onChange(!options[option.id])}
+            aria-label={label}
+          />
+          {option.label}
+        </label>
+      );
+    }
+    if (option.type === 'select') {
+      return (
+        <select
+          key={option.id}
+          value={options[option.id]}
+          onChange={(e) => onChange(e.target.value)}
+          className="border rounded px-2 py-1"
+          aria-label={label}
+        >
+          {Object.entries(option.choices).map(([value, choice]) => (
+            <option key={value} value={value}>{choice}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <Input
+        key={option.id}
+        type="number"
+        min={option.min}
+        max={option.max}
+        step={option.step}
+        value={options[option.id]}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={label}
+        title={option.label}
+      />
+    );
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Scenarios</Label>
+      <ul className="text-sm space-y-4">
+        {scenarios.map((scenario) => {
+          const values = getScenarioSettings(settings, scenario);
+          const isRateBasis = values.payBasis === 'hourly' || values.payBasis === 'daily';
+          const amountField = isRateBasis ? 'payRate' : 'annualSalary';
+          const regime = getTaxRegime(values.taxRegime);
+          return (
+            <li key={scenario.id} className="space-y-2 border-b pb-3">
+              <div className="flex gap-2 items-center">
+                <Input
+                  value={scenario.name}
+                  onChange={(e) => onScenariosChange(renameScenario(scenarios, scenario.id, e.target.value))}
+                  className="flex-1"
+                  aria-label="Scenario name"
+                />
+                <button
+                  onClick={() => onScenariosChange(removeScenario(scenarios, scenario.id))}
+                  className="text-gray-400 hover:text-red-600 px-1"
+                  aria-label={`Remove ${scenario.name}`}
+                >
+                  ×
+                </button>
+              </div>
+              <select
+                value={values.payBasis}
+                onChange={(e) => change(scenario.id, { payBasis: e.target.value })}
+                className="border rounded px-2 py-1 w-full"
+                aria-label={`${scenario.name} pay basis`}
+              >
+                {Object.entries(PAY_BASES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <div className="flex gap-2">
+                <Input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={values[amountField]}
+                  onChange={(e) => handleAmountChange(scenario.id, amountField, e.target.value)}
+                  className="flex-1"
+                  aria-label={`${scenario.name} ${isRateBasis ? 'pay rate' : 'annual salary'} in ${currency}`}
+                />
+                <select
+                  value={values.taxRegime}
+                  onChange={(e) => change(scenario.id, { taxRegime: e.target.value })}
+                  className="border rounded px-2 py-1 flex-1"
+                  aria-label={`${scenario.name} tax calculation`}
+                >
+                  {Object.values(TAX_REGIMES).map((regime) => (
+                    <option key={regime.id} value={regime.id}>{regime.label}</option>
+                  ))}
+                </select>
+                {values.taxRegime === 'simple' && (
+                  <Input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={values.taxPercentage}
+                    onChange={(e) => handleAmountChange(scenario.id, 'taxPercentage', e.target.value, 100)}
+                    className="w-20"
+                    aria-label={`${scenario.name} tax rate`}
+                  />
+                )}
+              </div>
+              {regime.options.length > 0 && (
+                <div className="grid grid-cols-2 gap-2">
+                  {regime.options.map((option) => renderTaxOption(scenario, values, regime, option))}
+                </div>
+              )}
+              <button
+                onClick={() => setEditingHoursId(editingHoursId === scenario.id ? null : scenario.id)}
+                className="text-xs text-blue-600 underline"
+              >
+                {editingHoursId === scenario.id ? 'Done with hours' : 'Change hours'}
+              </button>
+              {editingHoursId === scenario.id && (
+                <ScheduleEditor
+                  schedule={values.schedule}
+                  breaks={values.breaks}
+                  onScheduleChange={(schedule) => change(scenario.id, { schedule })}
+                  onBreaksChange={(breaks) => change(scenario.id, { breaks })}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button onClick={handleAdd} className="mt-2 text-xs text-blue-600 underline">
+        + Add scenario
+      </button>
+    </div>
+  );
+}
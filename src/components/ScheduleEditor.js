@@ -0,0 +1,221 @@
+import React from 'react';
+import { Label } from "../components/ui/label";
+import {
+  DAY_LABELS,
+  formatTime,
+  getScheduledHoursForWeekday,
+  isOvernight,
+  parseTime,
+  validateSchedule,
+} from "../lib/schedule";
+
+// Order the week Monday first, as most rotas are written
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const DEFAULT_SEGMENT = { start: '09:00', end: '17:00' };
+
+const DEFAULT_BREAK = { start: '12:00', end: '13:00', paid: false };
+
+// Weekly schedule settings: which days are worked, one or more HH:MM
+// segments on each of them, and paid or unpaid breaks. `warnings` are shown
+// after the schedule's own problems, for hours that don't suit other settings.
+export default function ScheduleEditor({ schedule, breaks, onScheduleChange, onBreaksChange, warnings = [] }) {
+  const segmentsFor = (day) => schedule[day] || [];
+  const breaksFor = (day) => breaks[day] || [];
+
+  const setSegments = (day, segments) => {
+    onScheduleChange({ ...schedule, [day]: segments });
+  };
+
+  // Switching a day on copies the first worked day's hours. Switching it off
+  // drops its breaks too, as they would be hidden with the day.
+  const handleDayToggle = (day) => {
+    if (segmentsFor(day).length > 0) {
+      setSegments(day, []);
+      onBreaksChange({ ...breaks, [day]: [] });
+      return;
+    }
+    const template = WEEK_ORDER.map(segmentsFor).find((segments) => segments.length > 0);
+    setSegments(day, template ? template.map((segment) => ({ ...segment })) : [{ ...DEFAULT_SEGMENT }]);
+  };
+
+  const handleTimeChange = (day, index, field, value) => {
+    setSegments(day, segmentsFor(day).map((segment, i) => (
+      i === index ? { ...segment, [field]: value } : segment
+    )));
+  };
+
+  const handleAddSegment = (day) => {
+    const segments = segmentsFor(day);
+    const last = segments[segments.length - 1];
+    const end = last && parseTime(last.end);
+    setSegments(day, [
+      ...segments,
+      end >= 0 ? { start: last.end, end: formatTime((end + 60) % (24 * 60)) } : { ...DEFAULT_SEGMENT },
+    ]);
+  };
+
+  const handleRemoveSegment = (day, index) => {
+    setSegments(day, segmentsFor(day).filter((segment, i) => i !== index));
+  };
+
+  const setBreaks = (day, dayBreaks) => {
+    onBreaksChange({ ...breaks, [day]: dayBreaks });
+  };
+
+  const handleBreakChange = (day, index, field, value) => {
+    setBreaks(day, breaksFor(day).map((entry, i) => (
+      i === index ? { ...entry, [field]: value } : entry
+    )));
+  };
+
+  // Copies Monday's segments and breaks to every other worked day
+  const handleCopyMonday = () => {
+    const nextSchedule = { ...schedule };
+    const nextBreaks = { ...breaks };
+    WEEK_ORDER.forEach((day) => {
+      if (day !== 1 && segmentsFor(day).length > 0) {
+        nextSchedule[day] = segmentsFor(1).map((segment) => ({ ...segment }));
+        nextBreaks[day] = breaksFor(1).map((entry) => ({ ...entry }));
+      }
+    });
+    onScheduleChange(nextSchedule);
+    onBreaksChange(nextBreaks);
+  };
+
+  const weeklyHours = WEEK_ORDER.reduce((sum, day) => sum + getScheduledHoursForWeekday(schedule, day, breaks), 0);
+  const problems = validateSchedule(schedule, breaks);
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Working Days</Label>
+      <div className="grid grid-cols-7 gap-2">
+        {DAY_LABELS.map((label, idx) => (
+          <div key={label} className="flex flex-col items-center">
+            <Label htmlFor={`day-${idx}`} className="text-sm mb-1">{label}</Label>
+            <input
+              id={`day-${idx}`}
+              type="checkbox"
+              checked={segmentsFor(idx).length > 0}
+              onChange={() => handleDayToggle(idx)}
+              aria-label={label}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {WEEK_ORDER.filter((day) => segmentsFor(day).length > 0).map((day) => (
+          <div key={day} className="flex gap-2 items-start text-sm">
+            <span className="w-10 pt-1 font-medium">{DAY_LABELS[day]}</span>
+            <div className="flex-1 space-y-1">
+              {segmentsFor(day).map((segment, index) => (
+                <div key={index} className="flex gap-1 items-center">
+                  <input
+                    type="time"
+                    value={segment.start}
+                    onChange={(e) => handleTimeChange(day, index, 'start', e.target.value)}
+                    aria-label={`${DAY_LABELS[day]} start time ${index + 1}`}
+                    className="border rounded px-1 py-0.5"
+                  />
+                  <span>–</span>
+                  <input
+                    type="time"
+                    value={segment.end}
+                    onChange={(e) => handleTimeChange(day, index, 'end', e.target.value)}
+                    aria-label={`${DAY_LABELS[day]} end time ${index + 1}`}
+                    className="border rounded px-1 py-0.5"
+                  />
+                  {isOvernight(segment) && (
+                    <span className="text-xs text-gray-500">next day</span>
+                  )}
+                  {segmentsFor(day).length > 1 && (
+                    <button
+                      onClick={() => handleRemoveSegment(day, index)}
+                      className="text-gray-400 hover:text-red-600 px-1"
+                      aria-label={`Remove ${DAY_LABELS[day]} segment ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
+              {breaksFor(day).map((entry, index) => (
+                <div key={`break-${index}`} className="flex gap-1 items-center text-gray-600">
+                  <span className="text-xs w-10">Break</span>
+                  <input
+                    type="time"
+                    value={entry.start}
+                    onChange={(e) => handleBreakChange(day, index, 'start', e.target.value)}
+                    aria-label={`${DAY_LABELS[day]} break start ${index + 1}`}
+                    className="border rounded px-1 py-0.5"
+                  />
+                  <span>–</span>
+                  <input
+                    type="time"
+                    value={entry.end}
+                    onChange={(e) => handleBreakChange(day, index, 'end', e.target.value)}
+                    aria-label={`${DAY_LABELS[day]} break end ${index + 1}`}
+                    className="border rounded px-1 py-0.5"
+                  />
+                  <label className="flex items-center gap-1 text-xs">
+                    <input
+                      type="checkbox"
+                      checked={!!entry.paid}
+                      onChange={(e) => handleBreakChange(day, index, 'paid', e.target.checked)}
+                      aria-label={`${DAY_LABELS[day]} break ${index + 1} is paid`}
+                    />
+                    Paid
+                  </label>
+                  <button
+                    onClick={() => setBreaks(day, breaksFor(day).filter((other, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-600 px-1"
+                    aria-label={`Remove ${DAY_LABELS[day]} break ${index + 1}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex flex-col items-end pt-1">
+              <button
+                onClick={() => handleAddSegment(day)}
+                className="text-xs text-blue-600 underline"
+                aria-label={`Add a segment on ${DAY_LABELS[day]}`}
+              >
+                + segment
+              </button>
+              <button
+                onClick={() => setBreaks(day, [...breaksFor(day), { ...DEFAULT_BREAK }])}
+                className="text-xs text-blue-600 underline"
+                aria-label={`Add a break on ${DAY_LABELS[day]}`}
+              >
+                + break
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mt-2 text-xs text-red-600 list-disc pl-4">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      {warnings.length > 0 && (
+        <ul className="mt-2 text-xs text-amber-600 list-disc pl-4">
+          {warnings.map((warning) => <li key={warning}>{warning}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-between items-center mt-2 text-xs text-gray-500">
+        <span>{+weeklyHours.toFixed(2)} paid hours a week</span>
+        {segmentsFor(1).length > 0 && (
+          <button onClick={handleCopyMonday} className="underline text-blue-600">
+            Copy Monday to all working days
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
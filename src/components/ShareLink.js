@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { createShareQuery } from "../lib/share";
+
+// A link that opens the counter with these settings, for sending to someone.
+// The salary can be kept out of it.
+export default function ShareLink({ settings }) {
+  const [includeSalary, setIncludeSalary] = useState(true);
+  const [copied, setCopied] = useState(false);
+
+  const link = `${window.location.origin}${window.location.pathname}?${createShareQuery(settings, { includeSalary })}`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (error) {
+      // No clipboard access; the link is still there to copy by hand
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div>
+      <Label className="text-base font-semibold mb-2 block">Share</Label>
+      <div className="flex gap-2 items-center text-sm">
+        <button
+          onClick={handleCopy}
+          className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+        >
+          {copied ? 'Link copied' : 'Copy share link'}
+        </button>
+        <label className="flex items-center gap-1 text-gray-600">
+          <input
+            type="checkbox"
+            checked={includeSalary}
+            onChange={(e) => {
+              setIncludeSalary(e.target.checked);
+              setCopied(false);
+            }}
+          />
+          Include my salary
+        </label>
+      </div>
+      <Input
+        readOnly
+        value={link}
+        onFocus={(e) => e.target.select()}
+        className="mt-2 text-xs"
+        aria-label="Share link"
+      />
+    </div>
+  );
+}
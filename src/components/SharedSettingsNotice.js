@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatMoney } from "../lib/currency";
+import { getTaxRegime } from "../lib/tax";
+
+// Helper function: an amount in the link's currency, or a plain number when
+// the link has none
+function formatShared(amount, currency) {
+  return currency ? formatMoney(amount, currency) : amount.toLocaleString();
+}
+
+// Helper function: a short summary of what a share link sets
+function describeShared(settings) {
+  const parts = [];
+  if (settings.annualSalary !== undefined) {
+    parts.push(`salary ${formatShared(settings.annualSalary, settings.currency)}`);
+  }
+  if (settings.payRate !== undefined) {
+    parts.push(`rate ${formatShared(settings.payRate, settings.currency)}`);
+  }
+  if (settings.schedule) {
+    const days = Object.values(settings.schedule).filter((segments) => segments.length > 0).length;
+    parts.push(`${days} working day${days === 1 ? '' : 's'}`);
+  }
+  if (settings.taxRegime) {
+    parts.push(getTaxRegime(settings.taxRegime).label);
+  }
+  return parts.join(' · ');
+}
+
+// Shown when the page was opened from a share link. Nothing is saved until
+// the user picks where the shared settings go.
+export default function SharedSettingsNotice({ sharedLink, profileName, onOpenAsProfile, onReplace, onDismiss }) {
+  const { settings, problems } = sharedLink;
+  return (
+    <div className="p-3 bg-blue-50 border border-blue-100 rounded-lg mb-4 text-sm">
+      <p className="font-semibold text-gray-700">This link has shared settings</p>
+      <p className="text-gray-600">{describeShared(settings) || 'Nothing that can be used.'}</p>
+      {problems.length > 0 && (
+        <ul className="text-xs text-red-600 mt-1 list-disc pl-4">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-2 mt-2">
+        <button
+          onClick={onOpenAsProfile}
+          className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Open as a new profile
+        </button>
+        <button onClick={onReplace} className="text-blue-600 underline">
+          Replace {profileName}
+        </button>
+        <button onClick={onDismiss} className="text-gray-500 underline">
+          Ignore
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { TAX_REGIMES } from "../lib/tax";
+
+// Take-home settings: the tax regime picker, that regime's options and the
+// itemised annual deductions for the current salary.
+export default function TaxSettings({
+  regime,
+  options,
+  takeHome,
+  currency,
+  onRegimeChange,
+  onOptionChange,
+  formatAmount,
+}) {
+  const handleNumberChange = (option) => (e) => {
+    let val = parseFloat(e.target.value);
+    if (isNaN(val) || val < option.min) {
+      val = option.min ?? 0;
+    } else if (val > option.max) {
+      val = option.max;
+    }
+    onOptionChange(option.id, val);
+  };
+
+  const renderOption = (option) => {
+    const id = `tax-option-${option.id}`;
+
+    if (option.type === 'checkbox') {
+      return (
+        <div key={option.id} className="flex items-center gap-2">
+          <input
+            id={id}
+            type="checkbox"
+            checked={!!options[option.id]}
+            onChange={() => onOptionChange(option.id, !options[option.id])}
+          />
+          <Label htmlFor={id} className="text-sm">
+            {option.label}
+          </Label>
+        </div>
+      );
+    }
+
+    return (
+      <div key={option.id}>
+        <Label htmlFor={id} className="text-sm font-medium mb-2 block">
+          {option.label}
+        </Label>
+        {option.type === 'select' ? (
+          <select
+            id={id}
+            value={options[option.id]}
+            onChange={(e) => onOptionChange(option.id, e.target.value)}
+            className="border rounded px-2 py-1 text-sm w-full"
+          >
+            {Object.entries(option.choices).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        ) : (
+          <Input
+            id={id}
+            type="number"
+            min={option.min}
+            max={option.max}
+            step={option.step}
+            value={options[option.id]}
+            onChange={handleNumberChange(option)}
+            className="w-full"
+          />
+        )}
+        {option.help && (
+          <p className="text-xs text-gray-500 mt-1">{option.help}</p>
+        )}
+      </div>
+    );
+  };
+
+  const deductions = takeHome.deductions.filter((d) => d.amount > 0);
+
+  return (
+    <div className="mt-3 space-y-3">
+      <div>
+        <Label htmlFor="taxRegime" className="text-sm font-medium mb-2 block">
+          Tax Calculation
+        </Label>
+        <select
+          id="taxRegime"
+          value={regime.id}
+          onChange={(e) => onRegimeChange(e.target.value)}
+          className="border rounded px-2 py-1 text-sm w-full"
+        >
+          {Object.values(TAX_REGIMES).map((r) => (
+            <option key={r.id} value={r.id}>{r.label}</option>
+          ))}
+        </select>
+        {regime.currency && regime.currency !== currency && (
+          <p className="text-xs text-amber-600 mt-1">
+            {regime.label} thresholds are in {regime.currency}; your salary is shown in {currency}.
+          </p>
+        )}
+      </div>
+
+      {regime.options.map(renderOption)}
+
+      {/* Itemised annual deductions */}
+      <div className="rounded-lg bg-gray-50 p-3 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Gross per year</span>
+          <span className="font-mono">{formatAmount(takeHome.gross)}</span>
+        </div>
+        {deductions.map((d) => (
+          <div key={d.label} className="flex justify-between">
+            <span className="text-gray-600">{d.label}</span>
+            <span className="font-mono text-red-600">−{formatAmount(d.amount)}</span>
+          </div>
+        ))}
+        <div className="flex justify-between border-t mt-1 pt-1 font-semibold">
+          <span>Take-home per year</span>
+          <span className="font-mono">{formatAmount(takeHome.net)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
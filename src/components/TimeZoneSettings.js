@@ -0,0 +1,35 @@
+import React from 'react';
+import { Label } from "../components/ui/label";
+import { formatZonedTime, getDeviceTimeZone, getTimeZones } from "../lib/timezone";
+
+// The time zone the schedule is kept in. Working hours, and where days and
+// months start, follow that zone's clock wherever the device is.
+export default function TimeZoneSettings({ timeZone, onTimeZoneChange }) {
+  const deviceZone = getDeviceTimeZone();
+  const zones = getTimeZones();
+
+  return (
+    <div>
+      <Label htmlFor="timeZone" className="text-base font-semibold mb-2 block">
+        Time Zone
+      </Label>
+      <select
+        id="timeZone"
+        value={timeZone}
+        onChange={(e) => onTimeZoneChange(e.target.value)}
+        className="border rounded px-2 py-1 text-sm w-full"
+      >
+        <option value="">This device ({deviceZone})</option>
+        {/* A saved zone this browser doesn't list still shows */}
+        {[...(timeZone && !zones.includes(timeZone) ? [timeZone] : []), ...zones].map((zone) => (
+          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        {timeZone
+          ? `Your hours are in ${timeZone} time, where it is now ${formatZonedTime(Date.now(), timeZone)}.`
+          : 'Your hours follow this device\'s clock.'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react';
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { parseLocalDateTime, toIsoDate, toLocalDateTime } from "../lib/dates";
+import { calculateEarningsBetween } from "../lib/earnings";
+import { addSession, deleteSession, updateSession, validateSession } from "../lib/sessions";
+
+// Helper function: 'HH:MM' for a timestamp
+function formatClock(time) {
+  return toLocalDateTime(new Date(time)).slice(11);
+}
+
+// Helper function: '7h 05m' for a length of time in milliseconds
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Timesheet of clocked sessions, newest first, with their earnings. Sessions
+// can be edited, deleted or added after the fact.
+export default function Timesheet({ config, sessions, onSessionsChange, formatAmount }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ start: '', end: '' });
+  const [message, setMessage] = useState('');
+
+  const now = Date.now();
+
+  // Reads the draft into a session, or sets a message and returns null
+  const readDraft = (id, allowOpen) => {
+    const start = parseLocalDateTime(draft.start);
+    const end = allowOpen && draft.end === '' ? null : parseLocalDateTime(draft.end);
+    const problem = validateSession(sessions, { id, start, end }, now);
+    setMessage(problem || '');
+    return problem ? null : { start, end };
+  };
+
+  const handleAdd = () => {
+    const session = readDraft(null, false);
+    if (!session) return;
+    onSessionsChange(addSession(sessions, session.start, session.end));
+    setDraft({ start: '', end: '' });
+  };
+
+  const handleEdit = (session) => {
+    setEditingId(session.id);
+    setMessage('');
+    setDraft({
+      start: toLocalDateTime(new Date(session.start)),
+      end: session.end === null ? '' : toLocalDateTime(new Date(session.end)),
+    });
+  };
+
+  const handleSave = (session) => {
+    // The open session may stay open
+    const changes = readDraft(session.id, session.end === null);
+    if (!changes) return;
+    onSessionsChange(updateSession(sessions, session.id, changes));
+    setEditingId(null);
+    setDraft({ start: '', end: '' });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setMessage('');
+    setDraft({ start: '', end: '' });
+  };
+
+  const newestFirst = [...sessions].reverse();
+
+  // Closed sessions earn the same until the sessions or settings change, so
+  // only the open one is worked out on every render. The engine shares one
+  // rate function between all calls with the same config.
+  const closedEarnings = useMemo(() => new Map(sessions
+    .filter((session) => session.end !== null)
+    .map((session) => [session.id, calculateEarningsBetween(config, session.start, session.end)])
+  ), [config, sessions]);
+  const earnedIn = (session) => (session.end === null
+    ? calculateEarningsBetween(config, session.start, now)
+    : closedEarnings.get(session.id));
+
+  return (
+    <div>
+      {newestFirst.length === 0 && (
+        <p className="text-sm text-gray-500">No sessions yet. Clock in to start one.</p>
+      )}
+      <ul className="text-sm divide-y">
+        {newestFirst.map((session) => {
+          const end = session.end === null ? now : session.end;
+          return (
+            <li key={session.id} className="py-1">
+              {editingId === session.id ? (
+                <div className="flex flex-col gap-1">
+                  <Input
+                    type="datetime-local"
+                    value={draft.start}
+                    onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+                    aria-label="Session start"
+                  />
+                  <Input
+                    type="datetime-local"
+                    value={draft.end}
+                    onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+                    aria-label="Session end"
+                  />
+                  <div className="flex gap-2">
+                    <button onClick={() => handleSave(session)} className="text-blue-600 underline">Save</button>
+                    <button onClick={handleCancel} className="text-gray-500 underline">Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex justify-between items-center">
+                  <span>
+                    {toIsoDate(new Date(session.start))} · {formatClock(session.start)}–
+                    {session.end === null ? 'now' : formatClock(session.end)}
+                    <span className="text-gray-500"> · {formatDuration(end - session.start)}</span>
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className="font-medium">{formatAmount(earnedIn(session))}</span>
+                    <button
+                      onClick={() => handleEdit(session)}
+                      className="text-xs text-blue-600 underline"
+                      aria-label={`Edit session starting ${toLocalDateTime(new Date(session.start))}`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => onSessionsChange(deleteSession(sessions, session.id))}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Delete session starting ${toLocalDateTime(new Date(session.start))}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {editingId === null && (
+        <div className="mt-3">
+          <Label className="text-sm text-gray-600 mb-1 block">Add a session</Label>
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              type="datetime-local"
+              value={draft.start}
+              onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+              aria-label="New session start"
+            />
+            <Input
+              type="datetime-local"
+              value={draft.end}
+              onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+              aria-label="New session end"
+            />
+          </div>
+          <button
+            onClick={handleAdd}
+            className="mt-2 px-3 py-1 rounded bg-blue-600 text-white text-sm hover:bg-blue-700"
+          >
+            Add session
+          </button>
+        </div>
+      )}
+      {message && <p className="text-xs text-red-600 mt-1">{message}</p>}
+    </div>
+  );
+}
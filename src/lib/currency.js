@@ -0,0 +1,108 @@
+// Currencies, by ISO 4217 code, and money formatting. Amounts are formatted
+// in the user's locale with the currency's own number of minor digits: two
+// for pounds, none for yen, three for dinars.
+
+// Every ISO 4217 currency in circulation. Fund codes, precious metals and the
+// testing codes are left out, as nobody is paid in them.
+export const CURRENCY_CODES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+  'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+  'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+  'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+  'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+  'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+  'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+  'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+  'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+  'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+  'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+  'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+  'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+  'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF',
+  'XPF', 'YER', 'ZAR', 'ZMW', 'ZWL',
+];
+
+// Minor digits from ISO 4217 where they aren't two
+const MINOR_DIGITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+export const DEFAULT_CURRENCY = 'GBP';
+
+// The symbols currencies were saved as before codes were used
+export const LEGACY_CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR', '¥': 'JPY' };
+
+export function isCurrencyCode(code) {
+  return CURRENCY_CODES.includes(code);
+}
+
+// Digits after the decimal point in the currency's smallest unit
+export function getMinorDigits(code) {
+  return MINOR_DIGITS[code] === undefined ? 2 : MINOR_DIGITS[code];
+}
+
+// English name of a currency, e.g. 'British Pound', or the code itself where
+// the browser has no names
+let currencyNames;
+export function getCurrencyName(code) {
+  try {
+    currencyNames = currencyNames || new Intl.DisplayNames(['en'], { type: 'currency' });
+    return currencyNames.of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+// Formatters are reused: the live counter formats many times a second
+const formatters = new Map();
+
+// Helper function: a cached currency formatter with a fixed number of digits
+function getFormatter(code, digits, locale) {
+  const key = `${locale}|${code}|${digits}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }));
+  }
+  return formatters.get(key);
+}
+
+// `amount` in the currency, e.g. '£1,234.56' or '¥1,235'. digits overrides
+// the currency's minor digits; locale defaults to the user's.
+export function formatMoney(amount, code, { digits = getMinorDigits(code), locale } = {}) {
+  return getFormatter(code, digits, locale).format(amount);
+}
+
+// `amount` to one digit past the currency's smallest unit, split around that
+// digit so it can be shown smaller: { before: '£1,234.56', extra: '7', after: '' }.
+// Currencies without minor digits have no extra digit, e.g. { before: '¥1,235' }.
+export function formatMoneyWithExtraDigit(amount, code, { locale } = {}) {
+  const minorDigits = getMinorDigits(code);
+  if (minorDigits === 0) {
+    return { before: formatMoney(amount, code, { locale }), extra: '', after: '' };
+  }
+  const parts = getFormatter(code, minorDigits + 1, locale).formatToParts(amount);
+  const index = parts.map((part) => part.type).lastIndexOf('fraction');
+  const fraction = parts[index].value;
+  const join = (list) => list.map((part) => part.value).join('');
+  return {
+    before: join(parts.slice(0, index)) + fraction.slice(0, -1),
+    extra: fraction.slice(-1),
+    after: join(parts.slice(index + 1)),
+  };
+}
+
+// Codes whose code or name contains `query`, ignoring case, e.g. 'yen' or 'nz'
+export function searchCurrencies(query) {
+  const text = query.trim().toLowerCase();
+  if (text === '') return CURRENCY_CODES;
+  return CURRENCY_CODES.filter((code) => (
+    code.toLowerCase().includes(text) || getCurrencyName(code).toLowerCase().includes(text)
+  ));
+}
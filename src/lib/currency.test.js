@@ -0,0 +1,46 @@
+import {
+  CURRENCY_CODES,
+  formatMoney,
+  formatMoneyWithExtraDigit,
+  getCurrencyName,
+  getMinorDigits,
+  isCurrencyCode,
+  searchCurrencies,
+} from './currency';
+
+describe('currency', () => {
+  test('knows every currency and its minor digits', () => {
+    expect(CURRENCY_CODES.length).toBeGreaterThan(150);
+    expect(isCurrencyCode('NZD')).toBe(true);
+    expect(isCurrencyCode('£')).toBe(false);
+    expect(isCurrencyCode('XAU')).toBe(false);
+    expect(getMinorDigits('GBP')).toBe(2);
+    expect(getMinorDigits('JPY')).toBe(0);
+    expect(getMinorDigits('KWD')).toBe(3);
+    expect(getCurrencyName('GBP')).toBe('British Pound');
+  });
+
+  test('formats with the currency\'s own digits', () => {
+    expect(formatMoney(1234.567, 'GBP', { locale: 'en-GB' })).toBe('£1,234.57');
+    expect(formatMoney(1234.5, 'JPY', { locale: 'en-GB' })).toBe('JP¥1,235');
+    expect(formatMoney(1.2345, 'KWD', { locale: 'en-GB' })).toBe('KWD 1.235');
+    expect(formatMoney(0.00416, 'GBP', { locale: 'en-GB', digits: 4 })).toBe('£0.0042');
+    expect(formatMoney(1234.5, 'EUR', { locale: 'de-DE' })).toBe('1.234,50 €');
+  });
+
+  test('splits off one digit past the smallest unit', () => {
+    expect(formatMoneyWithExtraDigit(1234.567, 'GBP', { locale: 'en-GB' }))
+      .toEqual({ before: '£1,234.56', extra: '7', after: '' });
+    expect(formatMoneyWithExtraDigit(1234.567, 'EUR', { locale: 'de-DE' }))
+      .toEqual({ before: '1.234,56', extra: '7', after: ' €' });
+    expect(formatMoneyWithExtraDigit(1234.5, 'JPY', { locale: 'en-GB' }))
+      .toEqual({ before: 'JP¥1,235', extra: '', after: '' });
+  });
+
+  test('searches by code and name', () => {
+    expect(searchCurrencies('')).toBe(CURRENCY_CODES);
+    expect(searchCurrencies('yen')).toEqual(['JPY']);
+    expect(searchCurrencies('nz')).toContain('NZD');
+    expect(searchCurrencies('zzz')).toEqual([]);
+  });
+});
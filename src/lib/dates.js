@@ -0,0 +1,35 @@
+// Small calendar helpers shared by the lib modules. Calendar days are passed
+// around as local-midnight Dates or as 'YYYY-MM-DD' strings.
+
+// 'YYYY-MM-DD' for the local calendar day of a Date
+export function toIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+// Local midnight of a 'YYYY-MM-DD' string
+export function parseIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// The same calendar day `days` later, at local midnight (safe across DST changes)
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// 'YYYY-MM-DDTHH:MM' in local time, as used by datetime-local inputs
+export function toLocalDateTime(date) {
+  return `${toIsoDate(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Millisecond timestamp of a 'YYYY-MM-DDTHH:MM' local time, or NaN
+export function parseLocalDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return NaN;
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
@@ -0,0 +1,526 @@
+// Earnings engine: the schedule maths behind the counter, kept free of React
+// and of the system clock. Every function takes a config and a "now" (a Date or
+// a millisecond timestamp) so month boundaries, leap years and weekends can be
+// tested with fixed dates.
+//
+// config = {
+//   annualSalary: number,
+//   payBasis: 'monthly' | 'annual' | 'hourly' | 'daily',  // see PAY_BASES
+//   payRate: number,     // hourly or daily rate, for those pay bases
+//   salaryHistory: [{ date: 'YYYY-MM-DD', annualSalary, payRate }],  // pay changes, see lib/salaryhistory
+//   schedule: { 0..6: [{ start: 'HH:MM', end: 'HH:MM' }] },  // see lib/schedule
+//   breaks: { 0..6: [{ start: 'HH:MM', end: 'HH:MM', paid: boolean }] },
+//   holidayRegion: string,          // key of HOLIDAY_REGIONS in lib/holidays
+//   customHolidays: [{ date: 'YYYY-MM-DD', name }],
+//   leave: [{ date: 'YYYY-MM-DD', part: 'full' | 'am' | 'pm' }],  // booked annual leave
+//   overtime: [rule],    // see lib/overtime; only for hourly and daily pay
+//   tracking: 'schedule' | 'sessions',  // where working time comes from
+//   sessions: [{ id, start, end }],     // clocked sessions, see lib/sessions
+//   timeZone: string,    // IANA zone the schedule is kept in, '' for the device's
+// }
+//
+// Every figure is built from the same two pieces: how many working hours fall
+// between two instants, and the hourly rate in effect on each working day. That
+// keeps today, this month, this year and the per-second rate consistent.
+//
+// A shift belongs to the day it starts on: its weekday's schedule, holidays and
+// leave decide whether it is worked. Overnight shifts run on past midnight, and
+// the hours after midnight count towards the next calendar day and month.
+//
+// When tracking clocked sessions, the sessions replace the schedule as the
+// working time, but rates still come from the schedule: a salary is spread
+// over the scheduled hours, and clocking extra hours earns more at that rate.
+// An open session counts as running to the end of whatever window is asked
+// about, so callers pass the current time as the end.
+//
+// Days, months and years are those of the schedule's time zone (see
+// lib/timezone). Functions taking a `day` take a calendar day as a
+// local-midnight Date; `now`, `from` and `to` are instants, and getDayStart
+// turns a day into the instant it begins.
+
+import { addDays, toIsoDate } from './dates';
+import { getHoliday } from './holidays';
+import { getOvertimeMultiplier, getOvertimeThresholds } from './overtime';
+import { getPayOn } from './salaryhistory';
+import {
+  getBreaksForWeekday,
+  getPaidSegmentsForWeekday,
+  getScheduledHoursForWeekday,
+  getSegmentsForWeekday,
+} from './schedule';
+import { getDayInZone, getInstantInZone } from './timezone';
+
+const MS_PER_HOUR = 1000 * 3600;
+
+export const PAY_BASES = {
+  monthly: 'Fixed monthly salary (annual ÷ 12, spread over each month)',
+  annual: 'Annual salary spread over the year\'s working days',
+  hourly: 'Hourly rate',
+  daily: 'Day rate',
+};
+
+// Helper function: midnight at the start of the given day
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// The calendar day an instant falls on in the schedule's time zone
+export function getDayOf(config, now) {
+  return getDayInZone(now, config.timeZone);
+}
+
+// The instant calendar day `day` begins in the schedule's time zone
+export function getDayStart(config, day) {
+  return getInstantInZone(day, 0, config.timeZone);
+}
+
+// Helper function: the instant `minutes` past the start of calendar day `day`
+function getTimeOnDay(config, day, minutes) {
+  return getInstantInZone(day, minutes, config.timeZone);
+}
+
+function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function startOfNextMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+}
+
+function startOfYear(date) {
+  return new Date(date.getFullYear(), 0, 1);
+}
+
+function startOfNextYear(date) {
+  return new Date(date.getFullYear() + 1, 0, 1);
+}
+
+// Number of days in the month containing the given date
+export function getDaysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+// Checks if the schedule has any paid work on the given date's weekday
+export function isDayEnabled(config, date) {
+  return getPaidSegmentsForWeekday(config.schedule, config.breaks, date.getDay()).length > 0;
+}
+
+// The public or custom holiday on the given day, or null
+export function getHolidayOn(config, date) {
+  return getHoliday(date, config.holidayRegion || 'none', config.customHolidays);
+}
+
+// Whether the given day is worked: toggled on and not a holiday
+export function isWorkingDay(config, date) {
+  return isDayEnabled(config, date) && !getHolidayOn(config, date);
+}
+
+const leaveCache = new WeakMap();
+
+// The annual leave booked on the given day, or null. Leave is paid time off,
+// so it only counts on days that would otherwise be worked.
+export function getLeaveOn(config, date) {
+  if (!config.leave || config.leave.length === 0 || !isWorkingDay(config, date)) {
+    return null;
+  }
+  if (!leaveCache.has(config.leave)) {
+    leaveCache.set(config.leave, new Map(config.leave.map((entry) => [entry.date, entry])));
+  }
+  return leaveCache.get(config.leave).get(toIsoDate(date)) || null;
+}
+
+// Share of the given day booked as leave: 1 for a full day, 0.5 for a half day
+export function getLeaveFraction(config, date) {
+  const entry = getLeaveOn(config, date);
+  if (!entry) return 0;
+  return entry.part === 'full' ? 1 : 0.5;
+}
+
+// Total paid working hours the schedule sets for the given date's weekday
+export function getDailyWorkingHours(config, date) {
+  return getScheduledHoursForWeekday(config.schedule, date.getDay(), config.breaks);
+}
+
+// Scheduled working hours of the shifts starting on `day`
+export function getWorkingHoursOnDay(config, day) {
+  return isWorkingDay(config, day) ? getDailyWorkingHours(config, day) : 0;
+}
+
+function isTrackingSessions(config) {
+  return config.tracking === 'sessions';
+}
+
+const scheduleCache = new WeakMap();
+
+// Helper function: the same config with working time taken from the schedule.
+// Kept per config, so the caches keyed on it still apply.
+function withSchedule(config) {
+  if (!isTrackingSessions(config)) {
+    return config;
+  }
+  if (!scheduleCache.has(config)) {
+    scheduleCache.set(config, { ...config, tracking: 'schedule' });
+  }
+  return scheduleCache.get(config);
+}
+
+// The paid work segments of the shifts starting on `day` as
+// [{ start: Date, end: Date }], in order. An overnight segment ends on the
+// following day, and an open session never ends. Empty on days that aren't
+// worked.
+export function getWorkingSegmentsOnDay(config, day) {
+  if (isTrackingSessions(config)) {
+    return (config.sessions || [])
+      .filter((session) => getDayOf(config, session.start).getTime() === day.getTime())
+      .map((session) => ({
+        start: new Date(session.start),
+        end: session.end === null ? Infinity : new Date(session.end),
+      }));
+  }
+  if (!isWorkingDay(config, day)) {
+    return [];
+  }
+
+  return getPaidSegmentsForWeekday(config.schedule, config.breaks, day.getDay()).map((segment) => ({
+    start: getTimeOnDay(config, day, segment.start),
+    end: getTimeOnDay(config, day, segment.end),
+  }));
+}
+
+// Working hours on `day` that fall inside the window [from, to)
+function getWorkingHoursInWindow(config, day, from, to) {
+  return getWorkingSegmentsOnDay(config, day).reduce((total, segment) => {
+    const start = Math.max(segment.start, from);
+    const end = Math.min(segment.end, to);
+    return total + Math.max(0, end - start) / MS_PER_HOUR;
+  }, 0);
+}
+
+// Overtime rules in effect: they only change rate-based pay, since a salary
+// already fixes what each period pays
+function getOvertimeRules(config) {
+  return (config.payBasis === 'hourly' || config.payBasis === 'daily') ? (config.overtime || []) : [];
+}
+
+// Helper function: the days whose shifts may have work in [from, to), in order
+function getShiftDays(config, from, to) {
+  if (isTrackingSessions(config)) {
+    const days = (config.sessions || [])
+      .filter((session) => session.start < to && (session.end === null || session.end > from))
+      .map((session) => getDayOf(config, session.start).getTime());
+    return [...new Set(days)].sort((a, b) => a - b).map((time) => new Date(time));
+  }
+
+  const days = [];
+  for (let day = addDays(getDayOf(config, from), -1); getDayStart(config, day) < to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Helper function: calls fn(day, hours, shiftDay, multiplier) for the work in
+// [from, to), split by the calendar day the hours fall on and by overtime band.
+// shiftDay is the day the shift started, which is the day before for the small
+// hours of an overnight shift.
+function forEachWorkingDay(config, from, to, fn) {
+  const rules = getOvertimeRules(config);
+  const thresholds = getOvertimeThresholds(rules);
+
+  getShiftDays(config, from, to).forEach((shiftDay) => {
+    // Paid hours of the shift worked before the current piece, counted from
+    // the start of the shift even when that is outside the window
+    let shiftHours = 0;
+    getWorkingSegmentsOnDay(config, shiftDay).forEach((segment) => {
+      let start = segment.start.getTime();
+      const end = Math.min(segment.end, to);
+      while (start < end) {
+        const day = getDayOf(config, start);
+        const worked = shiftHours;
+        const nextThreshold = thresholds.find((hours) => hours > worked);
+        const split = Math.min(
+          segment.end,
+          getDayStart(config, addDays(day, 1)),
+          nextThreshold === undefined ? Infinity : start + (nextThreshold - worked) * MS_PER_HOUR
+        );
+
+        const hours = (Math.min(split, to) - Math.max(start, from)) / MS_PER_HOUR;
+        if (hours > 0) {
+          fn(day, hours, shiftDay, getOvertimeMultiplier(rules, day.getDay(), worked));
+        }
+        shiftHours = worked + (split - start) / MS_PER_HOUR;
+        start = split;
+      }
+    });
+  });
+}
+
+// The shift `now` falls in, as { day, segment } where day is the day the shift
+// started, or null outside paid working time
+function getShiftAt(config, now) {
+  for (const day of getShiftDays(config, now, new Date(now.getTime() + 1))) {
+    const segment = getWorkingSegmentsOnDay(config, day)
+      .find((s) => now >= s.start && now < s.end);
+    if (segment) {
+      return { day, segment };
+    }
+  }
+  return null;
+}
+
+// Working hours that fall between two instants
+export function getWorkingHoursBetween(config, from, to) {
+  let total = 0;
+  forEachWorkingDay(config, new Date(from), new Date(to), (day, hours) => {
+    total += hours;
+  });
+  return total;
+}
+
+// How many working hours have elapsed so far today
+export function getWorkingHoursSoFarToday(config, now) {
+  const date = new Date(now);
+  return getWorkingHoursBetween(config, getDayStart(config, getDayOf(config, date)), date);
+}
+
+// Total working hours falling on today's calendar day, including the end of
+// an overnight shift that started yesterday
+export function getTotalWorkingHoursToday(config, now) {
+  const day = getDayOf(config, now);
+  return getWorkingHoursBetween(config, getDayStart(config, day), getDayStart(config, addDays(day, 1)));
+}
+
+// How many working hours have elapsed so far in the current month
+export function getWorkingHoursSoFarThisMonth(config, now) {
+  const date = new Date(now);
+  return getWorkingHoursBetween(config, getDayStart(config, startOfMonth(getDayOf(config, date))), date);
+}
+
+// Total working hours in the current month
+export function getTotalWorkingHoursThisMonth(config, now) {
+  const day = getDayOf(config, now);
+  return getWorkingHoursBetween(config, getDayStart(config, startOfMonth(day)), getDayStart(config, startOfNextMonth(day)));
+}
+
+// Total working days in the current calendar year
+export function getTotalWorkingDaysThisYear(config, now) {
+  const date = getDayOf(config, now);
+  let workingDays = 0;
+  for (let day = startOfYear(date); day < startOfNextYear(date); day = addDays(day, 1)) {
+    if (getWorkingHoursOnDay(config, day) > 0) {
+      workingDays++;
+    }
+  }
+  return workingDays;
+}
+
+// Helper function: hours a day rate covers when clocking sessions. That is the
+// weekday's scheduled hours, or the average scheduled day on unscheduled days.
+function getDayRateHours(config, day) {
+  const scheduled = getDailyWorkingHours(config, day);
+  if (scheduled > 0) {
+    return scheduled;
+  }
+  const week = [0, 1, 2, 3, 4, 5, 6].map((weekday) => getScheduledHoursForWeekday(config.schedule, weekday, config.breaks));
+  const worked = week.filter((hours) => hours > 0);
+  return worked.length > 0 ? worked.reduce((sum, hours) => sum + hours, 0) / worked.length : 0;
+}
+
+const periodHoursCache = new WeakMap();
+
+// Helper function: scheduled working hours of the period from calendar day
+// `start` up to `end`, cached per config under `key`. Salaried rates need the
+// whole month or year, which would otherwise be rescanned on every call.
+function getPeriodHours(config, key, start, end) {
+  if (!periodHoursCache.has(config)) {
+    periodHoursCache.set(config, new Map());
+  }
+  const cache = periodHoursCache.get(config);
+  if (!cache.has(key)) {
+    cache.set(key, getWorkingHoursBetween(withSchedule(config), getDayStart(config, start), getDayStart(config, end)));
+  }
+  return cache.get(key);
+}
+
+// Returns a function giving the hourly rate for work on calendar day `day` in a
+// shift that started on `shiftDay`.
+//
+// A salary is spread over the period's hours at the amount in effect on each
+// day, so a raise mid-month pays the month partly at each. Hourly and day
+// rates are those of the day the shift started on.
+function createHourlyRate(config) {
+  return (day, shiftDay = day) => {
+    switch (config.payBasis) {
+      case 'hourly':
+        return getPayOn(config, shiftDay).payRate;
+      case 'daily': {
+        // A day rate pays for the whole shift, wherever midnight falls in it
+        const hours = isTrackingSessions(config)
+          ? getDayRateHours(config, shiftDay)
+          : getWorkingHoursOnDay(config, shiftDay);
+        return hours > 0 ? getPayOn(config, shiftDay).payRate / hours : 0;
+      }
+      case 'annual': {
+        const hours = getPeriodHours(config, `${day.getFullYear()}`, startOfYear(day), startOfNextYear(day));
+        return hours > 0 ? getPayOn(config, day).annualSalary / hours : 0;
+      }
+      case 'monthly':
+      default: {
+        const hours = getPeriodHours(config, `${day.getFullYear()}-${day.getMonth()}`, startOfMonth(day), startOfNextMonth(day));
+        return hours > 0 ? getPayOn(config, day).annualSalary / 12 / hours : 0;
+      }
+    }
+  };
+}
+
+const rateCache = new WeakMap();
+
+// Helper function: the hourly rate function of a config, built once and shared
+// by every call made with it
+function getRateFunction(config) {
+  if (!rateCache.has(config)) {
+    rateCache.set(config, createHourlyRate(config));
+  }
+  return rateCache.get(config);
+}
+
+// Hourly rate in effect on the given day
+export function getHourlyRate(config, day) {
+  return getRateFunction(config)(new Date(day));
+}
+
+// Gross amount earned between two instants
+export function calculateEarningsBetween(config, from, to) {
+  const hourlyRate = getRateFunction(config);
+  let total = 0;
+  forEachWorkingDay(config, new Date(from), new Date(to), (day, hours, shiftDay, multiplier) => {
+    total += hourlyRate(day, shiftDay) * multiplier * hours;
+  });
+  return total;
+}
+
+// Working hours and gross earnings between two instants, split by the
+// calendar day they fall on, as a Map from 'YYYY-MM-DD' to { hours, gross }.
+// Days without work are left out. One pass over the range, so a long history
+// costs no more than adding it up day by day.
+export function calculateEarningsByDay(config, from, to) {
+  const hourlyRate = getRateFunction(config);
+  const days = new Map();
+  forEachWorkingDay(config, new Date(from), new Date(to), (day, hours, shiftDay, multiplier) => {
+    const key = toIsoDate(day);
+    const totals = days.get(key) || { hours: 0, gross: 0 };
+    totals.hours += hours;
+    totals.gross += hourlyRate(day, shiftDay) * multiplier * hours;
+    days.set(key, totals);
+  });
+  return days;
+}
+
+// Gross amount a full working day pays on the given day
+export function calculateDayRate(config, day) {
+  const date = startOfDay(new Date(day));
+  return calculateEarningsBetween(config, getDayStart(config, date), getDayStart(config, addDays(date, 1)));
+}
+
+// Gross amount earned so far today
+export function calculateDailyEarnings(config, now) {
+  const date = new Date(now);
+  return calculateEarningsBetween(config, getDayStart(config, getDayOf(config, date)), date);
+}
+
+// Gross amount earned so far this month
+export function calculateEarnings(config, now) {
+  const date = new Date(now);
+  return calculateEarningsBetween(config, getDayStart(config, startOfMonth(getDayOf(config, date))), date);
+}
+
+// Gross amount the whole current month pays
+export function calculateMonthlyTotal(config, now) {
+  const day = getDayOf(config, now);
+  return calculateEarningsBetween(config, getDayStart(config, startOfMonth(day)), getDayStart(config, startOfNextMonth(day)));
+}
+
+// Gross amount the whole current calendar year pays
+export function calculateYearlyTotal(config, now) {
+  const day = getDayOf(config, now);
+  return calculateEarningsBetween(config, getDayStart(config, startOfYear(day)), getDayStart(config, startOfNextYear(day)));
+}
+
+// Whether `now` falls inside the paid working time of a shift
+export function isWithinWorkHours(config, now) {
+  return getShiftAt(config, new Date(now)) !== null;
+}
+
+// The break `now` falls in during a worked shift, as its { start, end, paid }
+// schedule entry, or null
+export function getBreakAt(config, now) {
+  if (isTrackingSessions(config)) {
+    return null;
+  }
+  const date = new Date(now);
+  const today = getDayOf(config, date);
+  for (const day of [addDays(today, -1), today]) {
+    if (!isWorkingDay(config, day)) {
+      continue;
+    }
+    const at = (minutes) => getTimeOnDay(config, day, minutes);
+    const segments = getSegmentsForWeekday(config.schedule, day.getDay());
+    const current = getBreaksForWeekday(config.breaks, day.getDay(), segments)
+      .find((entry) => date >= at(entry.start) && date < at(entry.end));
+    if (current) {
+      return current.entry;
+    }
+  }
+  return null;
+}
+
+// Whether `now` falls in the paid working hours of booked leave. Half days
+// split the working day where half of its scheduled hours have passed.
+export function isOnLeave(config, now) {
+  if (isTrackingSessions(config)) {
+    return false;
+  }
+  const date = new Date(now);
+  const shift = getShiftAt(config, date);
+  const entry = shift && getLeaveOn(config, shift.day);
+  if (!entry) {
+    return false;
+  }
+  if (entry.part === 'full') {
+    return true;
+  }
+
+  const elapsed = getWorkingHoursInWindow(config, shift.day, getDayStart(config, shift.day), date);
+  const firstHalf = elapsed < getWorkingHoursOnDay(config, shift.day) / 2;
+  return entry.part === 'am' ? firstHalf : !firstHalf;
+}
+
+// Overtime multiplier on the pay for work at `now`: 1 outside overtime, and
+// outside working time
+export function getOvertimeMultiplierAt(config, now) {
+  const date = new Date(now);
+  const shift = getShiftAt(config, date);
+  if (!shift) {
+    return 1;
+  }
+  const shiftHours = getWorkingHoursInWindow(config, shift.day, getDayStart(config, shift.day), date);
+  return getOvertimeMultiplier(getOvertimeRules(config), getDayOf(config, date).getDay(), shiftHours);
+}
+
+// Gross amount earned per second of work. Uses the current shift's rate
+// including overtime, then today's, or this month's average when today isn't a
+// working day.
+export function calculateEarnedPerSecond(config, now) {
+  const date = new Date(now);
+  const today = getDayOf(config, date);
+  const shift = getShiftAt(config, date);
+  if (shift) {
+    return getRateFunction(config)(today, shift.day) * getOvertimeMultiplierAt(config, date) / 3600;
+  }
+  const scheduled = withSchedule(config);
+  if (getWorkingHoursOnDay(scheduled, today) > 0) {
+    return getHourlyRate(scheduled, today) / 3600;
+  }
+  const totalWorkSeconds = getTotalWorkingHoursThisMonth(scheduled, date) * 3600;
+  if (totalWorkSeconds === 0) return 0;
+  return calculateMonthlyTotal(scheduled, date) / totalWorkSeconds;
+}
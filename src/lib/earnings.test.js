@@ -0,0 +1,446 @@
+import {
+  calculateDailyEarnings,
+  calculateDayRate,
+  calculateEarnedPerSecond,
+  calculateEarnings,
+  calculateEarningsBetween,
+  calculateEarningsByDay,
+  calculateMonthlyTotal,
+  calculateYearlyTotal,
+  getDailyWorkingHours,
+  getBreakAt,
+  getDayOf,
+  getDayStart,
+  getDaysInMonth,
+  getHolidayOn,
+  getHourlyRate,
+  getTotalWorkingDaysThisYear,
+  getTotalWorkingHoursThisMonth,
+  getWorkingHoursSoFarThisMonth,
+  getWorkingHoursBetween,
+  getWorkingHoursSoFarToday,
+  isWithinWorkHours,
+  isWorkingDay,
+} from './earnings';
+import { toIsoDate } from './dates';
+import { scheduleFromHours } from './schedule';
+
+const weekdays = { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false };
+
+const config = {
+  annualSalary: 36000,
+  payBasis: 'monthly',
+  payRate: 0,
+  schedule: scheduleFromHours(weekdays, 9, 17),
+};
+
+describe('earnings engine', () => {
+  test('daily working hours never go negative', () => {
+    const wednesday = new Date(2024, 0, 10);
+    expect(getDailyWorkingHours(config, wednesday)).toBe(8);
+    // An end before the start is an overnight shift
+    expect(getDailyWorkingHours({ ...config, schedule: scheduleFromHours(weekdays, 18, 10) }, wednesday)).toBe(16);
+    expect(getDailyWorkingHours({ ...config, schedule: scheduleFromHours(weekdays, 10, 10) }, wednesday)).toBe(0);
+  });
+
+  test('counts the actual working days in the calendar year', () => {
+    expect(getTotalWorkingDaysThisYear(config, new Date(2023, 5, 1))).toBe(260);
+    // 2024 is a leap year starting on a Monday
+    expect(getTotalWorkingDaysThisYear(config, new Date(2024, 5, 1))).toBe(262);
+    expect(getTotalWorkingDaysThisYear({ ...config, schedule: {} }, new Date(2024, 5, 1))).toBe(0);
+  });
+
+  describe('today', () => {
+    test('nothing has elapsed before the working day starts', () => {
+      const now = new Date(2024, 0, 10, 8, 59);
+      expect(getWorkingHoursSoFarToday(config, now)).toBe(0);
+      expect(calculateDailyEarnings(config, now)).toBe(0);
+    });
+
+    test('accrues linearly during the working day', () => {
+      const now = new Date(2024, 0, 10, 13, 0);
+      expect(getWorkingHoursSoFarToday(config, now)).toBe(4);
+      // January 2024 has 23 working days
+      expect(calculateDailyEarnings(config, now)).toBeCloseTo(3000 / 23 / 2);
+    });
+
+    test('caps at a full day once work has ended', () => {
+      const now = new Date(2024, 0, 10, 23, 0);
+      expect(getWorkingHoursSoFarToday(config, now)).toBe(8);
+      expect(calculateDailyEarnings(config, now)).toBeCloseTo(3000 / 23);
+    });
+
+    test('earns nothing on a weekend', () => {
+      const saturday = new Date(2024, 0, 13, 12, 0);
+      expect(getWorkingHoursSoFarToday(config, saturday)).toBe(0);
+      expect(calculateDailyEarnings(config, saturday)).toBe(0);
+      expect(isWithinWorkHours(config, saturday)).toBe(false);
+    });
+
+    test('accepts a millisecond timestamp as well as a Date', () => {
+      const now = new Date(2024, 0, 10, 13, 0);
+      expect(calculateDailyEarnings(config, now.getTime())).toBe(calculateDailyEarnings(config, now));
+    });
+
+    test('knows when we are inside work hours', () => {
+      expect(isWithinWorkHours(config, new Date(2024, 0, 10, 9, 0))).toBe(true);
+      expect(isWithinWorkHours(config, new Date(2024, 0, 10, 16, 59))).toBe(true);
+      expect(isWithinWorkHours(config, new Date(2024, 0, 10, 17, 0))).toBe(false);
+    });
+  });
+
+  describe('month', () => {
+    test('counts working hours across the whole month', () => {
+      // January 2024 has 23 weekdays
+      expect(getTotalWorkingHoursThisMonth(config, new Date(2024, 0, 15))).toBe(23 * 8);
+    });
+
+    test('handles leap years in February', () => {
+      expect(getDaysInMonth(new Date(2024, 1, 1))).toBe(29);
+      expect(getDaysInMonth(new Date(2023, 1, 1))).toBe(28);
+      // Thursday 29 February 2024 is an extra working day
+      expect(getTotalWorkingHoursThisMonth(config, new Date(2024, 1, 10))).toBe(21 * 8);
+      expect(getTotalWorkingHoursThisMonth(config, new Date(2023, 1, 10))).toBe(20 * 8);
+    });
+
+    test('starts from zero on the first of the month', () => {
+      const now = new Date(2024, 1, 1, 8, 0);
+      expect(getWorkingHoursSoFarThisMonth(config, now)).toBe(0);
+      expect(calculateEarnings(config, now)).toBe(0);
+    });
+
+    test('reaches the full monthly salary at the end of the last working day', () => {
+      const now = new Date(2024, 1, 29, 17, 0);
+      expect(calculateEarnings(config, now)).toBeCloseTo(3000);
+    });
+
+    test('does not accrue over a weekend', () => {
+      const friday = new Date(2024, 2, 1, 18, 0);
+      const sunday = new Date(2024, 2, 3, 18, 0);
+      expect(calculateEarnings(config, sunday)).toBe(calculateEarnings(config, friday));
+    });
+
+    test('includes the partial current day', () => {
+      // Monday 1 July 2024, half way through the day
+      const now = new Date(2024, 6, 1, 13, 0);
+      expect(getWorkingHoursSoFarThisMonth(config, now)).toBe(4);
+    });
+
+    test('earns nothing when no days are enabled', () => {
+      const idle = { ...config, schedule: {} };
+      const now = new Date(2024, 0, 10, 13, 0);
+      expect(calculateEarnings(idle, now)).toBe(0);
+      expect(calculateDailyEarnings(idle, now)).toBe(0);
+      expect(calculateEarnedPerSecond(idle, now)).toBe(0);
+    });
+
+    test('spreads the monthly salary over each second of work', () => {
+      const now = new Date(2024, 0, 15);
+      expect(calculateEarnedPerSecond(config, now)).toBeCloseTo(3000 / (23 * 8 * 3600), 10);
+    });
+  });
+
+  describe('pay basis', () => {
+    const january = new Date(2024, 0, 15);
+    const february = new Date(2024, 1, 15);
+
+    test('monthly basis pays the same every month', () => {
+      expect(calculateMonthlyTotal(config, january)).toBeCloseTo(3000);
+      expect(calculateMonthlyTotal(config, february)).toBeCloseTo(3000);
+      expect(calculateYearlyTotal(config, january)).toBeCloseTo(36000);
+      // ...so a day in a short month is worth more
+      expect(calculateDayRate(config, february)).toBeGreaterThan(calculateDayRate(config, january));
+    });
+
+    test('annual basis pays the same every working day', () => {
+      const annual = { ...config, payBasis: 'annual' };
+      expect(calculateDayRate(annual, january)).toBeCloseTo(36000 / 262);
+      expect(calculateDayRate(annual, february)).toBeCloseTo(36000 / 262);
+      expect(calculateMonthlyTotal(annual, january)).toBeCloseTo(36000 / 262 * 23);
+      expect(calculateYearlyTotal(annual, january)).toBeCloseTo(36000);
+    });
+
+    test('hourly basis pays for each working hour', () => {
+      const hourly = { ...config, payBasis: 'hourly', payRate: 20 };
+      expect(calculateDayRate(hourly, january)).toBeCloseTo(160);
+      expect(calculateMonthlyTotal(hourly, january)).toBeCloseTo(160 * 23);
+      expect(calculateEarnedPerSecond(hourly, january)).toBeCloseTo(20 / 3600, 10);
+    });
+
+    test('daily basis pays a fixed amount per working day', () => {
+      const daily = { ...config, payBasis: 'daily', payRate: 400 };
+      expect(calculateDayRate(daily, january)).toBeCloseTo(400);
+      expect(calculateDailyEarnings(daily, new Date(2024, 0, 15, 13, 0))).toBeCloseTo(200);
+      expect(calculateDayRate(daily, new Date(2024, 0, 13))).toBe(0);
+    });
+
+    test('today, month and year all add up', () => {
+      for (const payBasis of ['monthly', 'annual', 'hourly', 'daily']) {
+        const c = { ...config, payBasis, payRate: 100 };
+        let sumOfDays = 0;
+        for (let day = 1; day <= 31; day++) {
+          sumOfDays += calculateDayRate(c, new Date(2024, 0, day));
+        }
+        expect(sumOfDays).toBeCloseTo(calculateMonthlyTotal(c, january));
+
+        let sumOfMonths = 0;
+        for (let month = 0; month < 12; month++) {
+          sumOfMonths += calculateMonthlyTotal(c, new Date(2024, month, 1));
+        }
+        expect(sumOfMonths).toBeCloseTo(calculateYearlyTotal(c, january));
+      }
+    });
+
+    test('per-second rate matches what a second of work earns', () => {
+      const now = new Date(2024, 0, 15, 12, 0);
+      for (const payBasis of ['monthly', 'annual', 'hourly', 'daily']) {
+        const c = { ...config, payBasis, payRate: 100 };
+        const oneSecond = calculateEarningsBetween(c, now, now.getTime() + 1000);
+        expect(calculateEarnedPerSecond(c, now)).toBeCloseTo(oneSecond, 10);
+      }
+    });
+  });
+
+  describe('schedule segments', () => {
+    // Split shift on weekdays with a long lunch, short Friday, Saturday morning
+    const split = {
+      ...config,
+      payBasis: 'hourly',
+      payRate: 10,
+      schedule: {
+        ...scheduleFromHours(weekdays, 0, 0),
+        1: [{ start: '13:30', end: '17:45' }, { start: '08:30', end: '12:00' }],
+        2: [{ start: '08:30', end: '12:00' }, { start: '13:30', end: '17:45' }],
+        3: [{ start: '08:30', end: '12:00' }, { start: '13:30', end: '17:45' }],
+        4: [{ start: '08:30', end: '12:00' }, { start: '13:30', end: '17:45' }],
+        5: [{ start: '09:15', end: '13:15' }],
+        6: [{ start: '10:00', end: '12:00' }],
+      },
+    };
+    const monday = new Date(2024, 0, 8);
+
+    test('adds up the segments of each day', () => {
+      expect(getDailyWorkingHours(split, monday)).toBe(7.75);
+      expect(getDailyWorkingHours(split, new Date(2024, 0, 12))).toBe(4);
+      expect(getDailyWorkingHours(split, new Date(2024, 0, 13))).toBe(2);
+      expect(isWorkingDay(split, new Date(2024, 0, 14))).toBe(false);
+      expect(calculateDayRate(split, monday)).toBeCloseTo(77.5);
+    });
+
+    test('pauses between segments', () => {
+      expect(getWorkingHoursSoFarToday(split, new Date(2024, 0, 8, 12, 0))).toBe(3.5);
+      expect(getWorkingHoursSoFarToday(split, new Date(2024, 0, 8, 13, 30))).toBe(3.5);
+      expect(getWorkingHoursSoFarToday(split, new Date(2024, 0, 8, 14, 0))).toBe(4);
+      expect(isWithinWorkHours(split, new Date(2024, 0, 8, 12, 30))).toBe(false);
+      expect(isWithinWorkHours(split, new Date(2024, 0, 8, 8, 30))).toBe(true);
+      expect(isWithinWorkHours(split, new Date(2024, 0, 8, 17, 44))).toBe(true);
+    });
+
+    test('ignores segments that are empty or cannot be read', () => {
+      const broken = {
+        ...config,
+        schedule: { 1: [{ start: '09:00', end: '09:00' }, { start: 'soon', end: '17:00' }, { start: '10:00', end: '11:30' }] },
+      };
+      expect(getDailyWorkingHours(broken, monday)).toBe(1.5);
+    });
+  });
+
+  describe('breaks', () => {
+    const withBreaks = {
+      ...config,
+      breaks: {
+        3: [
+          { start: '12:00', end: '13:00', paid: false },
+          { start: '15:00', end: '15:15', paid: true },
+        ],
+      },
+    };
+    const wednesday = new Date(2024, 0, 10);
+
+    test('unpaid breaks come out of the working day', () => {
+      expect(getDailyWorkingHours(withBreaks, wednesday)).toBe(7);
+      expect(getDailyWorkingHours(withBreaks, new Date(2024, 0, 9))).toBe(8);
+      expect(getTotalWorkingHoursThisMonth(withBreaks, wednesday)).toBe(23 * 8 - 5);
+    });
+
+    test('the counter pauses during an unpaid break', () => {
+      const lunch = new Date(2024, 0, 10, 12, 30);
+      expect(isWithinWorkHours(withBreaks, lunch)).toBe(false);
+      expect(getBreakAt(withBreaks, lunch)).toEqual({ start: '12:00', end: '13:00', paid: false });
+      expect(calculateDailyEarnings(withBreaks, lunch)).toBe(calculateDailyEarnings(withBreaks, new Date(2024, 0, 10, 12, 0)));
+    });
+
+    test('paid breaks keep counting', () => {
+      const tea = new Date(2024, 0, 10, 15, 5);
+      expect(isWithinWorkHours(withBreaks, tea)).toBe(true);
+      expect(getBreakAt(withBreaks, tea).paid).toBe(true);
+      expect(getBreakAt(withBreaks, new Date(2024, 0, 10, 14, 0))).toBe(null);
+    });
+
+    test('the per-second rate is spread over paid time only', () => {
+      const daily = { ...withBreaks, payBasis: 'daily', payRate: 140 };
+      const now = new Date(2024, 0, 10, 10, 0);
+      expect(calculateEarnedPerSecond(daily, now)).toBeCloseTo(20 / 3600, 10);
+      expect(calculateDayRate(daily, wednesday)).toBeCloseTo(140);
+    });
+  });
+
+  describe('overnight shifts', () => {
+    // Nights from 22:00 to 06:00, starting Monday to Friday
+    const nights = { ...config, schedule: scheduleFromHours(weekdays, 22, 6) };
+
+    test('a shift past midnight still has its full hours', () => {
+      expect(getDailyWorkingHours(nights, new Date(2024, 0, 8))).toBe(8);
+      expect(getTotalWorkingDaysThisYear(nights, new Date(2024, 5, 1))).toBe(262);
+    });
+
+    test('hours after midnight count towards the next calendar day', () => {
+      // Saturday morning is the end of Friday's shift
+      const saturday = new Date(2024, 0, 13, 5, 0);
+      expect(isWorkingDay(nights, saturday)).toBe(false);
+      expect(isWithinWorkHours(nights, saturday)).toBe(true);
+      expect(getWorkingHoursSoFarToday(nights, saturday)).toBe(5);
+      expect(isWithinWorkHours(nights, new Date(2024, 0, 14, 5, 0))).toBe(false);
+      expect(isWithinWorkHours(nights, new Date(2024, 0, 8, 1, 0))).toBe(false);
+    });
+
+    test('the month ending mid-shift splits the shift between months', () => {
+      // Wednesday 31 January 2024 runs into 1 February
+      const hourly = { ...nights, payBasis: 'hourly', payRate: 10 };
+      expect(getTotalWorkingHoursThisMonth(nights, new Date(2024, 0, 15))).toBe(23 * 8 - 6);
+      expect(calculateEarnings(hourly, new Date(2024, 1, 1, 6, 0))).toBeCloseTo(60);
+      expect(calculateMonthlyTotal(hourly, new Date(2024, 1, 1))).toBeCloseTo((21 * 8 + 6 - 6) * 10);
+    });
+
+    test('monthly and annual pay still add up', () => {
+      for (const payBasis of ['monthly', 'annual', 'daily']) {
+        const c = { ...nights, payBasis, payRate: 100 };
+        let sumOfMonths = 0;
+        for (let month = 0; month < 12; month++) {
+          sumOfMonths += calculateMonthlyTotal(c, new Date(2024, month, 1));
+        }
+        expect(sumOfMonths).toBeCloseTo(calculateYearlyTotal(c, new Date(2024, 0, 1)));
+      }
+      expect(calculateMonthlyTotal(nights, new Date(2024, 1, 1))).toBeCloseTo(3000);
+    });
+
+    test('a day rate pays for the whole shift', () => {
+      const daily = { ...nights, payBasis: 'daily', payRate: 400 };
+      expect(getHourlyRate(daily, new Date(2024, 0, 8))).toBeCloseTo(50);
+      const now = new Date(2024, 0, 9, 3, 0);
+      expect(calculateEarnedPerSecond(daily, now)).toBeCloseTo(50 / 3600, 10);
+      expect(calculateEarningsBetween(daily, new Date(2024, 0, 8), new Date(2024, 0, 13))).toBeCloseTo(4 * 400 + 400 * 2 / 8);
+    });
+
+    test('earnings split by day match each day added up alone', () => {
+      const byDay = calculateEarningsByDay(nights, new Date(2024, 0, 29), new Date(2024, 1, 5));
+      expect([...byDay.keys()]).toEqual(['2024-01-29', '2024-01-30', '2024-01-31', '2024-02-01', '2024-02-02', '2024-02-03']);
+      // Saturday has the last 6 hours of Friday's shift
+      expect(byDay.get('2024-02-03').hours).toBe(6);
+      for (let date = 29; date <= 35; date++) {
+        const day = new Date(2024, 0, date);
+        const totals = byDay.get(toIsoDate(day)) || { hours: 0, gross: 0 };
+        expect(totals.gross).toBeCloseTo(calculateEarningsBetween(nights, day, new Date(2024, 0, date + 1)));
+      }
+    });
+  });
+
+  describe('holidays', () => {
+    const withHolidays = { ...config, holidayRegion: 'gb-eaw' };
+    const christmas = new Date(2024, 11, 25, 12, 0);
+
+    test('bank holidays are not working days', () => {
+      expect(getHolidayOn(withHolidays, christmas).name).toBe('Christmas Day');
+      expect(isWorkingDay(withHolidays, christmas)).toBe(false);
+      expect(isWithinWorkHours(withHolidays, christmas)).toBe(false);
+      expect(calculateDailyEarnings(withHolidays, christmas)).toBe(0);
+      expect(isWorkingDay(config, christmas)).toBe(true);
+    });
+
+    test('holidays reduce the month\'s working hours but not a monthly salary', () => {
+      // December 2024 has 22 weekdays, two of them bank holidays
+      expect(getTotalWorkingHoursThisMonth(withHolidays, christmas)).toBe(20 * 8);
+      expect(calculateMonthlyTotal(withHolidays, christmas)).toBeCloseTo(3000);
+    });
+
+    test('the counter does not move on a holiday', () => {
+      const before = calculateEarnings(withHolidays, new Date(2024, 11, 24, 23, 0));
+      expect(calculateEarnings(withHolidays, new Date(2024, 11, 26, 23, 0))).toBe(before);
+    });
+
+    test('hourly pay stops on holidays', () => {
+      const hourly = { ...withHolidays, payBasis: 'hourly', payRate: 10 };
+      expect(calculateMonthlyTotal(hourly, christmas)).toBeCloseTo(20 * 8 * 10);
+    });
+
+    test('custom holidays count too', () => {
+      const custom = { ...config, customHolidays: [{ date: '2024-01-10', name: 'Team day off' }] };
+      expect(isWorkingDay(custom, new Date(2024, 0, 10))).toBe(false);
+      expect(getTotalWorkingHoursThisMonth(custom, new Date(2024, 0, 10))).toBe(22 * 8);
+    });
+  });
+
+  describe('time zones', () => {
+    const newYork = { ...config, timeZone: 'America/New_York', payBasis: 'hourly', payRate: 10 };
+
+    test('working hours follow the zone\'s clock', () => {
+      // 09:30 and 04:30 in New York on Monday 11 March 2024
+      expect(isWithinWorkHours(newYork, new Date(Date.UTC(2024, 2, 11, 13, 30)))).toBe(true);
+      expect(isWithinWorkHours(newYork, new Date(Date.UTC(2024, 2, 11, 8, 30)))).toBe(false);
+      expect(calculateEarningsBetween(newYork, Date.UTC(2024, 2, 11, 13), Date.UTC(2024, 2, 11, 21))).toBeCloseTo(80);
+    });
+
+    test('days and months begin at the zone\'s midnight', () => {
+      const auckland = { ...config, timeZone: 'Pacific/Auckland' };
+      // 01:00 on 1 February in Auckland
+      const instant = new Date(Date.UTC(2024, 0, 31, 12));
+      expect(getDayOf(auckland, instant)).toEqual(new Date(2024, 1, 1));
+      expect(getDayStart(auckland, new Date(2024, 1, 1)).toISOString()).toBe('2024-01-31T11:00:00.000Z');
+      expect(calculateEarnings(auckland, instant)).toBeCloseTo(0);
+    });
+
+    test('an overnight shift loses an hour when the clocks go forward', () => {
+      const london = {
+        ...config,
+        timeZone: 'Europe/London',
+        schedule: scheduleFromHours({ ...weekdays, 6: true }, 22, 6),
+      };
+      // Saturday 30 March 2024 22:00 into Sunday, after Friday night's shift
+      const saturdayNoon = Date.UTC(2024, 2, 30, 12);
+      expect(getWorkingHoursBetween(london, saturdayNoon, getDayStart(london, new Date(2024, 3, 1)))).toBe(7);
+    });
+  });
+
+  describe('salary history', () => {
+    // A raise from 36,000 to 48,000 from Friday 15 March 2024
+    const raised = { ...config, salaryHistory: [{ date: '2024-03-15', annualSalary: 48000, payRate: 0 }] };
+
+    test('a raise mid-month splits the month by working hours', () => {
+      // March 2024 has 21 weekdays, 11 of them from the 15th
+      const march = new Date(2024, 2, 20);
+      expect(calculateMonthlyTotal(raised, march)).toBeCloseTo((10 * 3000 + 11 * 4000) / 21);
+      expect(calculateDayRate(raised, new Date(2024, 2, 14))).toBeCloseTo(3000 / 21);
+      expect(calculateDayRate(raised, new Date(2024, 2, 15))).toBeCloseTo(4000 / 21);
+    });
+
+    test('past periods keep their pay', () => {
+      expect(calculateMonthlyTotal(raised, new Date(2024, 1, 10))).toBeCloseTo(3000);
+      expect(calculateMonthlyTotal(raised, new Date(2024, 3, 10))).toBeCloseTo(4000);
+      expect(calculateYearlyTotal(raised, new Date(2024, 5, 1)))
+        .toBeCloseTo(2 * 3000 + (10 * 3000 + 11 * 4000) / 21 + 9 * 4000);
+    });
+
+    test('rates change from the day a shift starts', () => {
+      const hourly = {
+        ...config,
+        payBasis: 'hourly',
+        payRate: 10,
+        schedule: scheduleFromHours(weekdays, 20, 4),
+        salaryHistory: [{ date: '2024-03-15', annualSalary: 0, payRate: 12 }],
+      };
+      // Thursday night's shift runs into the 15th at the old rate
+      expect(calculateDayRate(hourly, new Date(2024, 2, 15))).toBeCloseTo(4 * 10 + 4 * 12);
+      expect(calculateEarningsBetween(hourly, new Date(2024, 2, 14, 20), new Date(2024, 2, 15, 4))).toBeCloseTo(80);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Exchange rates kept by the user, for showing earnings in a second currency
+// without a network connection. Rates are typed in or imported from a file.
+//
+// rates = [{
+//   from, to,    // ISO 4217 codes, see lib/currency
+//   rate,        // 1 `from` is worth `rate` of `to`
+//   date,        // 'YYYY-MM-DD' the rate is from
+// }]
+//
+// A rate also converts the other way, at 1 / rate.
+//
+// Rate files can be JSON, either a list of rates as above or one base currency
+// with its rates:
+//
+//   { "base": "GBP", "date": "2024-01-05", "rates": { "EUR": 1.16, "USD": 1.27 } }
+//
+// or CSV with the columns from,to,rate,date (a header row is optional).
+
+import { isCurrencyCode } from './currency';
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Whether an entry is a usable rate
+export function isValidRate(entry) {
+  return isCurrencyCode(entry.from) && isCurrencyCode(entry.to) && entry.from !== entry.to
+    && typeof entry.rate === 'number' && Number.isFinite(entry.rate) && entry.rate > 0
+    && isIsoDate(entry.date);
+}
+
+// Helper function: whether a rate is between the two currencies, either way round
+function isPair(entry, from, to) {
+  return (entry.from === from && entry.to === to) || (entry.from === to && entry.to === from);
+}
+
+// The rate from one currency to another as { rate, date }, or null when there
+// is none. Of several rates for the pair the most recent is used.
+export function findRate(rates, from, to) {
+  if (from === to) return { rate: 1, date: null };
+  const entry = rates
+    .filter((other) => isPair(other, from, to))
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+  if (!entry) return null;
+  return { rate: entry.from === from ? entry.rate : 1 / entry.rate, date: entry.date };
+}
+
+// `amount` converted, or null when there is no rate
+export function convertAmount(amount, rates, from, to) {
+  const found = findRate(rates, from, to);
+  return found ? amount * found.rate : null;
+}
+
+// The rates with `entry` replacing any rate for the same pair
+export function setRate(rates, entry) {
+  return [...rates.filter((other) => !isPair(other, entry.from, entry.to)), entry];
+}
+
+// The rates without the pair
+export function removeRate(rates, from, to) {
+  return rates.filter((other) => !isPair(other, from, to));
+}
+
+// Helper function: a rate from loosely typed values, or null
+function readRate(from, to, rate, date) {
+  const entry = {
+    from: String(from || '').trim().toUpperCase(),
+    to: String(to || '').trim().toUpperCase(),
+    rate: Number(rate),
+    date: String(date || '').trim(),
+  };
+  return isValidRate(entry) ? entry : null;
+}
+
+// Helper function: rates from the JSON forms
+function parseRatesJson(data, today, problems) {
+  if (Array.isArray(data)) {
+    return data.map((item, index) => {
+      const entry = item && readRate(item.from, item.to, item.rate, item.date || today);
+      if (!entry) problems.push(`Rate ${index + 1} can't be used.`);
+      return entry;
+    });
+  }
+  if (data && typeof data.rates === 'object' && data.rates !== null) {
+    return Object.entries(data.rates)
+      .filter(([code]) => code !== String(data.base).toUpperCase())
+      .map(([code, rate]) => {
+        const entry = readRate(data.base, code, rate, data.date || today);
+        if (!entry) problems.push(`The ${data.base} to ${code} rate can't be used.`);
+        return entry;
+      });
+  }
+  problems.push('The file has no rates.');
+  return [];
+}
+
+// Helper function: rates from CSV lines
+function parseRatesCsv(text, today, problems) {
+  return text.split(/\r?\n/).map((line, index) => {
+    if (line.trim() === '') return null;
+    const [from, to, rate, date] = line.split(',').map((field) => field.trim().replace(/^"|"$/g, ''));
+    if (index === 0 && /^from$/i.test(from)) return null;
+    const entry = readRate(from, to, rate, date || today);
+    if (!entry) problems.push(`Line ${index + 1} can't be used.`);
+    return entry;
+  });
+}
+
+// Reads a rates file into { rates, problems }. Rates without a date are taken
+// as `today`; entries that can't be read are left out with a message.
+export function parseRatesFile(text, today) {
+  const problems = [];
+  let rates;
+  if (/^\s*[[{]/.test(text)) {
+    try {
+      rates = parseRatesJson(JSON.parse(text), today, problems);
+    } catch (error) {
+      return { rates: [], problems: ["That file isn't valid JSON."] };
+    }
+  } else {
+    rates = parseRatesCsv(text, today, problems);
+  }
+  return { rates: rates.filter(Boolean), problems };
+}
+
+// The rates with every imported one set over them
+export function mergeRates(rates, imported) {
+  return imported.reduce(setRate, rates);
+}
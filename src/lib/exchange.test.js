@@ -0,0 +1,50 @@
+import { convertAmount, findRate, mergeRates, parseRatesFile, removeRate, setRate } from './exchange';
+
+const rates = [
+  { from: 'GBP', to: 'EUR', rate: 1.15, date: '2024-01-02' },
+  { from: 'EUR', to: 'GBP', rate: 0.8, date: '2024-01-05' },
+  { from: 'USD', to: 'JPY', rate: 145, date: '2024-01-05' },
+];
+
+describe('exchange rates', () => {
+  test('finds the latest rate for a pair, either way round', () => {
+    expect(findRate(rates, 'GBP', 'EUR')).toEqual({ rate: 1.25, date: '2024-01-05' });
+    expect(findRate(rates, 'JPY', 'USD').rate).toBeCloseTo(1 / 145);
+    expect(findRate(rates, 'GBP', 'GBP')).toEqual({ rate: 1, date: null });
+    expect(findRate(rates, 'GBP', 'USD')).toBeNull();
+    expect(convertAmount(100, rates, 'EUR', 'GBP')).toBe(80);
+    expect(convertAmount(100, rates, 'GBP', 'USD')).toBeNull();
+  });
+
+  test('sets and removes the rate for a pair', () => {
+    const next = setRate(rates, { from: 'GBP', to: 'EUR', rate: 1.2, date: '2024-02-01' });
+    expect(next).toHaveLength(2);
+    expect(findRate(next, 'EUR', 'GBP').date).toBe('2024-02-01');
+    expect(removeRate(next, 'EUR', 'GBP')).toEqual([rates[2]]);
+  });
+
+  test('reads JSON rate files', () => {
+    expect(parseRatesFile(JSON.stringify({ base: 'GBP', date: '2024-01-05', rates: { EUR: 1.16, GBP: 1, XXX: 2 } }), '2024-03-01'))
+      .toEqual({
+        rates: [{ from: 'GBP', to: 'EUR', rate: 1.16, date: '2024-01-05' }],
+        problems: ["The GBP to XXX rate can't be used."],
+      });
+    expect(parseRatesFile('[{"from":"usd","to":"cad","rate":"1.35"}]', '2024-03-01').rates)
+      .toEqual([{ from: 'USD', to: 'CAD', rate: 1.35, date: '2024-03-01' }]);
+    expect(parseRatesFile('{oops', '2024-03-01').problems).toEqual(["That file isn't valid JSON."]);
+    expect(parseRatesFile('{}', '2024-03-01').problems).toEqual(['The file has no rates.']);
+  });
+
+  test('reads CSV rate files', () => {
+    const csv = 'From,To,Rate,Date\nGBP,EUR,1.16,2024-01-05\nGBP,USD,lots,2024-01-05\n\nEUR,CHF,0.94\n';
+    expect(parseRatesFile(csv, '2024-03-01')).toEqual({
+      rates: [
+        { from: 'GBP', to: 'EUR', rate: 1.16, date: '2024-01-05' },
+        { from: 'EUR', to: 'CHF', rate: 0.94, date: '2024-03-01' },
+      ],
+      problems: ["Line 3 can't be used."],
+    });
+    expect(mergeRates(rates, [{ from: 'EUR', to: 'GBP', rate: 0.86, date: '2024-03-01' }]))
+      .toEqual([rates[2], { from: 'EUR', to: 'GBP', rate: 0.86, date: '2024-03-01' }]);
+  });
+});
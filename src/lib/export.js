@@ -0,0 +1,143 @@
+// Backups of every profile's settings, and CSV exports of daily earnings.
+//
+// backup = {
+//   app: 'salary-counter',
+//   version: 2,                  // BACKUP_VERSION when it was written
+//   exportedAt: ISO timestamp,
+//   settings: store,             // see lib/settings
+// }
+//
+// Version 1 backups held the separate localStorage keys of settings layout 2,
+// { [key]: value }; they are migrated like saved settings are.
+
+import { addDays, toIsoDate } from './dates';
+import { calculateEarningsByDay, getDayStart, getHolidayOn, getLeaveOn } from './earnings';
+import { migrateSettings } from './settings';
+
+export const BACKUP_VERSION = 2;
+
+// How merging combines lists: entries with the same identity are replaced by
+// the imported one, the rest are kept
+const MERGE_BY = {
+  sessions: 'id',
+  leave: 'date',
+  customHolidays: 'date',
+};
+
+export function createBackup(store, now = new Date()) {
+  return {
+    app: 'salary-counter',
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    settings: store,
+  };
+}
+
+// Reads a backup file into a settings store. Throws an Error whose message
+// says what is wrong, including any setting that can't be used.
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (typeof backup !== 'object' || backup === null || backup.app !== 'salary-counter') {
+    throw new Error("That file isn't a Salary Counter backup.");
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('The backup has no version number.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`The backup is from a newer version (${backup.version}) of the app.`);
+  }
+  if (typeof backup.settings !== 'object' || backup.settings === null) {
+    throw new Error('The backup has no settings.');
+  }
+
+  const warnings = [];
+  const { store } = migrateSettings(
+    backup.version === 1 ? { version: 1, keys: backup.settings } : backup.settings,
+    warnings
+  );
+  if (warnings.length > 0) {
+    throw new Error(`The backup can't be used. ${warnings[0]}`);
+  }
+  return store;
+}
+
+// Helper function: two lists combined by MERGE_BY[field], imported entries
+// winning, in date or start order
+function mergeList(field, current, imported) {
+  const byField = new Map(current.map((entry) => [entry[MERGE_BY[field]], entry]));
+  imported.forEach((entry) => byField.set(entry[MERGE_BY[field]], entry));
+  const merged = [...byField.values()];
+  return field === 'sessions'
+    ? merged.sort((a, b) => a.start - b.start)
+    : merged.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The store after importing a backup's store. 'replace' takes the backup as it
+// is. 'merge' adds its profiles to the current ones; for a profile in both,
+// the backup's settings win but lists like the timesheet and leave are
+// combined.
+export function applyBackup(store, imported, mode) {
+  if (mode === 'replace') {
+    return imported;
+  }
+  const profiles = [...store.profiles];
+  const settings = { ...store.settings };
+  imported.profiles.forEach((profile) => {
+    const index = profiles.findIndex((other) => other.id === profile.id);
+    if (index === -1) {
+      profiles.push(profile);
+    } else {
+      profiles[index] = profile;
+    }
+
+    const current = store.settings[profile.id];
+    const next = imported.settings[profile.id];
+    settings[profile.id] = current
+      ? {
+        ...next,
+        ...Object.fromEntries(Object.keys(MERGE_BY).map((field) => (
+          [field, mergeList(field, current[field], next[field])]
+        ))),
+      }
+      : next;
+  });
+  return { ...store, profiles, settings };
+}
+
+// Helper function: quotes a CSV field when it needs it
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV row per day from `from` to `to` inclusive (both Dates at local
+// midnight): hours worked, gross earnings, take-home at `takeHomeRatio` of
+// gross, and any holiday or leave.
+export function createDailyEarningsCsv(config, from, to, takeHomeRatio = 1) {
+  const rows = [['Date', 'Hours', 'Gross', 'Take-home', 'Note']];
+  const totals = calculateEarningsByDay(config, getDayStart(config, from), getDayStart(config, addDays(to, 1)));
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const { hours, gross } = totals.get(toIsoDate(day)) || { hours: 0, gross: 0 };
+    const holiday = getHolidayOn(config, day);
+    const leave = getLeaveOn(config, day);
+    let note = '';
+    if (holiday) {
+      note = holiday.name;
+    } else if (leave) {
+      note = leave.part === 'full' ? 'Annual leave' : 'Half day of leave';
+    }
+    rows.push([
+      toIsoDate(day),
+      hours.toFixed(2),
+      gross.toFixed(2),
+      (gross * takeHomeRatio).toFixed(2),
+      note,
+    ]);
+  }
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,94 @@
+import { DEFAULT_SCHEDULE } from './schedule';
+import { applyBackup, createBackup, createDailyEarningsCsv, parseBackup } from './export';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION } from './settings';
+
+const store = (settings, profiles = [{ id: 'default', name: 'My job', active: true }]) => ({
+  version: SETTINGS_VERSION,
+  profileId: 'default',
+  profiles,
+  settings,
+});
+
+describe('backups', () => {
+  test('round-trips the settings store', () => {
+    const saved = store({ default: { ...DEFAULT_SETTINGS, annualSalary: 40000 } });
+    const backup = createBackup(saved, new Date(Date.UTC(2024, 0, 8)));
+    expect(backup).toEqual({
+      app: 'salary-counter',
+      version: 2,
+      exportedAt: '2024-01-08T00:00:00.000Z',
+      settings: saved,
+    });
+    expect(parseBackup(JSON.stringify(backup))).toEqual(saved);
+  });
+
+  test('reads version 1 backups of separate keys', () => {
+    const imported = parseBackup(JSON.stringify({
+      app: 'salary-counter',
+      version: 1,
+      settings: { 'salary-counter-annual-salary': 45000, 'salary-counter-currency': '$' },
+    }));
+    expect(imported.settings.default.annualSalary).toBe(45000);
+    expect(imported.settings.default.currency).toBe('USD');
+  });
+
+  test('rejects files that are not valid backups', () => {
+    const backupOf = (settings) => JSON.stringify({ app: 'salary-counter', version: 2, settings });
+    expect(() => parseBackup('{')).toThrow("isn't valid JSON");
+    expect(() => parseBackup('{"app":"other"}')).toThrow("isn't a Salary Counter backup");
+    expect(() => parseBackup('{"app":"salary-counter","version":9,"settings":{}}')).toThrow('newer version (9)');
+    expect(() => parseBackup(backupOf(store({ default: { annualSalary: '40000' } }))))
+      .toThrow("The backup can't be used. Annual salary couldn't be read and was reset.");
+    expect(() => parseBackup(backupOf({ version: 7 }))).toThrow("can't be used");
+  });
+
+  test('merging keeps profiles and list entries the backup lacks', () => {
+    const current = store({
+      default: {
+        ...DEFAULT_SETTINGS,
+        currency: 'USD',
+        leave: [{ date: '2024-01-10', part: 'full' }, { date: '2024-01-12', part: 'full' }],
+      },
+      p1: DEFAULT_SETTINGS,
+    }, [{ id: 'default', name: 'My job', active: true }, { id: 'p1', name: 'Mine', active: true }]);
+    const imported = store({
+      default: {
+        ...DEFAULT_SETTINGS,
+        annualSalary: 50000,
+        leave: [{ date: '2024-01-11', part: 'am' }, { date: '2024-01-12', part: 'pm' }],
+      },
+      p2: DEFAULT_SETTINGS,
+    }, [{ id: 'default', name: 'Work', active: true }, { id: 'p2', name: 'Theirs', active: true }]);
+
+    const merged = applyBackup(current, imported, 'merge');
+    expect(merged.profiles.map((profile) => profile.name)).toEqual(['Work', 'Mine', 'Theirs']);
+    expect(merged.settings.default.annualSalary).toBe(50000);
+    expect(merged.settings.default.leave).toEqual([
+      { date: '2024-01-10', part: 'full' },
+      { date: '2024-01-11', part: 'am' },
+      { date: '2024-01-12', part: 'pm' },
+    ]);
+    expect(applyBackup(current, imported, 'replace')).toBe(imported);
+  });
+});
+
+describe('daily earnings CSV', () => {
+  test('one row per day with holidays noted', () => {
+    const config = {
+      annualSalary: 0,
+      payBasis: 'hourly',
+      payRate: 10,
+      schedule: DEFAULT_SCHEDULE,
+      holidayRegion: 'gb-eaw',
+      leave: [{ date: '2024-01-02', part: 'am' }],
+    };
+    const csv = createDailyEarningsCsv(config, new Date(2023, 11, 31), new Date(2024, 0, 2), 0.8);
+    expect(csv).toBe([
+      'Date,Hours,Gross,Take-home,Note',
+      '2023-12-31,0.00,0.00,0.00,',
+      "2024-01-01,0.00,0.00,0.00,New Year's Day",
+      '2024-01-02,8.00,80.00,64.00,Half day of leave',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,132 @@
+// Earnings history: what each past day paid, from the schedule or the clocked
+// sessions, for the history chart and calendar. Like the earnings engine,
+// these take the time as an argument so they can be tested with fixed dates.
+//
+// days = [{
+//   day,         // calendar day, a local-midnight Date
+//   hours,       // working hours
+//   gross,       // earnings before deductions
+//   kind,        // key of DAY_KINDS
+// }]
+//
+// Figures come from the earnings engine, so a day matches what the cards
+// showed for it; today only counts up to "now".
+
+import { addDays, toIsoDate } from './dates';
+import {
+  calculateEarningsByDay,
+  getDayOf,
+  getDayStart,
+  getHolidayOn,
+  getLeaveOn,
+  isDayEnabled,
+} from './earnings';
+
+export const HISTORY_RANGES = {
+  month: 'Last 30 days',
+  quarter: 'Last 3 months',
+  year: 'Last 12 months',
+  yearToDate: 'Year to date',
+};
+
+export const HISTORY_GROUPS = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+};
+
+export const DAY_KINDS = {
+  worked: 'Worked',
+  leave: 'Leave',
+  holiday: 'Holiday',
+  weekend: 'Weekend',
+  off: 'Not worked',
+};
+
+// The first and last calendar day of range `id` ending on `today`, inclusive
+export function getHistoryRange(id, today) {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const date = today.getDate();
+  switch (id) {
+    case 'quarter':
+      return { from: new Date(year, month - 3, date + 1), to: today };
+    case 'year':
+      return { from: new Date(year - 1, month, date + 1), to: today };
+    case 'yearToDate':
+      return { from: new Date(year, 0, 1), to: today };
+    case 'month':
+    default:
+      return { from: addDays(today, -29), to: today };
+  }
+}
+
+// Helper function: what kind of day `day` was, given the hours worked on it.
+// Holidays and leave come first, so a half day of leave reads as leave.
+function getDayKind(config, day, hours) {
+  if (getHolidayOn(config, day)) return 'holiday';
+  if (getLeaveOn(config, day)) return 'leave';
+  if (hours > 0) return 'worked';
+  return isDayEnabled(config, day) ? 'off' : 'weekend';
+}
+
+// One entry per calendar day from `from` to `to` inclusive, stopping at `now`
+export function getDailyHistory(config, from, to, now) {
+  const end = Math.min(getDayStart(config, addDays(to, 1)), now);
+  const totals = calculateEarningsByDay(config, getDayStart(config, from), end);
+  const days = [];
+  for (let day = from; day <= to && getDayStart(config, day) < now; day = addDays(day, 1)) {
+    const { hours, gross } = totals.get(toIsoDate(day)) || { hours: 0, gross: 0 };
+    days.push({ day, hours, gross, kind: getDayKind(config, day, hours) });
+  }
+  return days;
+}
+
+// The history for range `id` up to `now`, in the schedule's time zone
+export function getHistory(config, id, now) {
+  const { from, to } = getHistoryRange(id, getDayOf(config, now));
+  return getDailyHistory(config, from, to, now);
+}
+
+// Helper function: the first day of the week (from Monday) or month containing
+// `day`
+function getGroupStart(day, group) {
+  if (group === 'week') {
+    return addDays(day, -((day.getDay() + 6) % 7));
+  }
+  if (group === 'month') {
+    return new Date(day.getFullYear(), day.getMonth(), 1);
+  }
+  return day;
+}
+
+// Adds up daily history by day, week or month, as [{ start, hours, gross }] in
+// order. The first and last groups may only be partly covered by the days.
+export function groupHistory(days, group) {
+  const groups = [];
+  days.forEach(({ day, hours, gross }) => {
+    const start = getGroupStart(day, group);
+    const last = groups[groups.length - 1];
+    if (last && last.start.getTime() === start.getTime()) {
+      last.hours += hours;
+      last.gross += gross;
+    } else {
+      groups.push({ start, hours, gross });
+    }
+  });
+  return groups;
+}
+
+// Daily history laid out as calendar weeks from Monday, each seven entries
+// long, with null for days before or after the history
+export function getCalendarWeeks(days) {
+  if (days.length === 0) return [];
+  const weeks = [];
+  const lead = (days[0].day.getDay() + 6) % 7;
+  const cells = [...Array(lead).fill(null), ...days];
+  for (let i = 0; i < cells.length; i += 7) {
+    const week = cells.slice(i, i + 7);
+    weeks.push([...week, ...Array(7 - week.length).fill(null)]);
+  }
+  return weeks;
+}
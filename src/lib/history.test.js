@@ -0,0 +1,75 @@
+import { getCalendarWeeks, getDailyHistory, getHistory, getHistoryRange, groupHistory } from './history';
+import { scheduleFromHours } from './schedule';
+
+const weekdays = { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false };
+
+const config = {
+  annualSalary: 0,
+  payBasis: 'hourly',
+  payRate: 10,
+  schedule: scheduleFromHours(weekdays, 9, 17),
+};
+
+describe('earnings history', () => {
+  test('ranges end today', () => {
+    const today = new Date(2024, 2, 31);
+    expect(getHistoryRange('month', today)).toEqual({ from: new Date(2024, 2, 2), to: today });
+    expect(getHistoryRange('quarter', today).from).toEqual(new Date(2024, 0, 1));
+    expect(getHistoryRange('year', today).from).toEqual(new Date(2023, 3, 1));
+    expect(getHistoryRange('yearToDate', today).from).toEqual(new Date(2024, 0, 1));
+  });
+
+  test('adds up each day and says what kind of day it was', () => {
+    const withDaysOff = {
+      ...config,
+      holidayRegion: 'gb-eaw',
+      leave: [{ date: '2023-12-27', part: 'full' }],
+    };
+    const days = getDailyHistory(withDaysOff, new Date(2023, 11, 22), new Date(2023, 11, 27), new Date(2024, 0, 1));
+    expect(days.map((entry) => entry.kind)).toEqual(['worked', 'weekend', 'weekend', 'holiday', 'holiday', 'leave']);
+    expect(days[0]).toEqual({ day: new Date(2023, 11, 22), hours: 8, gross: 80, kind: 'worked' });
+    expect(days[3].gross).toBe(0);
+  });
+
+  test('counts leave as paid', () => {
+    const onLeave = { ...config, leave: [{ date: '2024-01-10', part: 'full' }] };
+    const [day] = getDailyHistory(onLeave, new Date(2024, 0, 10), new Date(2024, 0, 10), new Date(2024, 0, 11));
+    expect(day).toEqual({ day: new Date(2024, 0, 10), hours: 8, gross: 80, kind: 'leave' });
+  });
+
+  test('today only counts up to now', () => {
+    const days = getHistory(config, 'month', new Date(2024, 0, 10, 13, 0));
+    expect(days).toHaveLength(30);
+    expect(days[29]).toEqual({ day: new Date(2024, 0, 10), hours: 4, gross: 40, kind: 'worked' });
+  });
+
+  test('clocked sessions replace the schedule', () => {
+    const tracked = {
+      ...config,
+      tracking: 'sessions',
+      sessions: [{ id: 'a', start: new Date(2024, 0, 13, 10).getTime(), end: new Date(2024, 0, 13, 12).getTime() }],
+    };
+    const days = getDailyHistory(tracked, new Date(2024, 0, 12), new Date(2024, 0, 13), new Date(2024, 0, 14));
+    expect(days.map((entry) => [entry.kind, entry.hours])).toEqual([['off', 0], ['worked', 2]]);
+  });
+
+  test('groups days by week and month', () => {
+    const days = getDailyHistory(config, new Date(2024, 0, 29), new Date(2024, 1, 6), new Date(2024, 1, 7));
+    expect(groupHistory(days, 'week')).toEqual([
+      { start: new Date(2024, 0, 29), hours: 40, gross: 400 },
+      { start: new Date(2024, 1, 5), hours: 16, gross: 160 },
+    ]);
+    expect(groupHistory(days, 'month').map((group) => group.hours)).toEqual([24, 32]);
+    expect(groupHistory(days, 'day')).toHaveLength(9);
+  });
+
+  test('lays days out in calendar weeks from Monday', () => {
+    const days = getDailyHistory(config, new Date(2024, 0, 3), new Date(2024, 0, 9), new Date(2024, 0, 10));
+    const weeks = getCalendarWeeks(days);
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0].slice(0, 2)).toEqual([null, null]);
+    expect(weeks[0][2].day).toEqual(new Date(2024, 0, 3));
+    expect(weeks[1].filter(Boolean)).toHaveLength(2);
+    expect(getCalendarWeeks([])).toEqual([]);
+  });
+});
@@ -0,0 +1,328 @@
+// Public holiday calendars, bundled so the counter works offline. Each region
+// builds its holidays for a year from rules (fixed dates, Easter offsets, nth
+// weekdays and weekend substitutes), plus any one-off holidays.
+//
+// A holiday is { date: 'YYYY-MM-DD', name }.
+
+import { addDays, parseIsoDate, toIsoDate } from './dates';
+
+// Easter Sunday for a Gregorian year (anonymous Gregorian algorithm)
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+// The nth given weekday (0=Sunday) of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = new Date(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+  const first = new Date(year, month, 1);
+  return addDays(first, ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+}
+
+function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
+
+// Holidays in a list that fall on a weekend move to the next weekday that
+// isn't already a holiday (UK and Irish "substitute day" rules)
+function withNextWeekdaySubstitutes(holidays, substituted) {
+  const taken = new Set(holidays.map((h) => h.date));
+  const result = [];
+  for (const holiday of holidays) {
+    let date = parseIsoDate(holiday.date);
+    if (substituted.includes(holiday.name) && isWeekend(date)) {
+      taken.delete(holiday.date);
+      while (isWeekend(date) || taken.has(toIsoDate(date))) {
+        date = addDays(date, 1);
+      }
+      taken.add(toIsoDate(date));
+      result.push({ date: toIsoDate(date), name: `${holiday.name} (substitute day)` });
+    } else {
+      result.push(holiday);
+    }
+  }
+  return result;
+}
+
+// US federal rule: Saturday holidays are observed on Friday, Sunday ones on Monday
+function observedUs(date) {
+  if (date.getDay() === 6) return addDays(date, -1);
+  if (date.getDay() === 0) return addDays(date, 1);
+  return date;
+}
+
+const holiday = (date, name) => ({ date: toIsoDate(date), name });
+
+// Bank holidays moved or added by royal proclamation
+const UK_ONE_OFFS = {
+  2012: { move: { 'Spring bank holiday': new Date(2012, 5, 4) }, add: [[new Date(2012, 5, 5), 'Queen\'s Diamond Jubilee']] },
+  2020: { move: { 'Early May bank holiday': new Date(2020, 4, 8) } },
+  2022: {
+    move: { 'Spring bank holiday': new Date(2022, 5, 2) },
+    add: [[new Date(2022, 5, 3), 'Platinum Jubilee bank holiday'], [new Date(2022, 8, 19), 'State Funeral of Queen Elizabeth II']],
+  },
+  2023: { add: [[new Date(2023, 4, 8), 'Coronation of King Charles III']] },
+};
+
+function applyUkOneOffs(year, holidays) {
+  const oneOffs = UK_ONE_OFFS[year];
+  if (!oneOffs) return holidays;
+  const moved = holidays.map((h) => (
+    oneOffs.move && oneOffs.move[h.name] ? holiday(oneOffs.move[h.name], h.name) : h
+  ));
+  return moved.concat((oneOffs.add || []).map(([date, name]) => holiday(date, name)));
+}
+
+function englandAndWales(year) {
+  const easter = getEasterSunday(year);
+  const holidays = withNextWeekdaySubstitutes([
+    holiday(new Date(year, 0, 1), 'New Year\'s Day'),
+    holiday(addDays(easter, -2), 'Good Friday'),
+    holiday(addDays(easter, 1), 'Easter Monday'),
+    holiday(nthWeekday(year, 4, 1, 1), 'Early May bank holiday'),
+    holiday(nthWeekday(year, 4, 1, -1), 'Spring bank holiday'),
+    holiday(nthWeekday(year, 7, 1, -1), 'Summer bank holiday'),
+    holiday(new Date(year, 11, 25), 'Christmas Day'),
+    holiday(new Date(year, 11, 26), 'Boxing Day'),
+  ], ['New Year\'s Day', 'Christmas Day', 'Boxing Day']);
+  return applyUkOneOffs(year, holidays);
+}
+
+function scotland(year) {
+  const easter = getEasterSunday(year);
+  const holidays = withNextWeekdaySubstitutes([
+    holiday(new Date(year, 0, 1), 'New Year\'s Day'),
+    holiday(new Date(year, 0, 2), '2nd January'),
+    holiday(addDays(easter, -2), 'Good Friday'),
+    holiday(nthWeekday(year, 4, 1, 1), 'Early May bank holiday'),
+    holiday(nthWeekday(year, 4, 1, -1), 'Spring bank holiday'),
+    holiday(nthWeekday(year, 7, 1, 1), 'Summer bank holiday'),
+    holiday(new Date(year, 10, 30), 'St Andrew\'s Day'),
+    holiday(new Date(year, 11, 25), 'Christmas Day'),
+    holiday(new Date(year, 11, 26), 'Boxing Day'),
+  ], ['New Year\'s Day', '2nd January', 'St Andrew\'s Day', 'Christmas Day', 'Boxing Day']);
+  return applyUkOneOffs(year, holidays);
+}
+
+function northernIreland(year) {
+  const extra = withNextWeekdaySubstitutes([
+    holiday(new Date(year, 2, 17), 'St Patrick\'s Day'),
+    holiday(new Date(year, 6, 12), 'Battle of the Boyne (Orangemen\'s Day)'),
+  ], ['St Patrick\'s Day', 'Battle of the Boyne (Orangemen\'s Day)']);
+  return englandAndWales(year).concat(extra);
+}
+
+function unitedStates(year) {
+  const holidays = [
+    holiday(observedUs(new Date(year, 0, 1)), 'New Year\'s Day'),
+    holiday(nthWeekday(year, 0, 1, 3), 'Birthday of Martin Luther King, Jr.'),
+    holiday(nthWeekday(year, 1, 1, 3), 'Washington\'s Birthday'),
+    holiday(nthWeekday(year, 4, 1, -1), 'Memorial Day'),
+    holiday(observedUs(new Date(year, 6, 4)), 'Independence Day'),
+    holiday(nthWeekday(year, 8, 1, 1), 'Labor Day'),
+    holiday(nthWeekday(year, 9, 1, 2), 'Columbus Day'),
+    holiday(observedUs(new Date(year, 10, 11)), 'Veterans Day'),
+    holiday(nthWeekday(year, 10, 4, 4), 'Thanksgiving Day'),
+    holiday(observedUs(new Date(year, 11, 25)), 'Christmas Day'),
+  ];
+  if (year >= 2021) {
+    holidays.push(holiday(observedUs(new Date(year, 5, 19)), 'Juneteenth National Independence Day'));
+  }
+  // A Saturday New Year's Day is observed on 31 December of the year before;
+  // keep only holidays observed inside this calendar year
+  holidays.push(holiday(observedUs(new Date(year + 1, 0, 1)), 'New Year\'s Day'));
+  return holidays.filter((h) => h.date.startsWith(`${year}-`));
+}
+
+function germany(year) {
+  const easter = getEasterSunday(year);
+  return [
+    holiday(new Date(year, 0, 1), 'Neujahr'),
+    holiday(addDays(easter, -2), 'Karfreitag'),
+    holiday(addDays(easter, 1), 'Ostermontag'),
+    holiday(new Date(year, 4, 1), 'Tag der Arbeit'),
+    holiday(addDays(easter, 39), 'Christi Himmelfahrt'),
+    holiday(addDays(easter, 50), 'Pfingstmontag'),
+    holiday(new Date(year, 9, 3), 'Tag der Deutschen Einheit'),
+    holiday(new Date(year, 11, 25), '1. Weihnachtstag'),
+    holiday(new Date(year, 11, 26), '2. Weihnachtstag'),
+  ];
+}
+
+function france(year) {
+  const easter = getEasterSunday(year);
+  return [
+    holiday(new Date(year, 0, 1), 'Jour de l\'an'),
+    holiday(addDays(easter, 1), 'Lundi de Pâques'),
+    holiday(new Date(year, 4, 1), 'Fête du Travail'),
+    holiday(new Date(year, 4, 8), 'Victoire 1945'),
+    holiday(addDays(easter, 39), 'Ascension'),
+    holiday(addDays(easter, 50), 'Lundi de Pentecôte'),
+    holiday(new Date(year, 6, 14), 'Fête nationale'),
+    holiday(new Date(year, 7, 15), 'Assomption'),
+    holiday(new Date(year, 10, 1), 'Toussaint'),
+    holiday(new Date(year, 10, 11), 'Armistice 1918'),
+    holiday(new Date(year, 11, 25), 'Noël'),
+  ];
+}
+
+function ireland(year) {
+  const easter = getEasterSunday(year);
+  const holidays = [
+    holiday(new Date(year, 0, 1), 'New Year\'s Day'),
+    holiday(new Date(year, 2, 17), 'St Patrick\'s Day'),
+    holiday(addDays(easter, 1), 'Easter Monday'),
+    holiday(nthWeekday(year, 4, 1, 1), 'May bank holiday'),
+    holiday(nthWeekday(year, 5, 1, 1), 'June bank holiday'),
+    holiday(nthWeekday(year, 7, 1, 1), 'August bank holiday'),
+    holiday(nthWeekday(year, 9, 1, -1), 'October bank holiday'),
+    holiday(new Date(year, 11, 25), 'Christmas Day'),
+    holiday(new Date(year, 11, 26), 'St Stephen\'s Day'),
+  ];
+  if (year >= 2023) {
+    // First Monday in February, or 1 February when that is a Friday
+    const first = new Date(year, 1, 1);
+    holidays.push(holiday(first.getDay() === 5 ? first : nthWeekday(year, 1, 1, 1), 'St Brigid\'s Day'));
+  }
+  return withNextWeekdaySubstitutes(holidays, ['New Year\'s Day', 'St Patrick\'s Day', 'Christmas Day', 'St Stephen\'s Day']);
+}
+
+function netherlands(year) {
+  const easter = getEasterSunday(year);
+  const kingsDay = new Date(year, 3, 27);
+  return [
+    holiday(new Date(year, 0, 1), 'Nieuwjaarsdag'),
+    holiday(addDays(easter, 1), 'Tweede Paasdag'),
+    // Moves to the Saturday before when 27 April is a Sunday
+    holiday(kingsDay.getDay() === 0 ? addDays(kingsDay, -1) : kingsDay, 'Koningsdag'),
+    holiday(addDays(easter, 39), 'Hemelvaartsdag'),
+    holiday(addDays(easter, 50), 'Tweede Pinksterdag'),
+    holiday(new Date(year, 11, 25), 'Eerste Kerstdag'),
+    holiday(new Date(year, 11, 26), 'Tweede Kerstdag'),
+  ];
+}
+
+function spain(year) {
+  const easter = getEasterSunday(year);
+  return [
+    holiday(new Date(year, 0, 1), 'Año Nuevo'),
+    holiday(new Date(year, 0, 6), 'Epifanía del Señor'),
+    holiday(addDays(easter, -2), 'Viernes Santo'),
+    holiday(new Date(year, 4, 1), 'Fiesta del Trabajo'),
+    holiday(new Date(year, 7, 15), 'Asunción de la Virgen'),
+    holiday(new Date(year, 9, 12), 'Fiesta Nacional de España'),
+    holiday(new Date(year, 10, 1), 'Todos los Santos'),
+    holiday(new Date(year, 11, 6), 'Día de la Constitución'),
+    holiday(new Date(year, 11, 8), 'Inmaculada Concepción'),
+    holiday(new Date(year, 11, 25), 'Navidad'),
+  ];
+}
+
+export const HOLIDAY_REGIONS = {
+  none: { label: 'None', getHolidays: () => [] },
+  'gb-eaw': { label: 'England & Wales', getHolidays: englandAndWales },
+  'gb-sct': { label: 'Scotland', getHolidays: scotland },
+  'gb-nir': { label: 'Northern Ireland', getHolidays: northernIreland },
+  us: { label: 'United States (federal)', getHolidays: unitedStates },
+  de: { label: 'Germany (nationwide)', getHolidays: germany },
+  fr: { label: 'France', getHolidays: france },
+  ie: { label: 'Ireland', getHolidays: ireland },
+  nl: { label: 'Netherlands', getHolidays: netherlands },
+  es: { label: 'Spain (nationwide)', getHolidays: spain },
+};
+
+// Holidays are looked up for every day the engine walks over, so keep a
+// date => holiday map per region and year
+const regionCache = new Map();
+
+function getRegionHolidayMap(region, year) {
+  const key = `${region}:${year}`;
+  if (!regionCache.has(key)) {
+    const calendar = HOLIDAY_REGIONS[region] || HOLIDAY_REGIONS.none;
+    regionCache.set(key, new Map(calendar.getHolidays(year).map((h) => [h.date, h])));
+  }
+  return regionCache.get(key);
+}
+
+const customCache = new WeakMap();
+const NO_HOLIDAYS = [];
+
+function getCustomHolidayMap(customHolidays) {
+  if (!customCache.has(customHolidays)) {
+    customCache.set(customHolidays, new Map(customHolidays.map((h) => [h.date, h])));
+  }
+  return customCache.get(customHolidays);
+}
+
+// Sorted holidays for a region in a given year
+export function getHolidaysForYear(region, year) {
+  return [...getRegionHolidayMap(region, year).values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The holiday on a calendar day, from the region's calendar or the user's own
+// list, or null if it's an ordinary day
+export function getHoliday(date, region, customHolidays = NO_HOLIDAYS) {
+  const isoDate = toIsoDate(date);
+  return getCustomHolidayMap(customHolidays).get(isoDate)
+    || getRegionHolidayMap(region, date.getFullYear()).get(isoDate)
+    || null;
+}
+
+// Helper function: the date part of an iCalendar DATE or DATE-TIME value
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+// Reads all-day events from an .ics file as holidays. Multi-day events (with
+// an exclusive DTEND) become one holiday per day. Recurring rules are ignored.
+export function parseIcsHolidays(text) {
+  // Unfold continuation lines (they start with a space or tab)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const end = event.end && event.end > event.start ? event.end : addDays(event.start, 1);
+        for (let day = event.start; day < end; day = addDays(day, 1)) {
+          holidays.push({ date: toIsoDate(day), name: event.summary || 'Holiday' });
+        }
+      }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      const value = line.slice(separator + 1).trim();
+      if (name === 'DTSTART') {
+        event.start = parseIcsDate(value);
+      } else if (name === 'DTEND') {
+        event.end = parseIcsDate(value);
+      } else if (name === 'SUMMARY') {
+        event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+      }
+    }
+  }
+
+  return holidays;
+}
@@ -0,0 +1,96 @@
+import { toIsoDate } from './dates';
+import { getEasterSunday, getHoliday, getHolidaysForYear, parseIcsHolidays } from './holidays';
+
+const dates = (region, year) => getHolidaysForYear(region, year).map((h) => h.date);
+
+describe('holiday calendars', () => {
+  test('computes Easter Sunday', () => {
+    expect(toIsoDate(getEasterSunday(2024))).toBe('2024-03-31');
+    expect(toIsoDate(getEasterSunday(2025))).toBe('2025-04-20');
+    expect(toIsoDate(getEasterSunday(2038))).toBe('2038-04-25');
+  });
+
+  test('England & Wales, including substitutes and one-off holidays', () => {
+    expect(dates('gb-eaw', 2022)).toEqual([
+      '2022-01-03', '2022-04-15', '2022-04-18', '2022-05-02', '2022-06-02',
+      '2022-06-03', '2022-08-29', '2022-09-19', '2022-12-26', '2022-12-27',
+    ]);
+    expect(dates('gb-eaw', 2020)).toContain('2020-05-08');
+    expect(dates('gb-eaw', 2020)).not.toContain('2020-05-04');
+  });
+
+  test('Scotland has 2 January and St Andrew\'s Day but no Easter Monday', () => {
+    const scotland = dates('gb-sct', 2022);
+    expect(scotland).toContain('2022-01-03');
+    expect(scotland).toContain('2022-01-04');
+    expect(scotland).toContain('2022-11-30');
+    expect(scotland).not.toContain('2022-04-18');
+    // Summer bank holiday is the first Monday of August
+    expect(scotland).toContain('2022-08-01');
+  });
+
+  test('Northern Ireland adds St Patrick\'s Day and the Twelfth', () => {
+    const ni = dates('gb-nir', 2023);
+    expect(ni).toContain('2023-03-17');
+    expect(ni).toContain('2023-07-12');
+    expect(ni).toContain('2023-04-10');
+  });
+
+  test('US federal holidays use the observed day', () => {
+    // Juneteenth 2021 fell on a Saturday
+    expect(dates('us', 2021)).toContain('2021-06-18');
+    // New Year's Day 2022 (a Saturday) was observed on 31 December 2021
+    expect(dates('us', 2021)).toContain('2021-12-31');
+    expect(dates('us', 2022)).not.toContain('2022-01-03');
+    expect(dates('us', 2024)).toContain('2024-11-28');
+  });
+
+  test('Ireland\'s St Brigid\'s Day', () => {
+    expect(dates('ie', 2025)).toContain('2025-02-03');
+    // 1 February 2030 is a Friday
+    expect(dates('ie', 2030)).toContain('2030-02-01');
+    expect(dates('ie', 2022).some((d) => d.startsWith('2022-02'))).toBe(false);
+  });
+
+  test('moveable feasts in continental calendars', () => {
+    expect(dates('de', 2024)).toContain('2024-05-09');
+    expect(dates('fr', 2024)).toContain('2024-05-20');
+    expect(dates('nl', 2025)).toContain('2025-04-26');
+    expect(dates('es', 2024)).toContain('2024-03-29');
+  });
+
+  test('looks up a holiday by day, preferring custom holidays', () => {
+    const christmas = new Date(2024, 11, 25);
+    expect(getHoliday(christmas, 'gb-eaw').name).toBe('Christmas Day');
+    expect(getHoliday(christmas, 'none')).toBe(null);
+    expect(getHoliday(christmas, 'gb-eaw', [{ date: '2024-12-25', name: 'Office closed' }]).name).toBe('Office closed');
+  });
+
+  test('imports all-day events from an .ics file', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20241224',
+      'DTEND;VALUE=DATE:20241225',
+      'SUMMARY:Christmas Eve\\, offi',
+      ' ce closed',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20241230',
+      'DTEND;VALUE=DATE:20250101',
+      'SUMMARY:Shutdown',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20250102T090000Z',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    expect(parseIcsHolidays(ics)).toEqual([
+      { date: '2024-12-24', name: 'Christmas Eve, office closed' },
+      { date: '2024-12-30', name: 'Shutdown' },
+      { date: '2024-12-31', name: 'Shutdown' },
+      { date: '2025-01-02', name: 'Holiday' },
+    ]);
+  });
+});
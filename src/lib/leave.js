@@ -0,0 +1,84 @@
+// Annual leave planner. Booked leave is paid, so it doesn't change what the
+// earnings engine pays; these helpers book and cancel days and work out how
+// much allowance is left and what the leave taken so far was worth.
+
+import { addDays, parseIsoDate, toIsoDate } from './dates';
+import { calculateDayRate, getLeaveFraction, isWorkingDay } from './earnings';
+
+export const LEAVE_PARTS = {
+  full: 'Full day',
+  am: 'Morning',
+  pm: 'Afternoon',
+};
+
+// Books leave on every working day from `from` to `to` inclusive (both
+// 'YYYY-MM-DD'), replacing anything already booked on those days. Weekends
+// and holidays in the range are skipped.
+export function bookLeave(config, from, to, part = 'full') {
+  const start = parseIsoDate(from);
+  const end = parseIsoDate(to && to >= from ? to : from);
+  const booked = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (isWorkingDay(config, day)) {
+      booked.push({ date: toIsoDate(day), part });
+    }
+  }
+
+  const dates = new Set(booked.map((entry) => entry.date));
+  return (config.leave || [])
+    .filter((entry) => !dates.has(entry.date))
+    .concat(booked)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function cancelLeave(leave, date) {
+  return leave.filter((entry) => entry.date !== date);
+}
+
+// The leave year containing `now`, which starts on the 1st of `startMonth` (0-11)
+export function getLeaveYear(now, startMonth = 0) {
+  const date = new Date(now);
+  const year = date.getMonth() >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  return {
+    start: new Date(year, startMonth, 1),
+    end: new Date(year + 1, startMonth, 1),
+  };
+}
+
+// Whether booked leave has been taken by calendar day `today`. Today's leave
+// counts as taken, even before its hours are over.
+export function isLeaveTaken(entry, today) {
+  return entry.date <= toIsoDate(new Date(today));
+}
+
+// Allowance used and left in the current leave year. Leave taken by today, see
+// isLeaveTaken, is used; later bookings count as booked.
+export function summarizeLeave(config, now, allowance, startMonth = 0) {
+  const { start, end } = getLeaveYear(now, startMonth);
+  let taken = 0;
+  let booked = 0;
+  let valueTaken = 0;
+
+  for (const entry of config.leave || []) {
+    const day = parseIsoDate(entry.date);
+    if (day < start || day >= end) continue;
+
+    const fraction = getLeaveFraction(config, day);
+    if (isLeaveTaken(entry, now)) {
+      taken += fraction;
+      valueTaken += calculateDayRate(config, day) * fraction;
+    } else {
+      booked += fraction;
+    }
+  }
+
+  return {
+    allowance,
+    taken,
+    booked,
+    remaining: allowance - taken - booked,
+    valueTaken,
+    yearStart: start,
+    yearEnd: end,
+  };
+}
@@ -0,0 +1,75 @@
+import { calculateDayRate, calculateMonthlyTotal, getLeaveFraction, isOnLeave, isWithinWorkHours } from './earnings';
+import { bookLeave, cancelLeave, getLeaveYear, isLeaveTaken, summarizeLeave } from './leave';
+import { scheduleFromHours } from './schedule';
+
+const config = {
+  annualSalary: 36000,
+  payBasis: 'monthly',
+  payRate: 0,
+  schedule: scheduleFromHours({ 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false }, 9, 17),
+  holidayRegion: 'gb-eaw',
+  leave: [],
+};
+
+describe('annual leave', () => {
+  test('books working days in a range, skipping weekends and holidays', () => {
+    // Friday 20 December 2024 to Friday 27 December 2024
+    const leave = bookLeave(config, '2024-12-20', '2024-12-27');
+    expect(leave.map((entry) => entry.date)).toEqual([
+      '2024-12-20', '2024-12-23', '2024-12-24', '2024-12-27',
+    ]);
+  });
+
+  test('rebooking a day replaces it, cancelling removes it', () => {
+    let leave = bookLeave(config, '2024-06-03', '2024-06-03');
+    leave = bookLeave({ ...config, leave }, '2024-06-03', null, 'am');
+    expect(leave).toEqual([{ date: '2024-06-03', part: 'am' }]);
+    expect(cancelLeave(leave, '2024-06-03')).toEqual([]);
+  });
+
+  test('leave is paid, so monthly pay is unchanged', () => {
+    const onLeave = { ...config, leave: bookLeave(config, '2024-06-03', '2024-06-07') };
+    expect(calculateMonthlyTotal(onLeave, new Date(2024, 5, 1))).toBeCloseTo(calculateMonthlyTotal(config, new Date(2024, 5, 1)));
+    expect(getLeaveFraction(onLeave, new Date(2024, 5, 3))).toBe(1);
+  });
+
+  test('knows which half of the day is leave', () => {
+    const morning = { ...config, leave: [{ date: '2024-06-03', part: 'am' }] };
+    expect(isOnLeave(morning, new Date(2024, 5, 3, 10, 0))).toBe(true);
+    expect(isOnLeave(morning, new Date(2024, 5, 3, 14, 0))).toBe(false);
+    expect(isWithinWorkHours(morning, new Date(2024, 5, 3, 14, 0))).toBe(true);
+    expect(getLeaveFraction(morning, new Date(2024, 5, 3))).toBe(0.5);
+  });
+
+  test('ignores leave on days that are not worked', () => {
+    const weekend = { ...config, leave: [{ date: '2024-06-01', part: 'full' }] };
+    expect(getLeaveFraction(weekend, new Date(2024, 5, 1))).toBe(0);
+  });
+
+  test('finds the leave year', () => {
+    expect(getLeaveYear(new Date(2024, 2, 15), 3).start).toEqual(new Date(2023, 3, 1));
+    expect(getLeaveYear(new Date(2024, 3, 1), 3).start).toEqual(new Date(2024, 3, 1));
+    expect(getLeaveYear(new Date(2024, 3, 1)).end).toEqual(new Date(2025, 0, 1));
+  });
+
+  test('summarises allowance and the value of leave taken', () => {
+    const leave = [
+      { date: '2023-12-27', part: 'full' },
+      { date: '2024-06-03', part: 'full' },
+      { date: '2024-06-04', part: 'pm' },
+      { date: '2024-08-05', part: 'full' },
+    ];
+    const summary = summarizeLeave({ ...config, leave }, new Date(2024, 5, 10), 25);
+    expect(summary.taken).toBe(1.5);
+    expect(summary.booked).toBe(1);
+    expect(summary.remaining).toBe(22.5);
+    expect(summary.valueTaken).toBeCloseTo(calculateDayRate(config, new Date(2024, 5, 3)) * 1.5);
+  });
+
+  test('counts today\'s leave as taken', () => {
+    const entry = { date: '2024-06-10', part: 'full' };
+    expect(isLeaveTaken(entry, new Date(2024, 5, 9))).toBe(false);
+    expect(isLeaveTaken(entry, new Date(2024, 5, 10))).toBe(true);
+    expect(summarizeLeave({ ...config, leave: [entry] }, new Date(2024, 5, 10), 25).taken).toBe(1);
+  });
+});
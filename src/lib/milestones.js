@@ -0,0 +1,69 @@
+// Milestones: amounts to earn within a period, like a coffee a day or the rent
+// each month, shown as progress next to the earnings.
+//
+// milestones = [{
+//   id,
+//   name,        // e.g. 'Coffee'
+//   amount,      // in the profile's currency; 0 while being typed, never reached
+//   period,      // key of EARNINGS_CARDS in lib/periods, e.g. 'today'
+// }]
+//
+// Progress is measured against whatever the counter shows, gross or take-home.
+
+import { EARNINGS_CARDS } from './periods';
+
+// Suggestions offered when adding a milestone, in order
+export const MILESTONE_SUGGESTIONS = [
+  { name: 'Coffee', amount: 3.5, period: 'today' },
+  { name: 'Daily target', amount: 100, period: 'today' },
+  { name: 'Rent', amount: 1200, period: 'month' },
+];
+
+// Whether an entry is a usable milestone
+export function isValidMilestone(milestone) {
+  return typeof milestone.id === 'string' && typeof milestone.name === 'string'
+    && typeof milestone.amount === 'number' && Number.isFinite(milestone.amount) && milestone.amount >= 0
+    && Boolean(EARNINGS_CARDS[milestone.period]);
+}
+
+// Adds a milestone, returning the new list and the new milestone's id
+export function addMilestone(milestones, milestone, now = Date.now()) {
+  const taken = new Set(milestones.map((other) => other.id));
+  let id = `m${now.toString(36)}`;
+  for (let i = 2; taken.has(id); i++) {
+    id = `m${now.toString(36)}-${i}`;
+  }
+  return { milestones: [...milestones, { ...milestone, id }], id };
+}
+
+export function updateMilestone(milestones, id, changes) {
+  return milestones.map((milestone) => (milestone.id === id ? { ...milestone, ...changes } : milestone));
+}
+
+export function removeMilestone(milestones, id) {
+  return milestones.filter((milestone) => milestone.id !== id);
+}
+
+// How far `earned` is towards a milestone: { percent (0-100), reached, times },
+// where times is how many of it have been earned, e.g. 3 coffees
+export function getMilestoneProgress(milestone, earned) {
+  if (milestone.amount <= 0) {
+    return { percent: 0, reached: false, times: 0 };
+  }
+  const times = Math.floor(earned / milestone.amount);
+  return {
+    percent: Math.min(100, Math.floor((earned / milestone.amount) * 100)),
+    reached: times >= 1,
+    times,
+  };
+}
+
+// The milestones crossed going from the earnings `before` to `after`, both
+// { [period]: amount }. A period missing from `before` crosses nothing, so
+// nothing is celebrated when the page opens.
+export function getCrossedMilestones(milestones, before, after) {
+  return milestones.filter((milestone) => (
+    milestone.amount > 0 && before[milestone.period] !== undefined && after[milestone.period] !== undefined
+    && before[milestone.period] < milestone.amount && after[milestone.period] >= milestone.amount
+  ));
+}
@@ -0,0 +1,36 @@
+import {
+  addMilestone,
+  getCrossedMilestones,
+  getMilestoneProgress,
+  isValidMilestone,
+  removeMilestone,
+  updateMilestone,
+} from './milestones';
+
+const coffee = { id: 'm1', name: 'Coffee', amount: 3.5, period: 'today' };
+const rent = { id: 'm2', name: 'Rent', amount: 1200, period: 'month' };
+
+describe('milestones', () => {
+  test('adds, edits and removes milestones', () => {
+    const { milestones, id } = addMilestone([coffee], { name: 'Rent', amount: 1200, period: 'month' }, 1000);
+    expect(milestones).toHaveLength(2);
+    expect(isValidMilestone(milestones[1])).toBe(true);
+    expect(updateMilestone(milestones, id, { amount: 950 })[1].amount).toBe(950);
+    expect(removeMilestone(milestones, 'm1')).toEqual([milestones[1]]);
+    expect(isValidMilestone({ ...coffee, period: 'decade' })).toBe(false);
+  });
+
+  test('measures progress and how many have been earned', () => {
+    expect(getMilestoneProgress(coffee, 1.75)).toEqual({ percent: 50, reached: false, times: 0 });
+    expect(getMilestoneProgress(coffee, 11)).toEqual({ percent: 100, reached: true, times: 3 });
+    expect(getMilestoneProgress({ ...coffee, amount: 0 }, 11).reached).toBe(false);
+  });
+
+  test('finds milestones crossed between two ticks', () => {
+    expect(getCrossedMilestones([coffee, rent], { today: 3.4, month: 900 }, { today: 3.6, month: 901 }))
+      .toEqual([coffee]);
+    // Nothing is crossed on the first tick, or when a milestone was already reached
+    expect(getCrossedMilestones([coffee], {}, { today: 5 })).toEqual([]);
+    expect(getCrossedMilestones([coffee], { today: 4 }, { today: 5 })).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+// Overtime rules for hourly and day-rate pay. Each rule raises the pay for
+// some working hours by a multiplier:
+//
+//   { type: 'daily', hours: 8, multiplier: 1.5 }    // hours beyond 8 in a shift
+//   { type: 'weekday', day: 6, multiplier: 2 }      // hours worked on a Saturday
+//
+// When several rules cover the same hour the highest multiplier wins.
+
+import { DAY_LABELS } from './schedule';
+
+export const OVERTIME_RULE_TYPES = {
+  daily: 'Hours beyond',
+  weekday: 'All hours on',
+};
+
+export const DEFAULT_OVERTIME_RULES = {
+  daily: { type: 'daily', hours: 8, multiplier: 1.5 },
+  weekday: { type: 'weekday', day: 6, multiplier: 2 },
+};
+
+// Whether a rule has usable values: a multiplier of at least 1, and a
+// threshold above 0 hours or a weekday
+export function isValidOvertimeRule(rule) {
+  if (!(Number.isFinite(rule.multiplier) && rule.multiplier >= 1)) return false;
+  if (rule.type === 'daily') return Number.isFinite(rule.hours) && rule.hours > 0;
+  if (rule.type === 'weekday') return Number.isInteger(rule.day) && rule.day >= 0 && rule.day <= 6;
+  return false;
+}
+
+// Hours into a shift at which a daily overtime band starts, in order
+export function getOvertimeThresholds(rules = []) {
+  return rules
+    .filter((rule) => rule.type === 'daily' && isValidOvertimeRule(rule))
+    .map((rule) => rule.hours)
+    .sort((a, b) => a - b);
+}
+
+// Pay multiplier for work on a calendar weekday, `shiftHours` paid hours into
+// the shift
+export function getOvertimeMultiplier(rules = [], weekday, shiftHours) {
+  return rules.filter(isValidOvertimeRule).reduce((multiplier, rule) => {
+    const applies = rule.type === 'daily' ? shiftHours >= rule.hours : weekday === rule.day;
+    return applies ? Math.max(multiplier, rule.multiplier) : multiplier;
+  }, 1);
+}
+
+// Short description of a rule, e.g. "Beyond 8h a day at 1.5×"
+export function describeOvertimeRule(rule) {
+  return rule.type === 'daily'
+    ? `Beyond ${rule.hours}h a day at ${rule.multiplier}×`
+    : `${DAY_LABELS[rule.day]} at ${rule.multiplier}×`;
+}
@@ -0,0 +1,65 @@
+import { calculateDayRate, calculateEarnedPerSecond, calculateEarningsBetween, getOvertimeMultiplierAt } from './earnings';
+import { getOvertimeMultiplier, getOvertimeThresholds, isValidOvertimeRule } from './overtime';
+import { scheduleFromHours } from './schedule';
+
+const weekdays = { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: true };
+
+const config = {
+  annualSalary: 36000,
+  payBasis: 'hourly',
+  payRate: 20,
+  // 10 hours a day, Monday to Saturday
+  schedule: scheduleFromHours(weekdays, 8, 18),
+  overtime: [
+    { type: 'daily', hours: 8, multiplier: 1.5 },
+    { type: 'weekday', day: 6, multiplier: 2 },
+  ],
+};
+
+describe('overtime', () => {
+  test('the highest matching multiplier wins', () => {
+    expect(getOvertimeMultiplier(config.overtime, 1, 2)).toBe(1);
+    expect(getOvertimeMultiplier(config.overtime, 1, 8)).toBe(1.5);
+    expect(getOvertimeMultiplier(config.overtime, 6, 9)).toBe(2);
+    expect(getOvertimeThresholds([...config.overtime, { type: 'daily', hours: 'x', multiplier: 2 }])).toEqual([8]);
+  });
+
+  test('ignores rules missing a threshold or with a multiplier below 1', () => {
+    expect(config.overtime.every(isValidOvertimeRule)).toBe(true);
+    expect(isValidOvertimeRule({ type: 'daily' })).toBe(false);
+    expect(isValidOvertimeRule({ type: 'daily', hours: 0, multiplier: 1.5 })).toBe(false);
+    expect(isValidOvertimeRule({ type: 'daily', hours: 8, multiplier: 0.5 })).toBe(false);
+    expect(isValidOvertimeRule({ type: 'weekday', day: 7, multiplier: 2 })).toBe(false);
+    expect(getOvertimeMultiplier([{ type: 'weekday', day: 6, multiplier: 0.5 }], 6, 1)).toBe(1);
+  });
+
+  test('hours beyond the daily threshold pay more', () => {
+    const monday = new Date(2024, 0, 8);
+    expect(calculateDayRate(config, monday)).toBeCloseTo(8 * 20 + 2 * 30);
+    // 16:00 to 17:00 is the first hour of overtime
+    expect(calculateEarningsBetween(config, new Date(2024, 0, 8, 15, 30), new Date(2024, 0, 8, 16, 30))).toBeCloseTo(10 + 15);
+  });
+
+  test('weekend hours pay double all day', () => {
+    expect(calculateDayRate(config, new Date(2024, 0, 13))).toBeCloseTo(10 * 40);
+  });
+
+  test('the per-second rate speeds up when overtime starts', () => {
+    const before = new Date(2024, 0, 8, 15, 59);
+    const after = new Date(2024, 0, 8, 16, 1);
+    expect(getOvertimeMultiplierAt(config, before)).toBe(1);
+    expect(getOvertimeMultiplierAt(config, after)).toBe(1.5);
+    expect(calculateEarnedPerSecond(config, after)).toBeCloseTo(1.5 * calculateEarnedPerSecond(config, before), 10);
+    expect(getOvertimeMultiplierAt(config, new Date(2024, 0, 8, 19, 0))).toBe(1);
+  });
+
+  test('a day rate stays the base for the scheduled hours', () => {
+    const daily = { ...config, payBasis: 'daily', payRate: 200 };
+    expect(calculateDayRate(daily, new Date(2024, 0, 8))).toBeCloseTo(200 / 10 * (8 + 2 * 1.5));
+  });
+
+  test('salaried pay ignores overtime rules', () => {
+    const monthly = { ...config, payBasis: 'monthly' };
+    expect(getOvertimeMultiplierAt(monthly, new Date(2024, 0, 13, 12, 0))).toBe(1);
+  });
+});
@@ -0,0 +1,91 @@
+// Part-time pay: a full-time-equivalent (FTE) salary and the contracted
+// fraction of it, like 0.6 of a 40,000 salary for three days a week.
+//
+// partTime = {
+//   fraction,        // contracted FTE, above 0 and at most 1
+//   fullTimeHours,   // paid hours in a full-time week, e.g. 37.5
+// }
+//
+// or null when full-time. annualSalary stays the salary actually paid, the
+// FTE salary times the fraction, so the engine and tax need nothing else; the
+// FTE salary is worked back from it rather than stored. The same goes for
+// each pay change in the salary history.
+
+import { getChangeOn, updateSalaryChange } from './salaryhistory';
+import { getScheduledHoursForWeekday } from './schedule';
+
+export const DEFAULT_FULL_TIME_HOURS = 37.5;
+
+// Hours within which a schedule counts as matching the contract, allowing for
+// rounding in the fraction
+const HOURS_TOLERANCE = 0.25;
+
+// Whether a value is a usable part-time contract
+export function isValidPartTime(value) {
+  return typeof value === 'object' && value !== null
+    && typeof value.fraction === 'number' && value.fraction > 0 && value.fraction <= 1
+    && typeof value.fullTimeHours === 'number' && value.fullTimeHours > 0 && value.fullTimeHours <= 168;
+}
+
+// Helper function: rounds to whole cents
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// The salary actually paid for an FTE salary
+export function getActualSalary(fteSalary, partTime) {
+  return roundAmount(fteSalary * partTime.fraction);
+}
+
+// The FTE salary behind the salary actually paid
+export function getFteSalary(annualSalary, partTime) {
+  return roundAmount(annualSalary / partTime.fraction);
+}
+
+// Sets the FTE salary of the pay in effect on calendar day `day`: that of the
+// latest pay change by then, or annualSalary before any. Takes and returns
+// { annualSalary, salaryHistory }.
+export function applyFteSalary(pay, partTime, fteSalary, day) {
+  const change = getChangeOn(pay.salaryHistory, day);
+  const annualSalary = getActualSalary(fteSalary, partTime);
+  if (!change) {
+    return { ...pay, annualSalary };
+  }
+  return { ...pay, salaryHistory: updateSalaryChange(pay.salaryHistory, change.date, { annualSalary }) };
+}
+
+// Changes the contracted fraction, keeping every FTE salary, so annualSalary
+// and each pay change follow it. Takes and returns { annualSalary,
+// salaryHistory }.
+export function applyFraction(pay, partTime, fraction) {
+  const next = { ...partTime, fraction };
+  const rescale = (annualSalary) => getActualSalary(getFteSalary(annualSalary, partTime), next);
+  return {
+    annualSalary: rescale(pay.annualSalary),
+    salaryHistory: pay.salaryHistory.map((change) => ({ ...change, annualSalary: rescale(change.annualSalary) })),
+  };
+}
+
+// Paid hours in a week of the schedule
+export function getWeeklyHours(schedule, breaks = {}) {
+  return [0, 1, 2, 3, 4, 5, 6].reduce((sum, weekday) => sum + getScheduledHoursForWeekday(schedule, weekday, breaks), 0);
+}
+
+// A contract matching the schedule's hours: FTE 1 of the schedule's week, or
+// of a standard week when the schedule has no hours
+export function createPartTime(schedule, breaks) {
+  const hours = getWeeklyHours(schedule, breaks);
+  return { fraction: 1, fullTimeHours: hours > 0 ? hours : DEFAULT_FULL_TIME_HOURS };
+}
+
+// A warning when the schedule's weekly hours don't match the contracted
+// fraction of a full-time week, or null when they do
+export function checkPartTimeHours(schedule, breaks, partTime) {
+  const scheduled = getWeeklyHours(schedule, breaks);
+  const contracted = partTime.fraction * partTime.fullTimeHours;
+  if (Math.abs(scheduled - contracted) <= HOURS_TOLERANCE) {
+    return null;
+  }
+  const format = (hours) => `${Math.round(hours * 100) / 100}h`;
+  return `Your schedule has ${format(scheduled)} a week, but ${partTime.fraction} FTE of a ${format(partTime.fullTimeHours)} week is ${format(contracted)}.`;
+}
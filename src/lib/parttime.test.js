@@ -0,0 +1,62 @@
+import {
+  applyFraction,
+  applyFteSalary,
+  checkPartTimeHours,
+  createPartTime,
+  getActualSalary,
+  getFteSalary,
+  getWeeklyHours,
+  isValidPartTime,
+} from './parttime';
+import { getPayOn } from './salaryhistory';
+import { scheduleFromHours } from './schedule';
+
+// Monday, Tuesday and Wednesday, 09:00 to 16:30
+const threeDays = scheduleFromHours({ 1: true, 2: true, 3: true }, 9, 16.5);
+
+describe('part-time pay', () => {
+  const contract = { fraction: 0.6, fullTimeHours: 37.5 };
+
+  test('derives the actual salary from the FTE salary and back', () => {
+    expect(getActualSalary(40000, contract)).toBe(24000);
+    expect(getFteSalary(24000, contract)).toBe(40000);
+    expect(getActualSalary(33333, { ...contract, fraction: 0.33 })).toBe(10999.89);
+  });
+
+  test('applies to the pay in effect after a pay change', () => {
+    const pay = { annualSalary: 24000, payRate: 0, salaryHistory: [{ date: '2024-03-01', annualSalary: 27000, payRate: 0 }] };
+    // Before the raise the base salary changes, after it the raise does
+    const before = applyFteSalary(pay, contract, 41000, new Date(2024, 1, 15));
+    expect(before).toMatchObject({ annualSalary: 24600, salaryHistory: pay.salaryHistory });
+    const after = applyFteSalary(pay, contract, 50000, new Date(2024, 5, 1));
+    expect(after.annualSalary).toBe(24000);
+    expect(getPayOn(after, new Date(2024, 5, 1)).annualSalary).toBe(30000);
+
+    // A new fraction keeps every FTE salary: 40,000 and 45,000
+    const half = applyFraction(pay, contract, 0.5);
+    expect(half.annualSalary).toBe(20000);
+    expect(getPayOn(half, new Date(2024, 5, 1)).annualSalary).toBe(22500);
+  });
+
+  test('only takes fractions above 0 and up to 1', () => {
+    expect(isValidPartTime(contract)).toBe(true);
+    expect(isValidPartTime({ ...contract, fraction: 0 })).toBe(false);
+    expect(isValidPartTime({ ...contract, fraction: 1.2 })).toBe(false);
+    expect(isValidPartTime({ fraction: 0.5 })).toBe(false);
+  });
+
+  test('warns when the schedule does not match the fraction', () => {
+    expect(getWeeklyHours(threeDays)).toBe(22.5);
+    expect(checkPartTimeHours(threeDays, {}, contract)).toBeNull();
+    expect(checkPartTimeHours(threeDays, {}, { ...contract, fraction: 0.8 }))
+      .toBe('Your schedule has 22.5h a week, but 0.8 FTE of a 37.5h week is 30h.');
+    // Unpaid breaks don't count
+    const lunch = { 1: [{ start: '12:00', end: '12:30', paid: false }] };
+    expect(checkPartTimeHours(threeDays, lunch, contract)).toMatch(/has 22h a week/);
+  });
+
+  test('starts from the schedule\'s own week', () => {
+    expect(createPartTime(threeDays, {})).toEqual({ fraction: 1, fullTimeHours: 22.5 });
+    expect(createPartTime({}, {})).toEqual({ fraction: 1, fullTimeHours: 37.5 });
+  });
+});
@@ -0,0 +1,120 @@
+// Pay cycles: when payday falls, and the pay period each payday closes.
+//
+// payCycle = {
+//   type: 'monthly' | 'weekly' | 'fortnightly' | 'fourWeekly',
+//   dayOfMonth: 1-31 | 'last',   // monthly: the Nth, or the last working day
+//   anchor: 'YYYY-MM-DD',        // other cycles: any one payday
+// }
+//
+// A payday that falls on a weekend or holiday is moved earlier to the previous
+// working day. A pay period runs from the day after one payday to the end of
+// the next.
+
+import { addDays, parseIsoDate } from './dates';
+import { getHolidayOn } from './earnings';
+
+export const PAY_CYCLES = {
+  monthly: 'Monthly',
+  weekly: 'Weekly',
+  fortnightly: 'Every two weeks',
+  fourWeekly: 'Every four weeks',
+};
+
+const CYCLE_DAYS = {
+  weekly: 7,
+  fortnightly: 14,
+  fourWeekly: 28,
+};
+
+export const DEFAULT_PAY_CYCLE = { type: 'monthly', dayOfMonth: 'last', anchor: null };
+
+const MS_PER_DAY = 24 * 3600 * 1000;
+
+// Whether pay can land on the given day: a weekday that isn't a holiday
+export function isBankingDay(config, date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6 && !getHolidayOn(config, date);
+}
+
+// Helper function: the day itself, or the closest banking day before it
+function moveToBankingDay(config, date) {
+  let day = date;
+  while (!isBankingDay(config, day)) {
+    day = addDays(day, -1);
+  }
+  return day;
+}
+
+// Helper function: whole days from `from` to `to`, both local midnights
+function daysBetween(from, to) {
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+// Helper function: the nominal payday number `k` of a cycle, before any move
+// to a banking day. For monthly cycles k counts months since year 0.
+function getNominalPayday(cycle, k) {
+  if (cycle.type === 'monthly' || !CYCLE_DAYS[cycle.type]) {
+    const year = Math.floor(k / 12);
+    const month = k - year * 12;
+    const lastDay = new Date(year, month + 1, 0);
+    if (cycle.dayOfMonth === 'last') {
+      return lastDay;
+    }
+    return new Date(year, month, Math.min(Number(cycle.dayOfMonth) || 1, lastDay.getDate()));
+  }
+  return addDays(getAnchor(cycle), k * CYCLE_DAYS[cycle.type]);
+}
+
+// Helper function: a known payday of a weekly cycle. Without one, paydays fall
+// on Fridays, counted from Friday 5 January 2024.
+function getAnchor(cycle) {
+  return cycle.anchor ? parseIsoDate(cycle.anchor) : new Date(2024, 0, 5);
+}
+
+// The pay period containing `now`, as { start, end, payday, scheduledPayday }.
+// payday is when the money arrives; scheduledPayday is the day it would have
+// been before moving off a weekend or holiday.
+export function getPayPeriod(config, cycle, now) {
+  const date = new Date(now);
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  // Start at a nominal payday on or before today, then step forward to the
+  // first payday that hasn't passed yet
+  let k;
+  if (cycle.type === 'monthly' || !CYCLE_DAYS[cycle.type]) {
+    k = today.getFullYear() * 12 + today.getMonth();
+  } else {
+    k = Math.floor(daysBetween(getAnchor(cycle), today) / CYCLE_DAYS[cycle.type]);
+  }
+  const paydayFor = (n) => moveToBankingDay(config, getNominalPayday(cycle, n));
+  while (paydayFor(k) < today) {
+    k += 1;
+  }
+
+  const payday = paydayFor(k);
+  return {
+    start: addDays(paydayFor(k - 1), 1),
+    end: addDays(payday, 1),
+    payday,
+    scheduledPayday: getNominalPayday(cycle, k),
+  };
+}
+
+// Paydays from `now` onwards, the next `count` of them
+export function getUpcomingPaydays(config, cycle, now, count = 3) {
+  const paydays = [];
+  let date = new Date(now);
+  for (let i = 0; i < count; i++) {
+    const period = getPayPeriod(config, cycle, date);
+    paydays.push(period.payday);
+    date = period.end;
+  }
+  return paydays;
+}
+
+// Whole days from today until payday, 0 on payday itself
+export function getDaysUntilPayday(config, cycle, now) {
+  const date = new Date(now);
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return daysBetween(today, getPayPeriod(config, cycle, date).payday);
+}
@@ -0,0 +1,64 @@
+import { toIsoDate } from './dates';
+import { getDaysUntilPayday, getPayPeriod, getUpcomingPaydays } from './paycycle';
+import { getPeriod } from './periods';
+
+const config = { holidayRegion: 'gb-eaw' };
+const iso = (period) => ({
+  start: toIsoDate(period.start),
+  end: toIsoDate(period.end),
+  payday: toIsoDate(period.payday),
+});
+
+describe('pay cycles', () => {
+  test('monthly on the 25th, moved back off a weekend', () => {
+    const cycle = { type: 'monthly', dayOfMonth: 25 };
+    // 25 May 2024 was a Saturday
+    expect(iso(getPayPeriod(config, cycle, new Date(2024, 4, 10)))).toEqual({
+      start: '2024-04-26', end: '2024-05-25', payday: '2024-05-24',
+    });
+    expect(toIsoDate(getPayPeriod(config, cycle, new Date(2024, 4, 10)).scheduledPayday)).toBe('2024-05-25');
+    // The day after payday starts the next period
+    expect(iso(getPayPeriod(config, cycle, new Date(2024, 4, 25)))).toEqual({
+      start: '2024-05-25', end: '2024-06-26', payday: '2024-06-25',
+    });
+  });
+
+  test('moved back off a bank holiday too', () => {
+    // Christmas Day and Boxing Day 2024, then the weekend
+    const cycle = { type: 'monthly', dayOfMonth: 26 };
+    expect(toIsoDate(getPayPeriod(config, cycle, new Date(2024, 11, 1)).payday)).toBe('2024-12-24');
+  });
+
+  test('monthly on the last working day', () => {
+    const cycle = { type: 'monthly', dayOfMonth: 'last' };
+    // 31 March 2024 was Easter Sunday and 29 March Good Friday
+    expect(toIsoDate(getPayPeriod(config, cycle, new Date(2024, 2, 1)).payday)).toBe('2024-03-28');
+    // A day beyond the month's end falls back to its last day
+    expect(toIsoDate(getPayPeriod(config, { type: 'monthly', dayOfMonth: 31 }, new Date(2024, 3, 1)).payday)).toBe('2024-04-30');
+  });
+
+  test('every four weeks from a known payday', () => {
+    const cycle = { type: 'fourWeekly', anchor: '2024-01-12' };
+    expect(iso(getPayPeriod(config, cycle, new Date(2024, 1, 1)))).toEqual({
+      start: '2024-01-13', end: '2024-02-10', payday: '2024-02-09',
+    });
+    expect(getUpcomingPaydays(config, cycle, new Date(2024, 1, 1)).map(toIsoDate)).toEqual([
+      '2024-02-09', '2024-03-08', '2024-04-05',
+    ]);
+    // Works back before the anchor too
+    expect(iso(getPayPeriod(config, cycle, new Date(2023, 11, 10)))).toEqual({
+      start: '2023-11-18', end: '2023-12-16', payday: '2023-12-15',
+    });
+  });
+
+  test('counts down to payday', () => {
+    const cycle = { type: 'weekly', anchor: '2024-01-05' };
+    expect(getDaysUntilPayday(config, cycle, new Date(2024, 0, 8, 12, 0))).toBe(4);
+    expect(getDaysUntilPayday(config, cycle, new Date(2024, 0, 12, 18, 0))).toBe(0);
+  });
+
+  test('the pay period card follows the pay cycle', () => {
+    const payCycle = { type: 'monthly', dayOfMonth: 25 };
+    expect(getPeriod('payPeriod', new Date(2024, 4, 10), { config, payCycle }).start).toEqual(new Date(2024, 3, 26));
+  });
+});
@@ -0,0 +1,78 @@
+// Periods the earnings cards can show, each running from a start to an end
+// day around "now". Like the earnings engine, these take the time as an
+// argument so they can be tested with fixed dates. Start and end are calendar
+// days; getDayStart in lib/earnings gives the instants they begin in the
+// schedule's time zone.
+
+import { addDays } from './dates';
+import { DEFAULT_PAY_CYCLE, getPayPeriod } from './paycycle';
+
+export const EARNINGS_CARDS = {
+  month: 'This month',
+  today: 'Today',
+  week: 'This week',
+  year: 'Year to date',
+  taxYear: 'Tax year to date',
+  payPeriod: 'Pay period',
+};
+
+export const DEFAULT_CARDS = ['month', 'today'];
+
+const JANUARY_1 = { month: 0, day: 1 };
+
+// Helper function: the yearly period starting on `start` ({ month, day }) that
+// contains `date`
+function getYearFrom(date, start) {
+  let year = date.getFullYear();
+  if (date < new Date(year, start.month, start.day)) {
+    year -= 1;
+  }
+  return {
+    start: new Date(year, start.month, start.day),
+    end: new Date(year + 1, start.month, start.day),
+  };
+}
+
+// The period for card `id` containing `now`, as { start, end } Dates.
+// taxYearStart ({ month, day }) sets when the tax year begins; the pay period
+// follows payCycle (see lib/paycycle), moving paydays off the config's holidays.
+export function getPeriod(id, now, { taxYearStart = JANUARY_1, payCycle = DEFAULT_PAY_CYCLE, config = {} } = {}) {
+  const date = new Date(now);
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  switch (id) {
+    case 'today':
+      return { start: today, end: addDays(today, 1) };
+    case 'week': {
+      // Weeks start on Monday
+      const start = addDays(today, -((today.getDay() + 6) % 7));
+      return { start, end: addDays(start, 7) };
+    }
+    case 'year':
+      return getYearFrom(date, JANUARY_1);
+    case 'taxYear':
+      return getYearFrom(date, taxYearStart);
+    case 'payPeriod': {
+      const { start, end } = getPayPeriod(config, payCycle, date);
+      return { start, end };
+    }
+    case 'month':
+    default:
+      return {
+        start: new Date(date.getFullYear(), date.getMonth(), 1),
+        end: new Date(date.getFullYear(), date.getMonth() + 1, 1),
+      };
+  }
+}
+
+// Moves card `id` one place earlier (-1) or later (+1) in the list
+export function moveCard(cards, id, direction) {
+  const index = cards.indexOf(id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= cards.length) {
+    return cards;
+  }
+  const next = [...cards];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
@@ -0,0 +1,31 @@
+import { getPeriod, moveCard } from './periods';
+
+describe('earnings card periods', () => {
+  const wednesday = new Date(2024, 0, 10, 13, 0);
+
+  test('weeks run Monday to Sunday', () => {
+    expect(getPeriod('week', wednesday)).toEqual({ start: new Date(2024, 0, 8), end: new Date(2024, 0, 15) });
+    expect(getPeriod('week', new Date(2024, 0, 14, 23, 0)).start).toEqual(new Date(2024, 0, 8));
+  });
+
+  test('today, month and year', () => {
+    expect(getPeriod('today', wednesday)).toEqual({ start: new Date(2024, 0, 10), end: new Date(2024, 0, 11) });
+    expect(getPeriod('month', wednesday).end).toEqual(new Date(2024, 1, 1));
+    expect(getPeriod('year', wednesday)).toEqual({ start: new Date(2024, 0, 1), end: new Date(2025, 0, 1) });
+  });
+
+  test('the UK tax year starts on 6 April', () => {
+    const taxYearStart = { month: 3, day: 6 };
+    expect(getPeriod('taxYear', new Date(2024, 3, 5), { taxYearStart }).start).toEqual(new Date(2023, 3, 6));
+    expect(getPeriod('taxYear', new Date(2024, 3, 6), { taxYearStart })).toEqual({
+      start: new Date(2024, 3, 6),
+      end: new Date(2025, 3, 6),
+    });
+    expect(getPeriod('taxYear', wednesday).start).toEqual(new Date(2024, 0, 1));
+  });
+
+  test('moves cards within the list', () => {
+    expect(moveCard(['month', 'today', 'week'], 'week', -1)).toEqual(['month', 'week', 'today']);
+    expect(moveCard(['month', 'today'], 'month', -1)).toEqual(['month', 'today']);
+  });
+});
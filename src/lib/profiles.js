@@ -0,0 +1,59 @@
+// Profiles let one browser hold several jobs, or several people. Each profile
+// keeps its own copy of every setting, see lib/settings:
+//
+// profiles = [{
+//   id,          // 'default' for the first profile
+//   name,        // e.g. 'Day job'
+//   active,      // whether it counts towards the combined total
+// }]
+
+import { calculateYearlyTotal, getDayOf } from './earnings';
+import { getPayOn } from './salaryhistory';
+import { calculateTakeHome } from './tax';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const DEFAULT_PROFILES = [{ id: DEFAULT_PROFILE_ID, name: 'My job', active: true }];
+
+// Adds a profile, returning the new list and the new profile's id
+export function addProfile(profiles, name, now = Date.now()) {
+  const taken = new Set(profiles.map((profile) => profile.id));
+  let id = `p${now.toString(36)}`;
+  while (taken.has(id)) {
+    id = `${id}x`;
+  }
+  return { profiles: [...profiles, { id, name, active: true }], id };
+}
+
+export function updateProfile(profiles, id, changes) {
+  return profiles.map((profile) => (profile.id === id ? { ...profile, ...changes } : profile));
+}
+
+// Removes a profile. The default profile stays.
+export function removeProfile(profiles, id) {
+  if (id === DEFAULT_PROFILE_ID) return profiles;
+  return profiles.filter((profile) => profile.id !== id);
+}
+
+// Share of gross pay a profile takes home, from its own tax settings. `config`
+// is the profile's engine config, see lib/settings.
+export function getTakeHomeRatio(settings, config, now) {
+  const isRateBasis = config.payBasis === 'hourly' || config.payBasis === 'daily';
+  const annualGross = isRateBasis
+    ? calculateYearlyTotal({ ...config, tracking: 'schedule' }, now)
+    : getPayOn(config, getDayOf(config, now)).annualSalary;
+  const options = settings.taxRegime === 'simple'
+    ? { taxPercentage: settings.taxPercentage }
+    : settings.taxOptions[settings.taxRegime];
+  const takeHome = calculateTakeHome(settings.taxRegime, annualGross, options);
+  return takeHome.gross > 0 ? takeHome.net / takeHome.gross : 0;
+}
+
+// Adds up amounts per currency, as { [currency]: total }. Streams in
+// different currencies aren't converted.
+export function sumByCurrency(amounts) {
+  return amounts.reduce((totals, { currency, amount }) => ({
+    ...totals,
+    [currency]: (totals[currency] || 0) + amount,
+  }), {});
+}
@@ -0,0 +1,40 @@
+import { DEFAULT_SCHEDULE } from './schedule';
+import {
+  DEFAULT_PROFILES,
+  addProfile,
+  getTakeHomeRatio,
+  removeProfile,
+  sumByCurrency,
+  updateProfile,
+} from './profiles';
+
+describe('profiles', () => {
+  test('adds, renames and removes profiles', () => {
+    const { profiles, id } = addProfile(DEFAULT_PROFILES, 'Freelance', 1000);
+    expect(profiles).toHaveLength(2);
+    expect(addProfile(profiles, 'Again', 1000).id).not.toBe(id);
+
+    const renamed = updateProfile(profiles, id, { name: 'Consulting', active: false });
+    expect(renamed[1]).toEqual({ id, name: 'Consulting', active: false });
+
+    expect(removeProfile(renamed, id)).toEqual(DEFAULT_PROFILES);
+    // The default profile can't be removed
+    expect(removeProfile(DEFAULT_PROFILES, 'default')).toEqual(DEFAULT_PROFILES);
+  });
+
+  test("takes home a share of gross from the profile's own tax settings", () => {
+    const config = { annualSalary: 30000, payBasis: 'monthly', schedule: DEFAULT_SCHEDULE };
+    const now = new Date(2024, 0, 1);
+    expect(getTakeHomeRatio({ taxRegime: 'simple', taxPercentage: 20, taxOptions: {} }, config, now)).toBeCloseTo(0.8);
+    expect(getTakeHomeRatio({ taxRegime: 'simple', taxPercentage: 20, taxOptions: {} }, { ...config, annualSalary: 0 }, now))
+      .toBe(0);
+  });
+
+  test('sums by currency', () => {
+    expect(sumByCurrency([
+      { currency: 'GBP', amount: 10 },
+      { currency: 'USD', amount: 5 },
+      { currency: 'GBP', amount: 2.5 },
+    ])).toEqual({ GBP: 12.5, USD: 5 });
+  });
+});
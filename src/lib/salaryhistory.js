@@ -0,0 +1,65 @@
+// Salary history: pay changes that take effect on a date, like a raise from
+// 1 March. The profile's annualSalary and payRate are what was paid before the
+// first change; each change sets both from its date on, so periods before it
+// keep the pay they had.
+//
+// salaryHistory = [{
+//   date,          // 'YYYY-MM-DD', the first day paid at the new amounts
+//   annualSalary,  // for the monthly and annual pay bases
+//   payRate,       // hourly or daily rate, for those pay bases
+// }]
+//
+// Helpers return new lists sorted by date, with one change per date.
+
+import { toIsoDate } from './dates';
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Whether an entry is a usable pay change
+export function isValidSalaryChange(change) {
+  return typeof change.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(change.date)
+    && isAmount(change.annualSalary) && isAmount(change.payRate);
+}
+
+function sortChanges(history) {
+  return [...history].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Adds a change, replacing any other on the same date
+export function addSalaryChange(history, change) {
+  return sortChanges([...history.filter((other) => other.date !== change.date), change]);
+}
+
+// Changes the entry dated `date`. Moving it onto another change's date
+// replaces that one.
+export function updateSalaryChange(history, date, changes) {
+  const entry = history.find((other) => other.date === date);
+  if (!entry) {
+    return history;
+  }
+  return addSalaryChange(removeSalaryChange(history, date), { ...entry, ...changes });
+}
+
+export function removeSalaryChange(history, date) {
+  return history.filter((change) => change.date !== date);
+}
+
+// The change in effect on calendar day `day`, or null before the first
+export function getChangeOn(history, day) {
+  const date = toIsoDate(day);
+  let latest = null;
+  (history || []).forEach((change) => {
+    if (change.date <= date && (!latest || change.date >= latest.date)) {
+      latest = change;
+    }
+  });
+  return latest;
+}
+
+// The pay in effect on calendar day `day`, as { annualSalary, payRate }
+export function getPayOn(config, day) {
+  const change = getChangeOn(config.salaryHistory, day);
+  return change
+    ? { annualSalary: change.annualSalary, payRate: change.payRate }
+    : { annualSalary: config.annualSalary, payRate: config.payRate };
+}
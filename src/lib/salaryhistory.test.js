@@ -0,0 +1,35 @@
+import { addSalaryChange, getPayOn, removeSalaryChange, updateSalaryChange } from './salaryhistory';
+
+const base = { annualSalary: 30000, payRate: 15 };
+
+describe('salary history', () => {
+  const history = addSalaryChange(
+    addSalaryChange([], { date: '2024-09-01', annualSalary: 36000, payRate: 18 }),
+    { date: '2024-03-01', annualSalary: 33000, payRate: 16 }
+  );
+
+  test('keeps changes in date order, one per date', () => {
+    expect(history.map((change) => change.date)).toEqual(['2024-03-01', '2024-09-01']);
+    const replaced = addSalaryChange(history, { date: '2024-03-01', annualSalary: 34000, payRate: 16 });
+    expect(replaced).toHaveLength(2);
+    expect(replaced[0].annualSalary).toBe(34000);
+    expect(removeSalaryChange(history, '2024-03-01').map((change) => change.date)).toEqual(['2024-09-01']);
+  });
+
+  test('moves a change to a new date', () => {
+    const moved = updateSalaryChange(history, '2024-09-01', { date: '2024-01-01' });
+    expect(moved.map((change) => change.date)).toEqual(['2024-01-01', '2024-03-01']);
+    expect(updateSalaryChange(history, '2024-09-01', { date: '2024-03-01' })).toEqual([
+      { date: '2024-03-01', annualSalary: 36000, payRate: 18 },
+    ]);
+    expect(updateSalaryChange(history, '2025-01-01', { annualSalary: 1 })).toBe(history);
+  });
+
+  test('finds the pay in effect on a day', () => {
+    const config = { ...base, salaryHistory: history };
+    expect(getPayOn(config, new Date(2024, 1, 29))).toEqual(base);
+    expect(getPayOn(config, new Date(2024, 2, 1))).toEqual({ annualSalary: 33000, payRate: 16 });
+    expect(getPayOn(config, new Date(2025, 0, 1))).toEqual({ annualSalary: 36000, payRate: 18 });
+    expect(getPayOn(base, new Date(2024, 2, 1))).toEqual(base);
+  });
+});
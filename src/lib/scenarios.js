@@ -0,0 +1,133 @@
+// "What if" scenarios: alternative salaries, schedules or tax settings to
+// compare against the profile's own, like a raise or a job offer.
+//
+// scenarios = [{
+//   id,
+//   name,        // e.g. 'Job offer'
+//   changes,     // settings that differ from the profile's, any of SCENARIO_FIELDS
+// }]
+//
+// Only changed settings are kept, so the rest follow the profile. Scenarios
+// start from the pay in effect now, without the profile's salary history, and
+// are worked out from the schedule, never from clocked sessions.
+
+import { addDays, toIsoDate } from './dates';
+import {
+  calculateEarningsBetween,
+  calculateEarningsByDay,
+  calculateYearlyTotal,
+  getDayOf,
+  getDayStart,
+  getTotalWorkingDaysThisYear,
+  getWorkingHoursBetween,
+} from './earnings';
+import { getPayOn } from './salaryhistory';
+import { calculateTakeHome } from './tax';
+
+export const SCENARIO_FIELDS = [
+  'annualSalary', 'payBasis', 'payRate', 'schedule', 'breaks', 'taxRegime', 'taxPercentage', 'taxOptions',
+];
+
+// Whether an entry is a usable scenario
+export function isValidScenario(scenario) {
+  return typeof scenario.id === 'string' && typeof scenario.name === 'string'
+    && typeof scenario.changes === 'object' && scenario.changes !== null && !Array.isArray(scenario.changes);
+}
+
+// Adds a scenario with nothing changed yet, returning the new list and its id
+export function addScenario(scenarios, name, now = Date.now()) {
+  const taken = new Set(scenarios.map((other) => other.id));
+  let id = `s${now.toString(36)}`;
+  for (let i = 2; taken.has(id); i++) {
+    id = `s${now.toString(36)}-${i}`;
+  }
+  return { scenarios: [...scenarios, { id, name, changes: {} }], id };
+}
+
+export function renameScenario(scenarios, id, name) {
+  return scenarios.map((scenario) => (scenario.id === id ? { ...scenario, name } : scenario));
+}
+
+// Changes more of a scenario's settings
+export function updateScenario(scenarios, id, changes) {
+  return scenarios.map((scenario) => (
+    scenario.id === id ? { ...scenario, changes: { ...scenario.changes, ...changes } } : scenario
+  ));
+}
+
+export function removeScenario(scenarios, id) {
+  return scenarios.filter((scenario) => scenario.id !== id);
+}
+
+// A profile's settings with a scenario's changes made, from the pay in effect
+// at `now`
+export function getScenarioSettings(settings, scenario, now = Date.now()) {
+  return {
+    ...settings,
+    ...getPayOn(settings, getDayOf(settings, now)),
+    salaryHistory: [],
+    ...scenario.changes,
+  };
+}
+
+// Net pay under a profile's settings, with `config` their schedule's engine
+// config, around `now`:
+// { annualGross, annualNet, monthlyNet, dailyNet, perSecondNet, ratio }.
+// Daily and per-second pay are averages over the working days and hours of
+// the calendar year; ratio is net as a share of gross.
+export function summarizePay(settings, config, now) {
+  const isRateBasis = config.payBasis === 'hourly' || config.payBasis === 'daily';
+  const annualGross = isRateBasis
+    ? calculateYearlyTotal(config, now)
+    : getPayOn(config, getDayOf(config, now)).annualSalary;
+  const options = settings.taxRegime === 'simple'
+    ? { taxPercentage: settings.taxPercentage }
+    : settings.taxOptions[settings.taxRegime];
+  const takeHome = calculateTakeHome(settings.taxRegime, annualGross, options);
+
+  const year = getDayOf(config, now).getFullYear();
+  const yearHours = getWorkingHoursBetween(
+    config,
+    getDayStart(config, new Date(year, 0, 1)),
+    getDayStart(config, new Date(year + 1, 0, 1))
+  );
+  const yearDays = getTotalWorkingDaysThisYear(config, now);
+  return {
+    annualGross,
+    annualNet: takeHome.net,
+    monthlyNet: takeHome.net / 12,
+    dailyNet: yearDays > 0 ? takeHome.net / yearDays : 0,
+    perSecondNet: yearHours > 0 ? takeHome.net / (yearHours * 3600) : 0,
+    ratio: takeHome.gross > 0 ? takeHome.net / takeHome.gross : 0,
+  };
+}
+
+// The calendar day by which the pay earned from `now` on reaches `target`,
+// with net pay `ratio` of gross, or null if that takes more than `maxMonths`.
+// Whole months are added up first, then the days of the month it falls in.
+export function getDateToReach(config, ratio, target, now, maxMonths = 120) {
+  const today = getDayOf(config, now);
+  if (target <= 0) return today;
+  if (ratio <= 0) return null;
+
+  let earned = 0;
+  let from = now;
+  for (let i = 0; i < maxMonths; i++) {
+    const monthEnd = getDayStart(config, new Date(today.getFullYear(), today.getMonth() + i + 1, 1));
+    const inMonth = calculateEarningsBetween(config, from, monthEnd) * ratio;
+    if (earned + inMonth >= target) {
+      const byDay = calculateEarningsByDay(config, from, monthEnd);
+      let day = getDayOf(config, from);
+      for (; getDayStart(config, addDays(day, 1)) < monthEnd; day = addDays(day, 1)) {
+        const totals = byDay.get(toIsoDate(day));
+        earned += (totals ? totals.gross : 0) * ratio;
+        if (earned >= target) return day;
+      }
+      // The month's last day, whatever rounding left over
+      return day;
+    }
+    earned += inMonth;
+    from = monthEnd;
+  }
+  return null;
+}
@@ -0,0 +1,76 @@
+import { addScenario, getDateToReach, getScenarioSettings, removeScenario, summarizePay, updateScenario } from './scenarios';
+import { scheduleFromHours } from './schedule';
+import { DEFAULT_SETTINGS, getEngineConfig } from './settings';
+
+const weekdays = { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false };
+
+const settings = {
+  ...DEFAULT_SETTINGS,
+  annualSalary: 36000,
+  schedule: scheduleFromHours(weekdays, 9, 17),
+  taxRegime: 'simple',
+  taxPercentage: 25,
+};
+
+const configFor = (scenarioSettings) => ({ ...getEngineConfig(scenarioSettings), tracking: 'schedule' });
+
+describe('scenarios', () => {
+  test('keeps only the changed settings', () => {
+    const { scenarios, id } = addScenario([], 'Raise', 1000);
+    const raised = updateScenario(scenarios, id, { annualSalary: 40000 });
+    expect(raised).toEqual([{ id, name: 'Raise', changes: { annualSalary: 40000 } }]);
+    // Everything else follows the profile
+    expect(getScenarioSettings({ ...settings, currency: 'EUR' }, raised[0])).toMatchObject({ annualSalary: 40000, currency: 'EUR' });
+    expect(addScenario(scenarios, 'Offer', 1000).id).not.toBe(id);
+    expect(removeScenario(raised, id)).toEqual([]);
+  });
+
+  test('start from the pay in effect now', () => {
+    const withRaise = { ...settings, salaryHistory: [{ date: '2024-03-01', annualSalary: 40000, payRate: 15 }] };
+    const scenario = getScenarioSettings(withRaise, { changes: {} }, new Date(2024, 5, 1));
+    expect(scenario).toMatchObject({ annualSalary: 40000, salaryHistory: [] });
+    expect(getScenarioSettings(withRaise, { changes: {} }, new Date(2024, 1, 1)).annualSalary).toBe(36000);
+  });
+
+  test('sums up net pay per year, month, day and second', () => {
+    // 2024 has 262 weekdays of 8 hours
+    const pay = summarizePay(settings, configFor(settings), new Date(2024, 5, 1));
+    expect(pay.annualGross).toBe(36000);
+    expect(pay.annualNet).toBeCloseTo(27000);
+    expect(pay.monthlyNet).toBeCloseTo(2250);
+    expect(pay.dailyNet).toBeCloseTo(27000 / 262);
+    expect(pay.perSecondNet).toBeCloseTo(27000 / (262 * 8 * 3600), 8);
+    expect(pay.ratio).toBeCloseTo(0.75);
+  });
+
+  test('uses the scenario\'s own tax options', () => {
+    const uk = { ...settings, taxRegime: 'uk', taxOptions: { uk: { taxYear: '2024-25' } } };
+    const pension = getScenarioSettings(uk, {
+      changes: { taxOptions: { uk: { taxYear: '2024-25', pensionPercentage: 10 } } },
+    });
+    const now = new Date(2024, 5, 1);
+    const without = summarizePay(uk, configFor(uk), now);
+    const withPension = summarizePay(pension, configFor(pension), now);
+    expect(withPension.annualGross).toBe(without.annualGross);
+    expect(withPension.annualNet).toBeLessThan(without.annualNet);
+  });
+
+  test('works out rate-based pay from the schedule', () => {
+    const fourDays = getScenarioSettings(settings, {
+      changes: { payBasis: 'hourly', payRate: 20, schedule: scheduleFromHours({ ...weekdays, 5: false }, 9, 17) },
+    });
+    // 2024 has 210 Mondays to Thursdays
+    expect(summarizePay(fourDays, configFor(fourDays), new Date(2024, 5, 1)).annualGross).toBeCloseTo(210 * 8 * 20);
+  });
+
+  test('finds the day a target is reached', () => {
+    const config = configFor(settings);
+    // 3000 a month is 2250 net; June 2024 has 20 weekdays, 112.50 net each
+    const monday = new Date(2024, 5, 3);
+    expect(getDateToReach(config, 0.75, 112.5, monday)).toEqual(new Date(2024, 5, 3));
+    expect(getDateToReach(config, 0.75, 112.5 * 3, monday)).toEqual(new Date(2024, 5, 5));
+    expect(getDateToReach(config, 0.75, 2250 + 1, monday)).toEqual(new Date(2024, 6, 1));
+    expect(getDateToReach(config, 0, 100, monday)).toBeNull();
+    expect(getDateToReach(config, 0.75, 1e9, monday, 12)).toBeNull();
+  });
+});
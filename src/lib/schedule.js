@@ -0,0 +1,169 @@
+// Weekly work schedule. For each weekday (0=Sunday ... 6=Saturday) there is a
+// list of segments with 'HH:MM' start and end times in local time, so a day can
+// start at 9:30, finish early, or be split into several shifts:
+//
+// schedule = {
+//   0: [],
+//   1: [{ start: '09:00', end: '12:30' }, { start: '13:30', end: '17:30' }],
+//   ...
+// }
+//
+// Breaks are kept alongside, in the same shape, and say whether they are paid.
+// Unpaid breaks are cut out of the working segments; paid breaks change nothing
+// but are still shown:
+//
+// breaks = {
+//   1: [{ start: '12:00', end: '12:30', paid: false }],
+//   ...
+// }
+
+export const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Minutes since midnight for an 'HH:MM' string, or NaN if it isn't one
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match) return NaN;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return NaN;
+  return hours * 60 + minutes;
+}
+
+// 'HH:MM' for a number of minutes since midnight
+export function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// A schedule with the same hours on each enabled day, as the old
+// whole-hour start/end settings described it
+export function scheduleFromHours(dayToggles, startHour, endHour) {
+  const schedule = {};
+  for (let day = 0; day < 7; day++) {
+    schedule[day] = dayToggles[day]
+      ? [{ start: formatTime(startHour * 60), end: formatTime(endHour * 60) }]
+      : [];
+  }
+  return schedule;
+}
+
+export const DEFAULT_SCHEDULE = scheduleFromHours(
+  { 0: false, 1: true, 2: true, 3: true, 4: true, 5: true, 6: false },
+  10,
+  18
+);
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Helper function: reads a { start, end } pair into minutes. An end before the
+// start means the time runs past midnight, so it is moved into the next day.
+function readSpan(entry) {
+  const start = parseTime(entry.start);
+  let end = parseTime(entry.end);
+  if (end < start) {
+    end += MINUTES_PER_DAY;
+  }
+  return { start, end };
+}
+
+// Whether a segment ending before it starts runs overnight
+export function isOvernight(segment) {
+  return parseTime(segment.end) < parseTime(segment.start);
+}
+
+// Segments for a weekday in minutes since midnight, sorted by start time. An
+// overnight segment ends after 24:00, in the next day's minutes. Segments
+// that can't be read or start and end at the same time are skipped.
+export function getSegmentsForWeekday(schedule, weekday) {
+  return ((schedule && schedule[weekday]) || [])
+    .map(readSpan)
+    .filter((segment) => segment.end > segment.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Helper function: whether two spans in minutes overlap
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Breaks for a weekday in minutes since midnight, sorted by start time, with
+// the original entry alongside. A break in the small hours of an overnight
+// shift is moved into the next day's minutes to line up with the shift.
+export function getBreaksForWeekday(breaks, weekday, segments = []) {
+  return ((breaks && breaks[weekday]) || [])
+    .map((entry) => {
+      let span = readSpan(entry);
+      const nextDay = { start: span.start + MINUTES_PER_DAY, end: span.end + MINUTES_PER_DAY };
+      if (!segments.some((segment) => overlaps(segment, span)) && segments.some((segment) => overlaps(segment, nextDay))) {
+        span = nextDay;
+      }
+      return { ...span, paid: !!entry.paid, entry };
+    })
+    .filter((entry) => entry.end > entry.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Paid working segments for a weekday: the schedule's segments with any unpaid
+// breaks cut out of them
+export function getPaidSegmentsForWeekday(schedule, breaks, weekday) {
+  const segments = getSegmentsForWeekday(schedule, weekday);
+  return getBreaksForWeekday(breaks, weekday, segments)
+    .filter((entry) => !entry.paid)
+    .reduce((remaining, entry) => remaining.flatMap((segment) => [
+      { start: segment.start, end: Math.min(segment.end, entry.start) },
+      { start: Math.max(segment.start, entry.end), end: segment.end },
+    ]).filter((segment) => segment.end > segment.start), segments);
+}
+
+// Paid hours scheduled on a weekday
+export function getScheduledHoursForWeekday(schedule, weekday, breaks = {}) {
+  return getPaidSegmentsForWeekday(schedule, breaks, weekday)
+    .reduce((sum, segment) => sum + (segment.end - segment.start) / 60, 0);
+}
+
+// Problems with a schedule, as messages for the user. Empty when the schedule
+// can be worked as entered.
+export function validateSchedule(schedule, breaks = {}) {
+  const problems = [];
+  [1, 2, 3, 4, 5, 6, 0].forEach((weekday) => {
+    const label = DAY_LABELS[weekday];
+    const entries = (schedule && schedule[weekday]) || [];
+
+    entries.forEach((entry, index) => {
+      const { start, end } = readSpan(entry);
+      if (isNaN(start) || isNaN(end)) {
+        problems.push(`${label}: shift ${index + 1} needs a start and an end time.`);
+      } else if (start === end) {
+        problems.push(`${label}: shift ${index + 1} starts and ends at ${formatTime(start)}, so it has no hours.`);
+      }
+    });
+
+    const segments = getSegmentsForWeekday(schedule, weekday);
+    for (let i = 1; i < segments.length; i++) {
+      if (segments[i].start < segments[i - 1].end) {
+        problems.push(`${label}: two shifts overlap at ${formatTime(segments[i].start)}.`);
+      }
+    }
+
+    // An overnight shift mustn't run into the next day's first shift
+    const last = segments[segments.length - 1];
+    const nextWeekday = (weekday + 1) % 7;
+    const next = getSegmentsForWeekday(schedule, nextWeekday)[0];
+    if (last && next && last.end > next.start + MINUTES_PER_DAY) {
+      problems.push(`${label}: the overnight shift ends at ${formatTime(last.end % MINUTES_PER_DAY)}, after ${DAY_LABELS[nextWeekday]}'s shift starts at ${formatTime(next.start)}.`);
+    }
+
+    ((breaks && breaks[weekday]) || []).forEach((entry, index) => {
+      const { start, end } = readSpan(entry);
+      if (isNaN(start) || isNaN(end) || start === end) {
+        problems.push(`${label}: break ${index + 1} needs a start and a different end time.`);
+      }
+    });
+    getBreaksForWeekday(breaks, weekday, segments).forEach((entry) => {
+      if (!segments.some((segment) => overlaps(segment, entry))) {
+        problems.push(`${label}: the break at ${entry.entry.start} is outside the working hours.`);
+      }
+    });
+  });
+  return problems;
+}
@@ -0,0 +1,75 @@
+import {
+  formatTime,
+  getPaidSegmentsForWeekday,
+  getSegmentsForWeekday,
+  parseTime,
+  scheduleFromHours,
+  validateSchedule,
+} from './schedule';
+
+describe('work schedule', () => {
+  test('reads and writes HH:MM times', () => {
+    expect(parseTime('09:30')).toBe(570);
+    expect(parseTime('7:05')).toBe(425);
+    expect(parseTime('24:00')).toBe(1440);
+    expect(parseTime('24:30')).toBeNaN();
+    expect(parseTime('12:60')).toBeNaN();
+    expect(parseTime('')).toBeNaN();
+    expect(formatTime(570)).toBe('09:30');
+  });
+
+  test('converts the old whole-hour settings', () => {
+    const schedule = scheduleFromHours({ 1: true, 2: false }, 9, 17);
+    expect(schedule[1]).toEqual([{ start: '09:00', end: '17:00' }]);
+    expect(schedule[2]).toEqual([]);
+    expect(schedule[0]).toEqual([]);
+  });
+
+  test('sorts segments by start time', () => {
+    const schedule = { 1: [{ start: '13:00', end: '17:00' }, { start: '08:00', end: '12:00' }] };
+    expect(getSegmentsForWeekday(schedule, 1)).toEqual([{ start: 480, end: 720 }, { start: 780, end: 1020 }]);
+    expect(getSegmentsForWeekday(schedule, 2)).toEqual([]);
+  });
+
+  test('cuts unpaid breaks out of the segments', () => {
+    const schedule = { 1: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }] };
+    const breaks = {
+      1: [
+        { start: '10:00', end: '10:15', paid: false },
+        { start: '11:45', end: '13:15', paid: false },
+        { start: '15:00', end: '15:30', paid: true },
+      ],
+    };
+    expect(getPaidSegmentsForWeekday(schedule, breaks, 1)).toEqual([
+      { start: 480, end: 600 },
+      { start: 615, end: 705 },
+      { start: 795, end: 1020 },
+    ]);
+  });
+
+  test('overnight segments run into the next day', () => {
+    const schedule = { 5: [{ start: '22:00', end: '06:00' }] };
+    const breaks = { 5: [{ start: '02:00', end: '02:30', paid: false }] };
+    expect(getSegmentsForWeekday(schedule, 5)).toEqual([{ start: 1320, end: 1800 }]);
+    expect(getPaidSegmentsForWeekday(schedule, breaks, 5)).toEqual([{ start: 1320, end: 1560 }, { start: 1590, end: 1800 }]);
+  });
+
+  test('explains schedules that cannot be worked', () => {
+    expect(validateSchedule(scheduleFromHours({ 1: true, 2: true }, 9, 17))).toEqual([]);
+    expect(validateSchedule({
+      1: [{ start: '09:00', end: '09:00' }],
+      2: [{ start: '09:00', end: '13:00' }, { start: '12:00', end: '17:00' }],
+      3: [{ start: '22:00', end: '07:00' }],
+      4: [{ start: '06:00', end: '14:00' }],
+      5: [{ start: '09:00', end: '' }],
+    }, {
+      2: [{ start: '18:00', end: '19:00', paid: false }],
+    })).toEqual([
+      'Mon: shift 1 starts and ends at 09:00, so it has no hours.',
+      'Tue: two shifts overlap at 12:00.',
+      'Tue: the break at 18:00 is outside the working hours.',
+      'Wed: the overnight shift ends at 07:00, after Thu\'s shift starts at 06:00.',
+      'Fri: shift 1 needs a start and an end time.',
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+// Clocked work sessions, for tracking real working time instead of the
+// schedule. Sessions are stored as millisecond timestamps:
+//
+// sessions = [{ id: string, start: number, end: number | null }]
+//
+// A session with no end is the one currently clocked in. Helpers return new
+// arrays sorted by start time, so they can go straight into state.
+
+let lastId = 0;
+
+// Helper function: a unique id for a new session
+function newSessionId(start) {
+  lastId += 1;
+  return `${start.toString(36)}-${lastId}`;
+}
+
+function sortSessions(sessions) {
+  return [...sessions].sort((a, b) => a.start - b.start);
+}
+
+// The session currently clocked in, or null
+export function getOpenSession(sessions = []) {
+  return sessions.find((session) => session.end === null) || null;
+}
+
+// Starts a session at `now`, unless one is already open
+export function clockIn(sessions, now) {
+  if (getOpenSession(sessions)) {
+    return sessions;
+  }
+  return sortSessions([...sessions, { id: newSessionId(now), start: now, end: null }]);
+}
+
+// Ends the open session at `now`. A session shorter than a minute is dropped
+// as a mis-click.
+export function clockOut(sessions, now) {
+  const open = getOpenSession(sessions);
+  if (!open) {
+    return sessions;
+  }
+  if (now - open.start < 60 * 1000) {
+    return deleteSession(sessions, open.id);
+  }
+  return sessions.map((session) => (session.id === open.id ? { ...session, end: now } : session));
+}
+
+// Why a session can't be saved as given, or null if it can. `id` is the
+// session being edited, which doesn't clash with itself.
+export function validateSession(sessions, { id, start, end }, now = Date.now()) {
+  if (!Number.isFinite(start)) {
+    return 'Enter when the session started.';
+  }
+  if (end !== null && !Number.isFinite(end)) {
+    return 'Enter when the session ended.';
+  }
+  if (end !== null && end <= start) {
+    return 'A session has to end after it starts.';
+  }
+  if (start > now) {
+    return 'A session can\'t start in the future.';
+  }
+  const clash = sessions.find((other) => (
+    other.id !== id
+    && start < (other.end === null ? now : other.end)
+    && other.start < (end === null ? now : end)
+  ));
+  return clash ? 'That overlaps another session.' : null;
+}
+
+// Adds a finished session from `start` to `end`
+export function addSession(sessions, start, end) {
+  return sortSessions([...sessions, { id: newSessionId(start), start, end }]);
+}
+
+export function updateSession(sessions, id, changes) {
+  return sortSessions(sessions.map((session) => (session.id === id ? { ...session, ...changes } : session)));
+}
+
+export function deleteSession(sessions, id) {
+  return sessions.filter((session) => session.id !== id);
+}
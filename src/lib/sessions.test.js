@@ -0,0 +1,78 @@
+import {
+  calculateDailyEarnings,
+  calculateEarnedPerSecond,
+  calculateEarnings,
+  calculateMonthlyTotal,
+  isWithinWorkHours,
+} from './earnings';
+import { scheduleFromHours } from './schedule';
+import { addSession, clockIn, clockOut, deleteSession, getOpenSession, updateSession, validateSession } from './sessions';
+
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+
+const config = {
+  annualSalary: 36000,
+  payBasis: 'hourly',
+  payRate: 20,
+  schedule: scheduleFromHours({ 1: true, 2: true, 3: true, 4: true, 5: true }, 9, 17),
+  tracking: 'sessions',
+  sessions: [],
+};
+
+describe('clocked sessions', () => {
+  test('clocks in and out', () => {
+    let sessions = clockIn([], at(8, 9, 5));
+    expect(getOpenSession(sessions).start).toBe(at(8, 9, 5));
+    expect(clockIn(sessions, at(8, 10))).toBe(sessions);
+    sessions = clockOut(sessions, at(8, 17, 30));
+    expect(sessions).toEqual([{ id: expect.any(String), start: at(8, 9, 5), end: at(8, 17, 30) }]);
+    expect(getOpenSession(sessions)).toBe(null);
+  });
+
+  test('drops a session shorter than a minute', () => {
+    expect(clockOut(clockIn([], at(8, 9)), at(8, 9) + 30 * 1000)).toEqual([]);
+  });
+
+  test('edits, deletes and validates sessions', () => {
+    let sessions = addSession([], at(9, 13), at(9, 17));
+    sessions = addSession(sessions, at(8, 9), at(8, 12));
+    expect(sessions.map((s) => s.start)).toEqual([at(8, 9), at(9, 13)]);
+
+    const [first, second] = sessions;
+    expect(validateSession(sessions, { id: null, start: at(9, 16), end: at(9, 18) }, at(20, 0))).toBe('That overlaps another session.');
+    expect(validateSession(sessions, { id: second.id, start: at(9, 12), end: at(9, 18) }, at(20, 0))).toBe(null);
+    expect(validateSession(sessions, { id: null, start: at(10, 9), end: at(10, 9) }, at(20, 0))).toBe('A session has to end after it starts.');
+    expect(validateSession(sessions, { id: null, start: NaN, end: at(10, 9) }, at(20, 0))).toBe('Enter when the session started.');
+
+    sessions = updateSession(sessions, first.id, { start: at(10, 9) });
+    expect(sessions.map((s) => s.id)).toEqual([second.id, first.id]);
+    expect(deleteSession(sessions, first.id)).toEqual([sessions[0]]);
+  });
+
+  test('earnings follow the clocked time, not the schedule', () => {
+    // Late start and a long evening on Monday 8 January
+    const clocked = { ...config, sessions: [{ id: 'a', start: at(8, 10), end: at(8, 19, 30) }] };
+    expect(calculateDailyEarnings(clocked, at(8, 23))).toBeCloseTo(9.5 * 20);
+    expect(calculateDailyEarnings(clocked, at(8, 12))).toBeCloseTo(2 * 20);
+    expect(isWithinWorkHours(clocked, at(8, 18))).toBe(true);
+    expect(isWithinWorkHours(clocked, at(8, 9, 30))).toBe(false);
+  });
+
+  test('an open session runs up to now', () => {
+    const open = { ...config, sessions: [{ id: 'a', start: at(13, 22), end: null }] };
+    // Clocked in on a Saturday night and still going on Sunday
+    expect(calculateEarnings(open, at(14, 1))).toBeCloseTo(3 * 20);
+    expect(isWithinWorkHours(open, at(14, 1))).toBe(true);
+    expect(calculateEarnedPerSecond(open, at(14, 1))).toBeCloseTo(20 / 3600, 10);
+  });
+
+  test('a salary keeps its rate from the schedule', () => {
+    const salaried = {
+      ...config,
+      payBasis: 'monthly',
+      // January 2024 has 23 scheduled days of 8 hours
+      sessions: [{ id: 'a', start: at(8, 9), end: at(8, 19) }],
+    };
+    expect(calculateMonthlyTotal(salaried, at(15, 0))).toBeCloseTo(3000 / (23 * 8) * 10);
+  });
+});
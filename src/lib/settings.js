@@ -0,0 +1,466 @@
+// The settings store: every setting of every profile, saved as one versioned
+// JSON document under a single localStorage key.
+//
+// store = {
+//   version: 4,                       // SETTINGS_VERSION
+//   profileId,                        // the profile on screen
+//   profiles: [{ id, name, active }], // see lib/profiles
+//   settings: { [profileId]: settings },
+// }
+//
+// settings = {
+//   annualSalary, payBasis, payRate, overtime,          // see lib/earnings
+//   salaryHistory, partTime,                            // lib/salaryhistory, lib/parttime
+//   schedule, breaks, tracking, sessions,               // lib/schedule, lib/sessions
+//   timeZone,                                           // lib/timezone; '' for the device's
+//   holidayRegion, customHolidays,                      // lib/holidays
+//   leave, leaveAllowance, leaveYearStart,              // lib/leave
+//   currency, showTakeHome, taxPercentage, taxRegime,   // lib/currency, lib/tax
+//   taxOptions,                                         // { [regime id]: options }
+//   displayCurrency, exchangeRates,                     // lib/exchange; null for none
+//   cards, payCycle, milestones,                        // lib/periods, lib/paycycle, lib/milestones
+//   scenarios,                                          // lib/scenarios
+// }
+//
+// Older layouts are migrated forward on load:
+//   1. whole-hour start/end times and day toggles (salary-counter-start-hour...)
+//   2. one localStorage key per setting (salary-counter-annual-salary...), with
+//      other profiles at salary-counter-<id>-<setting>
+//   3. currencies saved as one of four symbols ('£') rather than ISO 4217 codes
+// Every value is checked on load. One that can't be used is replaced by its
+// default, with a warning to show rather than a broken page.
+
+import { DEFAULT_CURRENCY, LEGACY_CURRENCY_SYMBOLS, isCurrencyCode } from './currency';
+import { PAY_BASES } from './earnings';
+import { isValidRate } from './exchange';
+import { HOLIDAY_REGIONS } from './holidays';
+import { isValidMilestone } from './milestones';
+import { isValidOvertimeRule } from './overtime';
+import { isValidPartTime } from './parttime';
+import { PAY_CYCLES, DEFAULT_PAY_CYCLE } from './paycycle';
+import { DEFAULT_CARDS, EARNINGS_CARDS } from './periods';
+import { DEFAULT_PROFILES, DEFAULT_PROFILE_ID } from './profiles';
+import { isValidSalaryChange } from './salaryhistory';
+import { SCENARIO_FIELDS, isValidScenario } from './scenarios';
+import { DEFAULT_SCHEDULE, scheduleFromHours } from './schedule';
+import { TAX_REGIMES } from './tax';
+import { isTimeZone } from './timezone';
+
+export const SETTINGS_VERSION = 4;
+
+export const SETTINGS_KEY = 'salary-counter-settings';
+
+const KEY_PREFIX = 'salary-counter-';
+
+export const DEFAULT_SETTINGS = {
+  annualSalary: 30000,
+  payBasis: 'monthly',
+  payRate: 15,
+  salaryHistory: [],
+  partTime: null,
+  overtime: [],
+  schedule: DEFAULT_SCHEDULE,
+  breaks: {},
+  tracking: 'schedule',
+  sessions: [],
+  timeZone: '',
+  holidayRegion: 'none',
+  customHolidays: [],
+  leave: [],
+  leaveAllowance: 25,
+  leaveYearStart: 0,
+  currency: DEFAULT_CURRENCY,
+  showTakeHome: false,
+  taxPercentage: 30,
+  taxRegime: 'simple',
+  taxOptions: {},
+  displayCurrency: null,
+  exchangeRates: [],
+  cards: DEFAULT_CARDS,
+  payCycle: DEFAULT_PAY_CYCLE,
+  milestones: [],
+  scenarios: [],
+};
+
+// Names used in warnings
+const SETTING_LABELS = {
+  annualSalary: 'Annual salary',
+  payBasis: 'Pay basis',
+  payRate: 'Pay rate',
+  salaryHistory: 'Pay changes',
+  partTime: 'Part-time contract',
+  overtime: 'Overtime rules',
+  schedule: 'Work schedule',
+  breaks: 'Breaks',
+  tracking: 'Working time',
+  sessions: 'Timesheet',
+  timeZone: 'Time zone',
+  holidayRegion: 'Public holidays',
+  customHolidays: 'Custom holidays',
+  leave: 'Annual leave',
+  leaveAllowance: 'Leave allowance',
+  leaveYearStart: 'Leave year start',
+  currency: 'Currency',
+  showTakeHome: 'Take-home',
+  taxPercentage: 'Tax rate',
+  taxRegime: 'Tax calculation',
+  taxOptions: 'Tax options',
+  displayCurrency: 'Second currency',
+  exchangeRates: 'Exchange rates',
+  cards: 'Cards',
+  payCycle: 'Payday',
+  milestones: 'Milestones',
+  scenarios: 'Scenarios',
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isTime = (value) => typeof value === 'string' && /^\d{1,2}:\d{2}$/.test(value);
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Helper function: cleans a weekday map of segments. Unreadable entries are
+// dropped and missing days stay missing. `extra` keeps other fields of an entry.
+function cleanWeek(value, extra = () => ({})) {
+  if (!isObject(value)) return undefined;
+  const week = {};
+  for (let day = 0; day < 7; day++) {
+    if (value[day] === undefined) continue;
+    const entries = Array.isArray(value[day]) ? value[day] : [];
+    week[day] = entries
+      .filter((entry) => isObject(entry) && isTime(entry.start) && isTime(entry.end))
+      .map((entry) => ({ start: entry.start, end: entry.end, ...extra(entry) }));
+  }
+  return week;
+}
+
+// Helper function: cleans a list, keeping the entries `isValid` accepts
+function cleanList(value, isValid) {
+  return Array.isArray(value) ? value.filter((entry) => isObject(entry) && isValid(entry)) : undefined;
+}
+
+// Helper function: the value if `isValid` accepts it
+function check(isValid) {
+  return (value) => (isValid(value) ? value : undefined);
+}
+
+// Helper function: cleans a list of scenarios, dropping any changed setting
+// that couldn't be used
+function cleanScenarios(value) {
+  const scenarios = cleanList(value, isValidScenario);
+  return scenarios && scenarios.map((scenario) => ({
+    ...scenario,
+    changes: Object.fromEntries(Object.entries(scenario.changes)
+      .filter(([field]) => SCENARIO_FIELDS.includes(field))
+      .map(([field, change]) => [field, CLEANERS[field](change)])
+      .filter(([, change]) => change !== undefined)),
+  }));
+}
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Helper function: whether a value suits a tax option of a regime, see lib/tax
+function isTaxOptionValue(option, value) {
+  switch (option.type) {
+    case 'checkbox':
+      return typeof value === 'boolean';
+    case 'select':
+      return typeof value === 'string' && Object.prototype.hasOwnProperty.call(option.choices, value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+        && !(value < option.min) && !(value > option.max);
+    default:
+      return false;
+  }
+}
+
+// Helper function: cleans the options of each known tax regime. An option
+// that can't be used takes its default; unknown regimes and options go.
+function cleanTaxOptions(value) {
+  if (!isObject(value)) return undefined;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([id, options]) => TAX_REGIMES[id] && isObject(options))
+    .map(([id, options]) => [id, Object.fromEntries(TAX_REGIMES[id].options
+      .filter((option) => options[option.id] !== undefined)
+      .map((option) => [
+        option.id,
+        isTaxOptionValue(option, options[option.id]) ? options[option.id] : option.default,
+      ]))]));
+}
+
+// Helper function: cleans a pay cycle of a known type. A payday or anchor that
+// can't be used takes the default's.
+function cleanPayCycle(value) {
+  if (!isObject(value) || !PAY_CYCLES[value.type]) return undefined;
+  const { dayOfMonth } = value;
+  return {
+    type: value.type,
+    dayOfMonth: dayOfMonth === 'last' || (Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)
+      ? dayOfMonth
+      : DEFAULT_PAY_CYCLE.dayOfMonth,
+    anchor: isIsoDate(value.anchor) ? value.anchor : DEFAULT_PAY_CYCLE.anchor,
+  };
+}
+
+// Each setting's cleaner returns a usable version of the value, or undefined
+// when there is nothing to keep
+const CLEANERS = {
+  annualSalary: check(isAmount),
+  payBasis: check((value) => Boolean(PAY_BASES[value])),
+  payRate: check(isAmount),
+  salaryHistory: (value) => cleanList(value, isValidSalaryChange),
+  partTime: check((value) => value === null || isValidPartTime(value)),
+  overtime: (value) => cleanList(value, isValidOvertimeRule),
+  schedule: (value) => cleanWeek(value),
+  breaks: (value) => cleanWeek(value, (entry) => ({ paid: entry.paid === true })),
+  tracking: check((value) => value === 'schedule' || value === 'sessions'),
+  sessions: (value) => cleanList(value, (session) => (
+    typeof session.id === 'string' && session.id !== '' && Number.isFinite(session.start)
+    && (session.end === null || (Number.isFinite(session.end) && session.end >= session.start))
+  )),
+  timeZone: check((value) => value === '' || isTimeZone(value)),
+  holidayRegion: check((value) => Boolean(HOLIDAY_REGIONS[value])),
+  // A holiday without a name is called 'Holiday', as in calendar imports
+  customHolidays: (value) => {
+    const holidays = cleanList(value, (holiday) => isIsoDate(holiday.date));
+    return holidays && holidays.map((holiday) => (
+      typeof holiday.name === 'string' && holiday.name.trim() !== '' ? holiday : { ...holiday, name: 'Holiday' }
+    ));
+  },
+  leave: (value) => cleanList(value, (entry) => isIsoDate(entry.date) && ['full', 'am', 'pm'].includes(entry.part)),
+  leaveAllowance: check(isAmount),
+  leaveYearStart: check((value) => Number.isInteger(value) && value >= 0 && value <= 11),
+  currency: check(isCurrencyCode),
+  showTakeHome: check((value) => typeof value === 'boolean'),
+  taxPercentage: check((value) => isAmount(value) && value <= 100),
+  taxRegime: check((value) => Boolean(TAX_REGIMES[value])),
+  taxOptions: cleanTaxOptions,
+  displayCurrency: check((value) => value === null || isCurrencyCode(value)),
+  exchangeRates: (value) => cleanList(value, isValidRate),
+  cards: (value) => (Array.isArray(value) ? value.filter((id) => Boolean(EARNINGS_CARDS[id])) : undefined),
+  payCycle: cleanPayCycle,
+  milestones: (value) => cleanList(value, isValidMilestone),
+  scenarios: cleanScenarios,
+};
+
+// A profile's settings, every one checked. Missing settings take their
+// defaults quietly; unusable ones take them with a message in `warnings`.
+export function validateSettings(value, warnings = []) {
+  const source = isObject(value) ? value : {};
+  const settings = {};
+  Object.entries(DEFAULT_SETTINGS).forEach(([field, fallback]) => {
+    if (source[field] === undefined) {
+      settings[field] = fallback;
+      return;
+    }
+    const cleaned = CLEANERS[field](source[field]);
+    if (cleaned === undefined) {
+      warnings.push(`${SETTING_LABELS[field]} couldn't be read and was reset.`);
+      settings[field] = fallback;
+    } else {
+      settings[field] = cleaned;
+    }
+  });
+  return settings;
+}
+
+// Helper function: the key a setting had in layout 2
+function getLegacyKey(profileId, setting) {
+  return profileId === DEFAULT_PROFILE_ID
+    ? `${KEY_PREFIX}${setting}`
+    : `${KEY_PREFIX}${profileId}-${setting}`;
+}
+
+// Key names of layout 2, the settings in kebab-case, e.g. 'annual-salary'
+const LEGACY_NAMES = {
+  ...Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map((field) => (
+    [field, field.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)]
+  ))),
+  taxRegime: 'tax-mode',
+};
+
+// Layout 1 to 2: per-day schedules from the whole-hour settings, when the
+// default profile has no schedule of its own yet
+function migrateHoursToSchedule(keys, warnings) {
+  const dayToggles = keys[`${KEY_PREFIX}day-toggles`];
+  const startHour = Number(keys[`${KEY_PREFIX}start-hour`]);
+  const endHour = Number(keys[`${KEY_PREFIX}end-hour`]);
+  if (keys[getLegacyKey(DEFAULT_PROFILE_ID, 'schedule')] !== undefined
+    || (dayToggles === undefined && keys[`${KEY_PREFIX}start-hour`] === undefined && keys[`${KEY_PREFIX}end-hour`] === undefined)) {
+    return keys;
+  }
+  const toggles = isObject(dayToggles) ? dayToggles : { 1: true, 2: true, 3: true, 4: true, 5: true };
+  if (dayToggles !== undefined && !isObject(dayToggles)) {
+    warnings.push("The old working days couldn't be read; Monday to Friday is used.");
+  }
+  return {
+    ...keys,
+    [getLegacyKey(DEFAULT_PROFILE_ID, 'schedule')]: scheduleFromHours(
+      // A day missing from the old toggles was off
+      Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map((day) => [day, toggles[day] === true])),
+      Number.isFinite(startHour) && startHour >= 0 && startHour <= 24 ? startHour : 10,
+      Number.isFinite(endHour) && endHour >= 0 && endHour <= 24 ? endHour : 18
+    ),
+  };
+}
+
+// Layout 2 to 3: gathers the separate keys into a store
+function migrateKeysToStore(keys) {
+  const profiles = Array.isArray(keys[`${KEY_PREFIX}profiles`]) ? keys[`${KEY_PREFIX}profiles`] : DEFAULT_PROFILES;
+  const settings = {};
+  profiles.forEach((profile) => {
+    const profileSettings = {};
+    Object.entries(LEGACY_NAMES).forEach(([field, name]) => {
+      const value = keys[getLegacyKey(profile.id, name)];
+      if (value !== undefined) profileSettings[field] = value;
+    });
+    settings[profile.id] = profileSettings;
+  });
+  return {
+    version: 3,
+    profileId: keys[`${KEY_PREFIX}profile`],
+    profiles,
+    settings,
+  };
+}
+
+// Layout 3 to 4: currency symbols to their codes. Anything else is left for
+// validation to reset.
+function migrateCurrencySymbols(store) {
+  const settings = isObject(store.settings) ? store.settings : {};
+  return {
+    ...store,
+    version: 4,
+    settings: Object.fromEntries(Object.entries(settings).map(([id, profileSettings]) => [
+      id,
+      isObject(profileSettings) && LEGACY_CURRENCY_SYMBOLS[profileSettings.currency]
+        ? { ...profileSettings, currency: LEGACY_CURRENCY_SYMBOLS[profileSettings.currency] }
+        : profileSettings,
+    ])),
+  };
+}
+
+// Each migration takes a document of one version to the next
+const MIGRATIONS = {
+  1: (document, warnings) => ({ version: 2, keys: migrateHoursToSchedule(document.keys, warnings) }),
+  2: (document) => migrateKeysToStore(document.keys),
+  3: (document) => migrateCurrencySymbols(document),
+};
+
+// Brings any saved document up to the current version and checks every value,
+// returning { store, warnings }. Layouts 1 and 2 are given as
+// { version, keys: { [localStorage key]: value } }.
+export function migrateSettings(document, warnings = []) {
+  let current = document;
+  if (!isObject(current) || !Number.isInteger(current.version)
+    || current.version < 1 || current.version > SETTINGS_VERSION
+    || (current.version < 3 && !isObject(current.keys))) {
+    warnings.push("Your saved settings couldn't be read, so the defaults are in use.");
+    current = { version: SETTINGS_VERSION };
+  }
+  while (current.version < SETTINGS_VERSION) {
+    current = MIGRATIONS[current.version](current, warnings);
+  }
+
+  const profiles = cleanList(current.profiles, (profile) => typeof profile.id === 'string' && typeof profile.name === 'string')
+    || [];
+  if (!profiles.some((profile) => profile.id === DEFAULT_PROFILE_ID)) {
+    profiles.unshift(DEFAULT_PROFILES[0]);
+  }
+  const allSettings = isObject(current.settings) ? current.settings : {};
+  const settings = {};
+  profiles.forEach((profile) => {
+    const profileWarnings = [];
+    settings[profile.id] = validateSettings(allSettings[profile.id], profileWarnings);
+    const prefix = profiles.length > 1 ? `${profile.name}: ` : '';
+    profileWarnings.forEach((warning) => warnings.push(`${prefix}${warning}`));
+  });
+
+  return {
+    store: {
+      version: SETTINGS_VERSION,
+      profileId: profiles.some((profile) => profile.id === current.profileId) ? current.profileId : DEFAULT_PROFILE_ID,
+      profiles: profiles.map(({ id, name, active }) => ({ id, name, active: active !== false })),
+      settings,
+    },
+    warnings,
+  };
+}
+
+// Helper function: every salary-counter-* key other than the store, parsed
+function readLegacyKeys(storage) {
+  const keys = {};
+  Object.keys(storage)
+    .filter((key) => key.startsWith(KEY_PREFIX) && key !== SETTINGS_KEY)
+    .forEach((key) => {
+      try {
+        keys[key] = JSON.parse(storage.getItem(key));
+      } catch (error) {
+        // Left out, so the setting takes its default
+      }
+    });
+  return keys;
+}
+
+// Reads the store from localStorage, migrating older layouts. Returns
+// { store, warnings }.
+export function loadSettings(storage = window.localStorage) {
+  const saved = storage.getItem(SETTINGS_KEY);
+  if (saved === null) {
+    return migrateSettings({ version: 1, keys: readLegacyKeys(storage) });
+  }
+  let document;
+  try {
+    document = JSON.parse(saved);
+  } catch (error) {
+    document = null;
+  }
+  return migrateSettings(document);
+}
+
+// Saves the store, and removes the separate keys of older layouts now that
+// the store holds their values
+export function saveSettings(store, storage = window.localStorage) {
+  storage.setItem(SETTINGS_KEY, JSON.stringify(store));
+  Object.keys(storage)
+    .filter((key) => key.startsWith(KEY_PREFIX) && key !== SETTINGS_KEY)
+    .forEach((key) => storage.removeItem(key));
+}
+
+// The settings of a profile, or the defaults for one not saved yet
+export function getProfileSettings(store, profileId) {
+  return store.settings[profileId] || DEFAULT_SETTINGS;
+}
+
+// The store with some of a profile's settings changed
+export function updateSettings(store, profileId, changes) {
+  return {
+    ...store,
+    settings: {
+      ...store.settings,
+      [profileId]: { ...getProfileSettings(store, profileId), ...changes },
+    },
+  };
+}
+
+// The store with a new list of profiles. Settings of removed profiles go, and
+// the profile on screen falls back to the default one if it was removed.
+export function updateProfiles(store, profiles) {
+  const ids = new Set(profiles.map((profile) => profile.id));
+  return {
+    ...store,
+    profiles,
+    profileId: ids.has(store.profileId) ? store.profileId : DEFAULT_PROFILE_ID,
+    settings: Object.fromEntries(Object.entries(store.settings).filter(([id]) => ids.has(id))),
+  };
+}
+
+// What lib/earnings needs from a profile's settings
+export function getEngineConfig(settings) {
+  const {
+    annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion,
+    customHolidays, leave, overtime, tracking, sessions, timeZone,
+  } = settings;
+  return {
+    annualSalary, payBasis, payRate, salaryHistory, schedule, breaks, holidayRegion,
+    customHolidays, leave, overtime, tracking, sessions, timeZone,
+  };
+}
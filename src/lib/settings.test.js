@@ -0,0 +1,166 @@
+import { DEFAULT_SCHEDULE } from './schedule';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_KEY,
+  SETTINGS_VERSION,
+  getProfileSettings,
+  loadSettings,
+  migrateSettings,
+  saveSettings,
+  updateProfiles,
+  updateSettings,
+  validateSettings,
+} from './settings';
+
+beforeEach(() => localStorage.clear());
+
+describe('settings store', () => {
+  test('starts from the defaults', () => {
+    expect(loadSettings()).toEqual({
+      store: {
+        version: SETTINGS_VERSION,
+        profileId: 'default',
+        profiles: [{ id: 'default', name: 'My job', active: true }],
+        settings: { default: DEFAULT_SETTINGS },
+      },
+      warnings: [],
+    });
+  });
+
+  test('migrates one key per setting, profiles included', () => {
+    localStorage.setItem('salary-counter-annual-salary', '45000');
+    localStorage.setItem('salary-counter-tax-mode', '"uk"');
+    localStorage.setItem('salary-counter-profiles', JSON.stringify([
+      { id: 'default', name: 'Day job', active: true },
+      { id: 'p1', name: 'Freelance', active: false },
+    ]));
+    localStorage.setItem('salary-counter-profile', '"p1"');
+    localStorage.setItem('salary-counter-p1-pay-basis', '"hourly"');
+    const { store, warnings } = loadSettings();
+    expect(warnings).toEqual([]);
+    expect(store.profileId).toBe('p1');
+    expect(store.profiles[1]).toEqual({ id: 'p1', name: 'Freelance', active: false });
+    expect(store.settings.default.annualSalary).toBe(45000);
+    expect(store.settings.default.taxRegime).toBe('uk');
+    expect(store.settings.p1.payBasis).toBe('hourly');
+    expect(store.settings.p1.annualSalary).toBe(30000);
+
+    // Saving moves everything into the one key
+    saveSettings(store);
+    expect(Object.keys(localStorage)).toEqual([SETTINGS_KEY]);
+    expect(loadSettings().store).toEqual(store);
+  });
+
+  test('migrates whole-hour start and end times', () => {
+    localStorage.setItem('salary-counter-day-toggles', JSON.stringify({ 1: true, 3: true }));
+    localStorage.setItem('salary-counter-start-hour', '9');
+    localStorage.setItem('salary-counter-end-hour', '"17"');
+    const { schedule } = loadSettings().store.settings.default;
+    // Days missing from the toggles were off
+    expect(schedule[1]).toEqual([{ start: '09:00', end: '17:00' }]);
+    expect(schedule[2]).toEqual([]);
+    expect(schedule[3]).toEqual([{ start: '09:00', end: '17:00' }]);
+  });
+
+  test('resets unusable values with a warning', () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+      version: SETTINGS_VERSION,
+      profileId: 'default',
+      profiles: [{ id: 'default', name: 'My job', active: true }],
+      settings: {
+        default: {
+          annualSalary: '40000',
+          currency: 'XYZ',
+          schedule: { 1: [{ start: '09:00', end: '17:00' }, { start: 'soon' }] },
+          leave: [{ date: '2024-01-10', part: 'full' }, 'bad'],
+          scenarios: [{ id: 's1', name: 'Offer', changes: { annualSalary: 50000, payBasis: 'weekly', currency: 'USD' } }, { id: 2 }],
+        },
+      },
+    }));
+    const { store, warnings } = loadSettings();
+    const settings = store.settings.default;
+    expect(settings.annualSalary).toBe(30000);
+    expect(settings.currency).toBe('GBP');
+    // Lists and schedules keep what can be read
+    expect(settings.schedule[1]).toEqual([{ start: '09:00', end: '17:00' }]);
+    expect(settings.schedule[0]).toBeUndefined();
+    expect(settings.leave).toEqual([{ date: '2024-01-10', part: 'full' }]);
+    expect(settings.scenarios).toEqual([{ id: 's1', name: 'Offer', changes: { annualSalary: 50000 } }]);
+    expect(warnings).toEqual([
+      "Annual salary couldn't be read and was reset.",
+      "Currency couldn't be read and was reset.",
+    ]);
+  });
+
+  test('checks each tax option and pay cycle field', () => {
+    const warnings = [];
+    const settings = validateSettings({
+      taxOptions: {
+        us: { filingStatus: 'married', state: 'atlantis', retirementPercentage: 'lots' },
+        de: { married: 'yes', churchTax: 'none' },
+        mars: { rate: 1 },
+      },
+      payCycle: { type: 'weekly', dayOfMonth: NaN, anchor: 'friday' },
+    }, warnings);
+    expect(settings.taxOptions).toEqual({
+      us: { filingStatus: 'married', state: 'none', retirementPercentage: 0 },
+      de: { married: false, churchTax: 'none' },
+    });
+    expect(settings.payCycle).toEqual({ type: 'weekly', dayOfMonth: 'last', anchor: null });
+    expect(validateSettings({ payCycle: { type: 'monthly', dayOfMonth: 15, anchor: '2024-01-05' } }).payCycle)
+      .toEqual({ type: 'monthly', dayOfMonth: 15, anchor: '2024-01-05' });
+    expect(warnings).toEqual([]);
+  });
+
+  test('keeps only overtime rules, sessions and holidays that can be used', () => {
+    const settings = validateSettings({
+      overtime: [{ type: 'daily' }, { type: 'daily', hours: 8, multiplier: 0.5 }, { type: 'daily', hours: 8, multiplier: 1.5 }],
+      sessions: [
+        { start: 1000, end: 2000 },
+        { id: 'a', start: 3000, end: 2000 },
+        { id: 'b', start: 3000, end: 4000 },
+        { id: 'c', start: 5000, end: null },
+      ],
+      customHolidays: [{ date: '2024-12-24' }, { date: '2024-12-27', name: 'Office closed' }],
+    });
+    expect(settings.overtime).toEqual([{ type: 'daily', hours: 8, multiplier: 1.5 }]);
+    expect(settings.sessions.map((session) => session.id)).toEqual(['b', 'c']);
+    expect(settings.customHolidays).toEqual([
+      { date: '2024-12-24', name: 'Holiday' },
+      { date: '2024-12-27', name: 'Office closed' },
+    ]);
+  });
+
+  test('migrates currency symbols to their codes', () => {
+    const { store, warnings } = migrateSettings({
+      version: 3,
+      profileId: 'default',
+      profiles: [{ id: 'default', name: 'My job', active: true }, { id: 'p1', name: 'Tokyo', active: true }],
+      settings: { default: { currency: '€' }, p1: { currency: '¥' } },
+    });
+    expect(store.version).toBe(SETTINGS_VERSION);
+    expect(store.settings.default.currency).toBe('EUR');
+    expect(store.settings.p1.currency).toBe('JPY');
+    expect(warnings).toEqual([]);
+  });
+
+  test('falls back to the defaults when the store is unreadable', () => {
+    localStorage.setItem(SETTINGS_KEY, '{not json');
+    const { store, warnings } = loadSettings();
+    expect(store.settings.default.schedule).toEqual(DEFAULT_SCHEDULE);
+    expect(warnings).toEqual(["Your saved settings couldn't be read, so the defaults are in use."]);
+    expect(migrateSettings({ version: 99 }).warnings).toHaveLength(1);
+  });
+
+  test('updates settings and profiles', () => {
+    const { store } = loadSettings();
+    const withProfile = updateProfiles(store, [...store.profiles, { id: 'p1', name: 'Second', active: true }]);
+    const changed = updateSettings({ ...withProfile, profileId: 'p1' }, 'p1', { currency: 'USD' });
+    expect(getProfileSettings(changed, 'p1').currency).toBe('USD');
+    expect(getProfileSettings(changed, 'default').currency).toBe('GBP');
+
+    const removed = updateProfiles(changed, store.profiles);
+    expect(removed.profileId).toBe('default');
+    expect(removed.settings.p1).toBeUndefined();
+  });
+});
@@ -0,0 +1,194 @@
+// Share links: the main settings written into URL query parameters, so a link
+// can open the counter with someone else's salary, hours and tax.
+//
+//   ?salary=30000&basis=monthly&currency=GBP
+//   &mon=09:00-12:30,13:30-17:30&mon.breaks=10:30-10:45*   (* marks a paid break)
+//   &tue=09:00-17:30 ...                                    (days not listed are off)
+//   &tz=America/New_York                                    (the hours' time zone, if set)
+//   &tax=uk&tax.studentLoanPlan=plan2&takehome=1
+//
+// `rate` replaces `salary` for the hourly and daily pay bases. Older links may
+// give the currency as a symbol ($ £ € ¥). Reading a link
+// returns the same settings object it was made from, for whichever fields the
+// link has:
+//
+// settings = {
+//   annualSalary, payBasis, payRate, currency, schedule, breaks, timeZone,
+//   showTakeHome, taxRegime, taxOptions,   // options of taxRegime only
+// }
+
+import { LEGACY_CURRENCY_SYMBOLS, isCurrencyCode } from './currency';
+import { PAY_BASES } from './earnings';
+import { DAY_LABELS, parseTime } from './schedule';
+import { TAX_REGIMES, getTaxRegime } from './tax';
+import { isTimeZone } from './timezone';
+
+const DAY_PARAMS = DAY_LABELS.map((label) => label.toLowerCase());
+
+const SHARE_PARAMS = ['salary', 'rate', 'basis', 'currency', 'tz', 'tax', 'takehome', ...DAY_PARAMS];
+
+// Helper function: '09:00-17:00,18:00-20:00' for a list of segments, with a
+// '*' after paid breaks
+function formatSegments(segments = []) {
+  return segments.map((segment) => `${segment.start}-${segment.end}${segment.paid ? '*' : ''}`).join(',');
+}
+
+// Helper function: segments from formatSegments, or null if any is unreadable
+function parseSegments(value) {
+  if (value === '') return [];
+  const segments = value.split(',').map((part) => {
+    const match = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})(\*?)$/.exec(part.trim());
+    if (!match || isNaN(parseTime(match[1])) || isNaN(parseTime(match[2]))) return null;
+    return { start: match[1], end: match[2], paid: match[3] === '*' };
+  });
+  return segments.includes(null) ? null : segments;
+}
+
+// Helper function: whether text is a number a tax option takes, within its
+// range like the settings store requires
+function isOptionNumber(option, value) {
+  const number = Number(value);
+  return value.trim() !== '' && Number.isFinite(number) && !(number < option.min) && !(number > option.max);
+}
+
+// The query string, without the '?', for a share link of `settings`.
+// With includeSalary false the salary and pay rate are left out.
+export function createShareQuery(settings, { includeSalary = true } = {}) {
+  const params = new URLSearchParams();
+  const isRateBasis = settings.payBasis === 'hourly' || settings.payBasis === 'daily';
+  if (includeSalary) {
+    params.set(isRateBasis ? 'rate' : 'salary', isRateBasis ? settings.payRate : settings.annualSalary);
+  }
+  params.set('basis', settings.payBasis);
+  params.set('currency', settings.currency);
+  DAY_PARAMS.forEach((param, day) => {
+    const segments = settings.schedule[day] || [];
+    if (segments.length > 0) {
+      params.set(param, formatSegments(segments));
+    }
+    const breaks = (settings.breaks || {})[day] || [];
+    if (breaks.length > 0) {
+      params.set(`${param}.breaks`, formatSegments(breaks));
+    }
+  });
+  if (settings.timeZone) {
+    params.set('tz', settings.timeZone);
+  }
+  params.set('tax', settings.taxRegime);
+  Object.entries(settings.taxOptions || {}).forEach(([id, value]) => {
+    params.set(`tax.${id}`, value);
+  });
+  if (settings.showTakeHome) {
+    params.set('takehome', '1');
+  }
+  return params.toString();
+}
+
+// Whether a query string carries shared settings
+export function hasShareParams(search) {
+  const params = new URLSearchParams(search);
+  return SHARE_PARAMS.some((param) => params.has(param));
+}
+
+// Reads a share link's query string into { settings, problems }. Values that
+// can't be read are left out of settings, with a message in problems.
+export function parseShareQuery(search) {
+  const params = new URLSearchParams(search);
+  const settings = {};
+  const problems = [];
+
+  const readNumber = (param, field, label) => {
+    if (!params.has(param)) return;
+    const value = Number(params.get(param));
+    if (params.get(param).trim() === '' || !Number.isFinite(value) || value < 0) {
+      problems.push(`The ${label} "${params.get(param)}" isn't a number.`);
+    } else {
+      settings[field] = value;
+    }
+  };
+  readNumber('salary', 'annualSalary', 'salary');
+  readNumber('rate', 'payRate', 'pay rate');
+
+  if (params.has('basis')) {
+    if (PAY_BASES[params.get('basis')]) {
+      settings.payBasis = params.get('basis');
+    } else {
+      problems.push(`Unknown pay basis "${params.get('basis')}".`);
+    }
+  }
+  if (params.has('currency')) {
+    const currency = LEGACY_CURRENCY_SYMBOLS[params.get('currency')] || params.get('currency').toUpperCase();
+    if (isCurrencyCode(currency)) {
+      settings.currency = currency;
+    } else {
+      problems.push(`Unknown currency "${params.get('currency')}".`);
+    }
+  }
+
+  if (DAY_PARAMS.some((param) => params.has(param))) {
+    const schedule = {};
+    const breaks = {};
+    DAY_PARAMS.forEach((param, day) => {
+      const segments = parseSegments(params.get(param) || '');
+      const dayBreaks = parseSegments(params.get(`${param}.breaks`) || '');
+      if (segments === null || dayBreaks === null) {
+        problems.push(`The hours for ${DAY_LABELS[day]} can't be read.`);
+      }
+      schedule[day] = (segments || []).map(({ start, end }) => ({ start, end }));
+      breaks[day] = dayBreaks || [];
+    });
+    settings.schedule = schedule;
+    settings.breaks = breaks;
+  }
+  if (params.has('tz')) {
+    if (isTimeZone(params.get('tz'))) {
+      settings.timeZone = params.get('tz');
+    } else {
+      problems.push(`Unknown time zone "${params.get('tz')}".`);
+    }
+  }
+
+  if (params.has('tax')) {
+    const id = params.get('tax');
+    if (TAX_REGIMES[id]) {
+      settings.taxRegime = id;
+      settings.taxOptions = {};
+      getTaxRegime(id).options.forEach((option) => {
+        const param = `tax.${option.id}`;
+        if (!params.has(param)) return;
+        const value = params.get(param);
+        if (option.type === 'checkbox') {
+          settings.taxOptions[option.id] = value === 'true';
+        } else if (option.type === 'number' && isOptionNumber(option, value)) {
+          settings.taxOptions[option.id] = Number(value);
+        } else if (option.type === 'select' && option.choices[value] !== undefined) {
+          settings.taxOptions[option.id] = value;
+        } else {
+          problems.push(`The tax option ${option.label} "${value}" can't be used.`);
+        }
+      });
+    } else {
+      problems.push(`Unknown tax calculation "${id}".`);
+    }
+  }
+  if (params.has('takehome')) {
+    settings.showTakeHome = params.get('takehome') === '1';
+  }
+
+  return { settings, problems };
+}
+
+// A profile's settings (see lib/settings) with shared settings applied. Its
+// other settings (leave, timesheet, holidays...) stay as they are.
+export function applySharedSettings(settings, shared) {
+  const { taxOptions, ...fields } = shared;
+  const next = { ...settings, ...fields };
+  if (shared.taxRegime === 'simple') {
+    if (taxOptions.taxPercentage !== undefined) {
+      next.taxPercentage = taxOptions.taxPercentage;
+    }
+  } else if (shared.taxRegime) {
+    next.taxOptions = { ...settings.taxOptions, [shared.taxRegime]: taxOptions };
+  }
+  return next;
+}
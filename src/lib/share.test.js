@@ -0,0 +1,90 @@
+import { DEFAULT_SCHEDULE } from './schedule';
+import { DEFAULT_SETTINGS } from './settings';
+import { applySharedSettings, createShareQuery, hasShareParams, parseShareQuery } from './share';
+
+const settings = {
+  annualSalary: 42000,
+  payBasis: 'monthly',
+  payRate: 15,
+  currency: 'GBP',
+  schedule: { ...DEFAULT_SCHEDULE, 5: [{ start: '22:00', end: '06:00' }] },
+  breaks: { 1: [{ start: '12:00', end: '12:30', paid: false }, { start: '15:00', end: '15:15', paid: true }] },
+  timeZone: 'America/New_York',
+  showTakeHome: true,
+  taxRegime: 'uk',
+  taxOptions: { studentLoanPlan: 'plan2', postgraduateLoan: false, pensionPercentage: 5 },
+};
+
+describe('share links', () => {
+  test('round-trips the shared settings', () => {
+    // Only the pay that matches the basis is shared
+    const { payRate, ...shared } = settings;
+    const query = createShareQuery(settings);
+    expect(query).toContain('salary=42000');
+    expect(query).toContain('mon.breaks=12%3A00-12%3A30%2C15%3A00-15%3A15*');
+    expect(hasShareParams(`?${query}`)).toBe(true);
+    expect(parseShareQuery(`?${query}`)).toEqual({
+      settings: {
+        ...shared,
+        breaks: { 0: [], 1: settings.breaks[1], 2: [], 3: [], 4: [], 5: [], 6: [] },
+      },
+      problems: [],
+    });
+  });
+
+  test('carries the schedule\'s time zone', () => {
+    const query = createShareQuery(settings);
+    expect(query).toContain('tz=America%2FNew_York');
+    const next = applySharedSettings({ ...DEFAULT_SETTINGS, timeZone: '' }, parseShareQuery(query).settings);
+    expect(next.timeZone).toBe('America/New_York');
+    // Without a zone the link leaves it out, and the recipient keeps their own
+    expect(createShareQuery({ ...settings, timeZone: '' })).not.toContain('tz=');
+  });
+
+  test('can leave the salary out', () => {
+    const query = createShareQuery({ ...settings, payBasis: 'hourly' }, { includeSalary: false });
+    expect(query).not.toMatch(/salary=|rate=/);
+    expect(parseShareQuery(query).settings.annualSalary).toBeUndefined();
+  });
+
+  test('skips values it cannot read', () => {
+    const { settings: read, problems } = parseShareQuery('?salary=lots&currency=%24&tue=9-5&tz=Mars%2FOlympus&tax=uk&tax.studentLoanPlan=plan9');
+    expect(read.annualSalary).toBeUndefined();
+    // Links from before currency codes used symbols
+    expect(read.currency).toBe('USD');
+    expect(read.schedule[2]).toEqual([]);
+    expect(read.taxOptions).toEqual({});
+    expect(problems).toEqual([
+      'The salary "lots" isn\'t a number.',
+      "The hours for Tue can't be read.",
+      'Unknown time zone "Mars/Olympus".',
+      'The tax option Student Loan "plan9" can\'t be used.',
+    ]);
+    expect(hasShareParams('?utm_source=mail')).toBe(false);
+  });
+
+  test('refuses tax options out of their range', () => {
+    const { settings: read, problems } = parseShareQuery('?tax=simple&tax.taxPercentage=500');
+    expect(read.taxOptions).toEqual({});
+    expect(problems).toEqual(['The tax option Tax Rate (%) "500" can\'t be used.']);
+    expect(parseShareQuery('?tax=uk&tax.pensionPercentage=-5').settings.taxOptions).toEqual({});
+    expect(parseShareQuery('?tax=uk&tax.pensionPercentage=100').settings.taxOptions).toEqual({ pensionPercentage: 100 });
+  });
+
+  test('applies to a profile without touching its other settings', () => {
+    const current = {
+      ...DEFAULT_SETTINGS,
+      annualSalary: 30000,
+      leave: [{ date: '2024-01-10', part: 'full' }],
+      taxOptions: { us: { filingStatus: 'married' } },
+    };
+    const shared = parseShareQuery(createShareQuery(settings, { includeSalary: false })).settings;
+    const next = applySharedSettings(current, shared);
+    expect(next.annualSalary).toBe(30000);
+    expect(next.taxRegime).toBe('uk');
+    expect(next.taxOptions).toEqual({ us: { filingStatus: 'married' }, uk: settings.taxOptions });
+    expect(next.leave).toEqual(current.leave);
+    expect(applySharedSettings(current, parseShareQuery('?tax=simple&tax.taxPercentage=25').settings).taxPercentage)
+      .toBe(25);
+  });
+});
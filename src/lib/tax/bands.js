@@ -0,0 +1,19 @@
+// Shared helpers for progressive tax tables. A band table is a list of
+// { rate, upTo } entries in ascending order, starting from zero; the last
+// band should go up to Infinity.
+
+// The slice of `amount` that falls between `from` and `to`
+export function amountBetween(amount, from, to) {
+  return Math.max(0, Math.min(amount, to) - from);
+}
+
+// Tax due on `amount` under a progressive band table
+export function taxFromBands(amount, bands) {
+  let tax = 0;
+  let lower = 0;
+  for (const band of bands) {
+    tax += amountBetween(amount, lower, band.upTo) * band.rate;
+    lower = band.upTo;
+  }
+  return tax;
+}
@@ -0,0 +1,102 @@
+// Germany, 2025: income tax (§32a EStG), solidarity surcharge, church tax and
+// the employee share of statutory social insurance. Assumes tax class I (or
+// joint assessment for married couples) and statutory health insurance.
+
+const TAX_FREE_ALLOWANCE = 12096;
+// Employee lump sum (Werbungskostenpauschale) plus special expenses lump sum
+const LUMP_SUM_DEDUCTIONS = 1230 + 36;
+
+const SOCIAL_INSURANCE = {
+  pensionRate: 0.093,
+  unemploymentRate: 0.013,
+  // Contribution ceiling for pension and unemployment insurance
+  pensionCeiling: 96600,
+  // General health rate plus half the average additional contribution
+  healthRate: 0.073 + 0.025 / 2,
+  careRate: 0.018,
+  childlessCareSurcharge: 0.006,
+  // Contribution ceiling for health and long-term care insurance
+  healthCeiling: 66150,
+};
+
+const SOLIDARITY = {
+  rate: 0.055,
+  // No surcharge while income tax stays below this (doubled for joint assessment)
+  exemption: 19950,
+  // Above the exemption the surcharge phases in at this share of the excess
+  phaseInRate: 0.119,
+};
+
+export const CHURCH_TAX_RATES = {
+  none: 'None',
+  '8': '8% (Bavaria, Baden-Württemberg)',
+  '9': '9% (other states)',
+};
+
+// Income tax on taxable income under the 2025 tariff for a single person
+export function calculateTariff(taxable) {
+  const x = Math.floor(Math.max(0, taxable));
+  if (x <= TAX_FREE_ALLOWANCE) {
+    return 0;
+  } else if (x <= 17443) {
+    const y = (x - TAX_FREE_ALLOWANCE) / 10000;
+    return Math.floor((932.3 * y + 1400) * y);
+  } else if (x <= 68480) {
+    const z = (x - 17443) / 10000;
+    return Math.floor((176.64 * z + 2397) * z + 1015.13);
+  } else if (x <= 277825) {
+    return Math.floor(0.42 * x - 10911.92);
+  }
+  return Math.floor(0.45 * x - 19246.67);
+}
+
+export const deRegime = {
+  id: 'de',
+  label: 'Germany',
+  currency: 'EUR',
+  options: [
+    { id: 'married', label: 'Married (joint assessment)', type: 'checkbox', default: false },
+    { id: 'churchTax', label: 'Church Tax', type: 'select', choices: CHURCH_TAX_RATES, default: 'none' },
+    { id: 'childless', label: 'Childless (care insurance surcharge)', type: 'checkbox', default: false },
+  ],
+  describe() {
+    return 'German income tax & social insurance (2025)';
+  },
+  calculate(grossAnnual, options) {
+    const pensionBase = Math.min(grossAnnual, SOCIAL_INSURANCE.pensionCeiling);
+    const healthBase = Math.min(grossAnnual, SOCIAL_INSURANCE.healthCeiling);
+    const pension = pensionBase * SOCIAL_INSURANCE.pensionRate;
+    const unemployment = pensionBase * SOCIAL_INSURANCE.unemploymentRate;
+    const health = healthBase * SOCIAL_INSURANCE.healthRate;
+    const care = healthBase * (SOCIAL_INSURANCE.careRate
+      + (options.childless ? SOCIAL_INSURANCE.childlessCareSurcharge : 0));
+
+    // Pension, health and care contributions are deductible as provision expenses
+    const taxable = Math.max(0, grossAnnual - LUMP_SUM_DEDUCTIONS - pension - health - care);
+    // Joint assessment uses income splitting: tax on half the income, doubled
+    const incomeTax = options.married ? 2 * calculateTariff(taxable / 2) : calculateTariff(taxable);
+
+    const exemption = SOLIDARITY.exemption * (options.married ? 2 : 1);
+    const solidarity = incomeTax <= exemption
+      ? 0
+      : Math.min(incomeTax * SOLIDARITY.rate, (incomeTax - exemption) * SOLIDARITY.phaseInRate);
+    const churchRate = options.churchTax === 'none' ? 0 : Number(options.churchTax) / 100;
+    const churchTax = incomeTax * (churchRate || 0);
+
+    const deductions = [
+      { label: 'Income tax', amount: incomeTax },
+      { label: 'Solidarity surcharge', amount: solidarity },
+      { label: 'Church tax', amount: churchTax },
+      { label: 'Pension insurance', amount: pension },
+      { label: 'Unemployment insurance', amount: unemployment },
+      { label: 'Health insurance', amount: health },
+      { label: 'Long-term care insurance', amount: care },
+    ];
+
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - deductions.reduce((sum, d) => sum + d.amount, 0),
+      deductions,
+    };
+  },
+};
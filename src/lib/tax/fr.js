@@ -0,0 +1,68 @@
+// France, 2025 scale: employee social contributions (including CSG/CRDS) and
+// income tax under the quotient familial. Social contributions are an average
+// rate for private-sector employees; the décote and other reductions are ignored.
+
+import { taxFromBands } from './bands';
+
+const INCOME_TAX_BANDS = [
+  { rate: 0, upTo: 11497 },
+  { rate: 0.11, upTo: 29315 },
+  { rate: 0.30, upTo: 83823 },
+  { rate: 0.41, upTo: 180294 },
+  { rate: 0.45, upTo: Infinity },
+];
+
+export const EMPLOYEE_STATUSES = {
+  nonCadre: 'Non-cadre (~22% contributions)',
+  cadre: 'Cadre (~25% contributions)',
+};
+
+const CONTRIBUTION_RATES = {
+  nonCadre: 0.22,
+  cadre: 0.25,
+};
+
+// CSG and CRDS are levied on 98.25% of gross; 2.9 points of them are not tax-deductible
+const NON_DEDUCTIBLE_CSG_RATE = 0.029 * 0.9825;
+
+// The flat 10% allowance for professional expenses is bounded
+const PROFESSIONAL_EXPENSES = { rate: 0.1, min: 504, max: 14426 };
+
+export function calculateIncomeTax(taxable, parts) {
+  const shares = Math.max(1, parts || 1);
+  return shares * taxFromBands(Math.max(0, taxable) / shares, INCOME_TAX_BANDS);
+}
+
+export const frRegime = {
+  id: 'fr',
+  label: 'France',
+  currency: 'EUR',
+  options: [
+    { id: 'status', label: 'Employee Status', type: 'select', choices: EMPLOYEE_STATUSES, default: 'nonCadre' },
+    { id: 'parts', label: 'Household parts (quotient familial)', type: 'number', min: 1, max: 10, step: 0.5, default: 1 },
+  ],
+  describe() {
+    return 'French income tax & social contributions (2025)';
+  },
+  calculate(grossAnnual, options) {
+    const contributions = grossAnnual * (CONTRIBUTION_RATES[options.status] || CONTRIBUTION_RATES.nonCadre);
+
+    const netTaxable = grossAnnual - contributions + grossAnnual * NON_DEDUCTIBLE_CSG_RATE;
+    const expenses = Math.min(
+      PROFESSIONAL_EXPENSES.max,
+      Math.max(PROFESSIONAL_EXPENSES.min, netTaxable * PROFESSIONAL_EXPENSES.rate),
+    );
+    const incomeTax = calculateIncomeTax(netTaxable - expenses, options.parts);
+
+    const deductions = [
+      { label: 'Social contributions (incl. CSG/CRDS)', amount: contributions },
+      { label: 'Income tax', amount: incomeTax },
+    ];
+
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - contributions - incomeTax,
+      deductions,
+    };
+  },
+};
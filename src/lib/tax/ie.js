@@ -0,0 +1,70 @@
+// Ireland, 2025: PAYE income tax with the personal and employee tax credits,
+// Universal Social Charge and Class A1 PRSI.
+
+import { taxFromBands } from './bands';
+
+const INCOME_TAX = {
+  single: { standardRateBand: 44000, credits: 2000 + 2000 },
+  // Married couple or civil partners, one income
+  married: { standardRateBand: 53000, credits: 4000 + 2000 },
+  standardRate: 0.2,
+  higherRate: 0.4,
+};
+
+const USC = {
+  // Income at or below this is exempt from USC altogether
+  exemptionLimit: 13000,
+  bands: [
+    { rate: 0.005, upTo: 12012 },
+    { rate: 0.02, upTo: 27382 },
+    { rate: 0.03, upTo: 70044 },
+    { rate: 0.08, upTo: Infinity },
+  ],
+};
+
+const PRSI = {
+  // Rose to 4.2% in October 2025
+  rate: 0.041,
+  weeklyExemption: 352,
+};
+
+export const ASSESSMENT_STATUSES = {
+  single: 'Single',
+  married: 'Married / civil partnership (one income)',
+};
+
+export const ieRegime = {
+  id: 'ie',
+  label: 'Ireland',
+  currency: 'EUR',
+  options: [
+    { id: 'status', label: 'Tax Status', type: 'select', choices: ASSESSMENT_STATUSES, default: 'single' },
+  ],
+  describe() {
+    return 'Irish PAYE, USC & PRSI (2025)';
+  },
+  calculate(grossAnnual, options) {
+    const status = ASSESSMENT_STATUSES[options.status] ? options.status : 'single';
+    const { standardRateBand, credits } = INCOME_TAX[status];
+
+    const grossTax = taxFromBands(grossAnnual, [
+      { rate: INCOME_TAX.standardRate, upTo: standardRateBand },
+      { rate: INCOME_TAX.higherRate, upTo: Infinity },
+    ]);
+    const incomeTax = Math.max(0, grossTax - credits);
+    const usc = grossAnnual <= USC.exemptionLimit ? 0 : taxFromBands(grossAnnual, USC.bands);
+    const prsi = grossAnnual / 52 <= PRSI.weeklyExemption ? 0 : grossAnnual * PRSI.rate;
+
+    const deductions = [
+      { label: 'Income tax', amount: incomeTax },
+      { label: 'USC', amount: usc },
+      { label: 'PRSI', amount: prsi },
+    ];
+
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - incomeTax - usc - prsi,
+      deductions,
+    };
+  },
+};
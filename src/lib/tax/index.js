@@ -0,0 +1,46 @@
+// Tax regime registry. Each regime turns a gross annual salary into net pay
+// with an itemised list of deductions:
+//
+// regime = {
+//   id, label,
+//   currency,             // ISO 4217 code the regime's thresholds are in, or null
+//   options: [{ id, label, type: 'select' | 'number' | 'checkbox', default, ... }],
+//   describe(options),    // short text shown under the earnings cards
+//   calculate(grossAnnual, options) => { gross, net, deductions: [{ label, amount }] },
+//   taxYearStart,         // optional { month: 0-11, day }, 1 January when missing
+// }
+//
+// To add a country, write a module exporting a regime and list it below.
+
+import { simpleRegime } from './simple';
+import { ukRegime } from './uk';
+import { usRegime } from './us';
+import { deRegime } from './de';
+import { frRegime } from './fr';
+import { ieRegime } from './ie';
+import { jpRegime } from './jp';
+
+export const TAX_REGIMES = {
+  [simpleRegime.id]: simpleRegime,
+  [ukRegime.id]: ukRegime,
+  [usRegime.id]: usRegime,
+  [deRegime.id]: deRegime,
+  [frRegime.id]: frRegime,
+  [ieRegime.id]: ieRegime,
+  [jpRegime.id]: jpRegime,
+};
+
+export function getTaxRegime(id) {
+  return TAX_REGIMES[id] || simpleRegime;
+}
+
+export function getDefaultTaxOptions(regime) {
+  return Object.fromEntries(regime.options.map((option) => [option.id, option.default]));
+}
+
+// Net annual pay and deductions for a gross salary under the given regime.
+// Missing options fall back to the regime's defaults.
+export function calculateTakeHome(regimeId, grossAnnual, options = {}) {
+  const regime = getTaxRegime(regimeId);
+  return regime.calculate(Math.max(0, grossAnnual), { ...getDefaultTaxOptions(regime), ...options });
+}
@@ -0,0 +1,102 @@
+import { calculateTakeHome, getDefaultTaxOptions, getTaxRegime, TAX_REGIMES } from './index';
+import { calculateTariff } from './de';
+
+const sumDeductions = (result) => result.deductions.reduce((sum, d) => sum + d.amount, 0);
+
+describe('tax regimes', () => {
+  test('unknown regimes fall back to the flat rate', () => {
+    expect(getTaxRegime('atlantis').id).toBe('simple');
+    expect(calculateTakeHome('atlantis', 1000).net).toBeCloseTo(700);
+  });
+
+  test('every regime itemises all of its deductions', () => {
+    for (const regime of Object.values(TAX_REGIMES)) {
+      const result = calculateTakeHome(regime.id, 50000);
+      expect(result.gross).toBe(50000);
+      expect(result.net).toBeCloseTo(50000 - sumDeductions(result));
+      expect(result.net).toBeGreaterThan(0);
+      expect(result.net).toBeLessThan(50000);
+      expect(typeof regime.describe(getDefaultTaxOptions(regime))).toBe('string');
+    }
+  });
+
+  test('every regime keeps a zero salary at zero', () => {
+    for (const regime of Object.values(TAX_REGIMES)) {
+      expect(calculateTakeHome(regime.id, 0).net).toBe(0);
+    }
+  });
+
+  test('simple regime applies a flat percentage', () => {
+    expect(calculateTakeHome('simple', 40000, { taxPercentage: 25 }).net).toBe(30000);
+  });
+
+  test('UK regime wraps the PAYE calculation', () => {
+    const result = calculateTakeHome('uk', 30000, { taxYear: '2025-26' });
+    expect(result.net).toBeCloseTo(30000 - 3486 - 1394.4);
+  });
+
+  describe('United States', () => {
+    test('federal income tax and FICA for a single filer', () => {
+      const result = calculateTakeHome('us', 100000, { filingStatus: 'single', state: 'none' });
+      const amount = (label) => result.deductions.find((d) => d.label === label).amount;
+      expect(amount('Federal income tax')).toBeCloseTo(13449);
+      expect(amount('Social Security')).toBeCloseTo(6200);
+      expect(amount('Medicare')).toBeCloseTo(1450);
+      expect(amount('State income tax')).toBe(0);
+    });
+
+    test('caps Social Security at the wage base', () => {
+      const result = calculateTakeHome('us', 500000, { state: 'none' });
+      expect(result.deductions.find((d) => d.label === 'Social Security').amount).toBeCloseTo(176100 * 0.062);
+    });
+
+    test('adds state income tax', () => {
+      const none = calculateTakeHome('us', 100000, { state: 'none' });
+      const california = calculateTakeHome('us', 100000, { state: 'CA' });
+      expect(california.net).toBeLessThan(none.net);
+      expect(california.deductions.map((d) => d.label)).toContain('CA SDI');
+    });
+
+    test('401(k) contributions lower income tax', () => {
+      const without = calculateTakeHome('us', 100000, { state: 'none' });
+      const withRetirement = calculateTakeHome('us', 100000, { state: 'none', retirementPercentage: 10 });
+      const federal = (r) => r.deductions.find((d) => d.label === 'Federal income tax').amount;
+      expect(federal(withRetirement)).toBeCloseTo(federal(without) - 10000 * 0.22);
+    });
+  });
+
+  describe('Germany', () => {
+    test('follows the 2025 income tax tariff', () => {
+      expect(calculateTariff(12096)).toBe(0);
+      expect(calculateTariff(100000)).toBe(31088);
+    });
+
+    test('joint assessment and church tax', () => {
+      const single = calculateTakeHome('de', 80000, { married: false });
+      const married = calculateTakeHome('de', 80000, { married: true });
+      const church = calculateTakeHome('de', 80000, { churchTax: '9' });
+      expect(married.net).toBeGreaterThan(single.net);
+      expect(church.net).toBeLessThan(single.net);
+    });
+  });
+
+  test('France splits income by household parts', () => {
+    const single = calculateTakeHome('fr', 60000, { parts: 1 });
+    const couple = calculateTakeHome('fr', 60000, { parts: 2 });
+    expect(couple.net).toBeGreaterThan(single.net);
+  });
+
+  test('Ireland applies tax credits, USC and PRSI', () => {
+    const result = calculateTakeHome('ie', 50000, { status: 'single' });
+    const amount = (label) => result.deductions.find((d) => d.label === label).amount;
+    expect(amount('Income tax')).toBeCloseTo(7200);
+    expect(amount('USC')).toBeCloseTo(60.06 + 307.4 + 678.54);
+    expect(amount('PRSI')).toBeCloseTo(2050);
+  });
+
+  test('Japan keeps a realistic share of a typical salary', () => {
+    const result = calculateTakeHome('jp', 5000000);
+    expect(result.net / result.gross).toBeGreaterThan(0.7);
+    expect(result.net / result.gross).toBeLessThan(0.85);
+  });
+});
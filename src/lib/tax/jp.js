@@ -0,0 +1,81 @@
+// Japan, 2025: employee social insurance, national income tax (with the 2.1%
+// reconstruction surtax) and resident tax. Uses Tokyo Kyokai Kenpo health
+// insurance rates for an employee under 40 and treats all pay as monthly salary.
+
+import { taxFromBands } from './bands';
+
+const SOCIAL_INSURANCE = {
+  healthRate: 0.04955,
+  // Annualised cap on the standard monthly remuneration
+  healthCeiling: 1390000 * 12,
+  pensionRate: 0.0915,
+  pensionCeiling: 650000 * 12,
+  employmentRate: 0.0055,
+};
+
+const INCOME_TAX_BANDS = [
+  { rate: 0.05, upTo: 1950000 },
+  { rate: 0.10, upTo: 3300000 },
+  { rate: 0.20, upTo: 6950000 },
+  { rate: 0.23, upTo: 9000000 },
+  { rate: 0.33, upTo: 18000000 },
+  { rate: 0.40, upTo: 40000000 },
+  { rate: 0.45, upTo: Infinity },
+];
+
+const RECONSTRUCTION_SURTAX = 0.021;
+const BASIC_DEDUCTION = 580000;
+
+const RESIDENT_TAX = {
+  rate: 0.1,
+  basicDeduction: 430000,
+  perCapitaLevy: 5000,
+};
+
+// Deduction for employment income (給与所得控除)
+export function getEmploymentIncomeDeduction(gross) {
+  if (gross <= 1900000) return Math.min(gross, 650000);
+  if (gross <= 3600000) return gross * 0.3 + 80000;
+  if (gross <= 6600000) return gross * 0.2 + 440000;
+  if (gross <= 8500000) return gross * 0.1 + 1100000;
+  return 1950000;
+}
+
+export const jpRegime = {
+  id: 'jp',
+  label: 'Japan',
+  currency: 'JPY',
+  options: [],
+  describe() {
+    return 'Japanese income tax, resident tax & social insurance (2025)';
+  },
+  calculate(grossAnnual) {
+    const health = Math.min(grossAnnual, SOCIAL_INSURANCE.healthCeiling) * SOCIAL_INSURANCE.healthRate;
+    const pension = Math.min(grossAnnual, SOCIAL_INSURANCE.pensionCeiling) * SOCIAL_INSURANCE.pensionRate;
+    const employment = grossAnnual * SOCIAL_INSURANCE.employmentRate;
+    const socialInsurance = health + pension + employment;
+
+    const employmentIncome = grossAnnual - getEmploymentIncomeDeduction(grossAnnual);
+    const nationalTaxable = Math.max(0, employmentIncome - socialInsurance - BASIC_DEDUCTION);
+    const incomeTax = taxFromBands(nationalTaxable, INCOME_TAX_BANDS) * (1 + RECONSTRUCTION_SURTAX);
+
+    const residentTaxable = Math.max(0, employmentIncome - socialInsurance - RESIDENT_TAX.basicDeduction);
+    const residentTax = residentTaxable > 0
+      ? residentTaxable * RESIDENT_TAX.rate + RESIDENT_TAX.perCapitaLevy
+      : 0;
+
+    const deductions = [
+      { label: 'Income tax', amount: incomeTax },
+      { label: 'Resident tax', amount: residentTax },
+      { label: 'Health insurance', amount: health },
+      { label: 'Pension insurance', amount: pension },
+      { label: 'Employment insurance', amount: employment },
+    ];
+
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - deductions.reduce((sum, d) => sum + d.amount, 0),
+      deductions,
+    };
+  },
+};
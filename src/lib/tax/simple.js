@@ -0,0 +1,32 @@
+// The original take-home mode: one flat percentage off the gross salary.
+
+export const simpleRegime = {
+  id: 'simple',
+  label: 'Simple (flat rate)',
+  currency: null,
+  options: [
+    {
+      id: 'taxPercentage',
+      label: 'Tax Rate (%)',
+      type: 'number',
+      min: 0,
+      max: 100,
+      step: 0.1,
+      default: 30,
+      help: 'Default is 30%. Adjust based on your tax bracket.',
+    },
+  ],
+  describe(options) {
+    return `${options.taxPercentage}% tax deduction`;
+  },
+  calculate(grossAnnual, options) {
+    const tax = grossAnnual * (options.taxPercentage / 100);
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - tax,
+      deductions: [
+        { label: `Tax (${options.taxPercentage}%)`, amount: tax },
+      ],
+    };
+  },
+};
@@ -0,0 +1,226 @@
+// UK take-home pay: income tax (England, Wales & Northern Ireland bands),
+// Class 1 employee National Insurance, student loan repayments and
+// salary-sacrifice pension contributions. Everything is worked out on annual
+// figures; the counter scales live earnings by the resulting net/gross ratio.
+//
+// Add a new entry to TAX_YEARS each April when the rates change.
+
+import { toIsoDate } from '../dates';
+import { amountBetween, taxFromBands } from './bands';
+
+export const TAX_YEARS = {
+  '2023-24': {
+    label: '2023/24',
+    startsOn: '2023-04-06',
+    personalAllowance: 12570,
+    // Allowance is withdrawn at £1 for every £2 of income over this
+    allowanceTaperThreshold: 100000,
+    bands: [
+      { rate: 0.2, upTo: 37700 },
+      { rate: 0.4, upTo: 125140 },
+      { rate: 0.45, upTo: Infinity },
+    ],
+    nationalInsurance: {
+      primaryThreshold: 12570,
+      upperEarningsLimit: 50270,
+      // The 12% main rate was cut to 10% on 6 January 2024; this is the blended annual rate
+      mainRate: 0.115,
+      upperRate: 0.02,
+    },
+    studentLoans: {
+      plan1: { threshold: 22015, rate: 0.09 },
+      plan2: { threshold: 27295, rate: 0.09 },
+      plan4: { threshold: 27660, rate: 0.09 },
+      plan5: { threshold: 25000, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 },
+    },
+  },
+  '2024-25': {
+    label: '2024/25',
+    startsOn: '2024-04-06',
+    personalAllowance: 12570,
+    allowanceTaperThreshold: 100000,
+    bands: [
+      { rate: 0.2, upTo: 37700 },
+      { rate: 0.4, upTo: 125140 },
+      { rate: 0.45, upTo: Infinity },
+    ],
+    nationalInsurance: {
+      primaryThreshold: 12570,
+      upperEarningsLimit: 50270,
+      mainRate: 0.08,
+      upperRate: 0.02,
+    },
+    studentLoans: {
+      plan1: { threshold: 24990, rate: 0.09 },
+      plan2: { threshold: 27295, rate: 0.09 },
+      plan4: { threshold: 31395, rate: 0.09 },
+      plan5: { threshold: 25000, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 },
+    },
+  },
+  '2025-26': {
+    label: '2025/26',
+    startsOn: '2025-04-06',
+    personalAllowance: 12570,
+    allowanceTaperThreshold: 100000,
+    bands: [
+      { rate: 0.2, upTo: 37700 },
+      { rate: 0.4, upTo: 125140 },
+      { rate: 0.45, upTo: Infinity },
+    ],
+    nationalInsurance: {
+      primaryThreshold: 12570,
+      upperEarningsLimit: 50270,
+      mainRate: 0.08,
+      upperRate: 0.02,
+    },
+    studentLoans: {
+      plan1: { threshold: 26065, rate: 0.09 },
+      plan2: { threshold: 28470, rate: 0.09 },
+      plan4: { threshold: 32745, rate: 0.09 },
+      plan5: { threshold: 25000, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 },
+    },
+  },
+  '2026-27': {
+    label: '2026/27',
+    startsOn: '2026-04-06',
+    personalAllowance: 12570,
+    allowanceTaperThreshold: 100000,
+    bands: [
+      { rate: 0.2, upTo: 37700 },
+      { rate: 0.4, upTo: 125140 },
+      { rate: 0.45, upTo: Infinity },
+    ],
+    nationalInsurance: {
+      primaryThreshold: 12570,
+      upperEarningsLimit: 50270,
+      mainRate: 0.08,
+      upperRate: 0.02,
+    },
+    studentLoans: {
+      plan1: { threshold: 26900, rate: 0.09 },
+      plan2: { threshold: 29385, rate: 0.09 },
+      plan4: { threshold: 33795, rate: 0.09 },
+      plan5: { threshold: 25000, rate: 0.09 },
+      postgraduate: { threshold: 21000, rate: 0.06 },
+    },
+  },
+};
+
+export const STUDENT_LOAN_PLANS = {
+  none: 'None',
+  plan1: 'Plan 1',
+  plan2: 'Plan 2',
+  plan4: 'Plan 4 (Scotland)',
+  plan5: 'Plan 5',
+};
+
+// The tax year that contains the given date, falling back to the nearest one we have rates for
+export function getTaxYearForDate(date) {
+  const isoDate = toIsoDate(date);
+  const years = Object.keys(TAX_YEARS).sort();
+  let match = years[0];
+  for (const year of years) {
+    if (TAX_YEARS[year].startsOn <= isoDate) {
+      match = year;
+    }
+  }
+  return match;
+}
+
+export function getPersonalAllowance(income, year) {
+  const excess = Math.max(0, income - year.allowanceTaperThreshold);
+  return Math.max(0, year.personalAllowance - excess / 2);
+}
+
+export function calculateIncomeTax(income, year) {
+  const taxable = Math.max(0, income - getPersonalAllowance(income, year));
+  return taxFromBands(taxable, year.bands);
+}
+
+export function calculateNationalInsurance(income, year) {
+  const ni = year.nationalInsurance;
+  return amountBetween(income, ni.primaryThreshold, ni.upperEarningsLimit) * ni.mainRate
+    + amountBetween(income, ni.upperEarningsLimit, Infinity) * ni.upperRate;
+}
+
+export function calculateStudentLoan(income, plan) {
+  if (!plan) return 0;
+  return amountBetween(income, plan.threshold, Infinity) * plan.rate;
+}
+
+// Annual take-home pay for a gross salary.
+//
+// options = {
+//   taxYear: '2025-26',
+//   studentLoanPlan: 'none' | 'plan1' | 'plan2' | 'plan4' | 'plan5',
+//   postgraduateLoan: boolean,
+//   pensionPercentage: number,  // salary sacrifice, % of gross
+// }
+export function calculateUkTakeHome(grossAnnual, options = {}) {
+  const year = TAX_YEARS[options.taxYear] || TAX_YEARS[getTaxYearForDate(new Date())];
+  const gross = Math.max(0, grossAnnual);
+
+  // Salary sacrifice comes off before tax, NI and student loans are worked out
+  const pensionRate = Math.max(0, Math.min(100, options.pensionPercentage || 0)) / 100;
+  const pension = gross * pensionRate;
+  const income = gross - pension;
+
+  const incomeTax = calculateIncomeTax(income, year);
+  const nationalInsurance = calculateNationalInsurance(income, year);
+  const studentLoan = calculateStudentLoan(income, year.studentLoans[options.studentLoanPlan]);
+  const postgraduateLoan = options.postgraduateLoan
+    ? calculateStudentLoan(income, year.studentLoans.postgraduate)
+    : 0;
+
+  const net = income - incomeTax - nationalInsurance - studentLoan - postgraduateLoan;
+
+  return {
+    gross,
+    pension,
+    incomeTax,
+    nationalInsurance,
+    studentLoan,
+    postgraduateLoan,
+    net,
+  };
+}
+
+export const ukRegime = {
+  id: 'uk',
+  label: 'United Kingdom',
+  currency: 'GBP',
+  taxYearStart: { month: 3, day: 6 },
+  options: [
+    {
+      id: 'taxYear',
+      label: 'Tax Year',
+      type: 'select',
+      choices: Object.fromEntries(Object.entries(TAX_YEARS).map(([key, year]) => [key, year.label])),
+      default: getTaxYearForDate(new Date()),
+    },
+    { id: 'studentLoanPlan', label: 'Student Loan', type: 'select', choices: STUDENT_LOAN_PLANS, default: 'none' },
+    { id: 'postgraduateLoan', label: 'Postgraduate loan', type: 'checkbox', default: false },
+    { id: 'pensionPercentage', label: 'Pension, salary sacrifice (%)', type: 'number', min: 0, max: 100, step: 0.5, default: 0 },
+  ],
+  describe(options) {
+    const year = TAX_YEARS[options.taxYear];
+    return `UK tax, NI & deductions${year ? ` (${year.label})` : ''}`;
+  },
+  calculate(grossAnnual, options) {
+    const result = calculateUkTakeHome(grossAnnual, options);
+    return {
+      gross: result.gross,
+      net: result.net,
+      deductions: [
+        { label: 'Pension (salary sacrifice)', amount: result.pension },
+        { label: 'Income tax', amount: result.incomeTax },
+        { label: 'National Insurance', amount: result.nationalInsurance },
+        { label: 'Student loan', amount: result.studentLoan },
+        { label: 'Postgraduate loan', amount: result.postgraduateLoan },
+      ],
+    };
+  },
+};
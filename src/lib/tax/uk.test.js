@@ -0,0 +1,65 @@
+import {
+  calculateIncomeTax,
+  calculateUkTakeHome,
+  getPersonalAllowance,
+  getTaxYearForDate,
+  TAX_YEARS,
+} from './uk';
+
+const year = TAX_YEARS['2025-26'];
+
+describe('UK take-home pay', () => {
+  test('picks the tax year that starts on 6 April', () => {
+    expect(getTaxYearForDate(new Date(2025, 3, 5))).toBe('2024-25');
+    expect(getTaxYearForDate(new Date(2025, 3, 6))).toBe('2025-26');
+    expect(getTaxYearForDate(new Date(2020, 0, 1))).toBe('2023-24');
+  });
+
+  test('tapers the personal allowance above £100,000', () => {
+    expect(getPersonalAllowance(100000, year)).toBe(12570);
+    expect(getPersonalAllowance(110000, year)).toBe(7570);
+    expect(getPersonalAllowance(125140, year)).toBe(0);
+    expect(getPersonalAllowance(200000, year)).toBe(0);
+  });
+
+  test('applies basic, higher and additional rate bands', () => {
+    expect(calculateIncomeTax(12570, year)).toBe(0);
+    expect(calculateIncomeTax(30000, year)).toBeCloseTo(3486);
+    expect(calculateIncomeTax(60000, year)).toBeCloseTo(11432);
+    expect(calculateIncomeTax(110000, year)).toBeCloseTo(33432);
+    expect(calculateIncomeTax(150000, year)).toBeCloseTo(53703);
+  });
+
+  test('works out Class 1 National Insurance', () => {
+    expect(calculateUkTakeHome(30000, { taxYear: '2025-26' }).nationalInsurance).toBeCloseTo(1394.4);
+    expect(calculateUkTakeHome(60000, { taxYear: '2025-26' }).nationalInsurance).toBeCloseTo(3210.6);
+  });
+
+  test('deducts student loan and postgraduate loan repayments', () => {
+    const result = calculateUkTakeHome(30000, {
+      taxYear: '2025-26',
+      studentLoanPlan: 'plan2',
+      postgraduateLoan: true,
+    });
+    expect(result.studentLoan).toBeCloseTo(137.7);
+    expect(result.postgraduateLoan).toBeCloseTo(540);
+    expect(result.net).toBeCloseTo(30000 - 3486 - 1394.4 - 137.7 - 540);
+  });
+
+  test('takes salary sacrifice pension off before tax and NI', () => {
+    const result = calculateUkTakeHome(30000, { taxYear: '2025-26', pensionPercentage: 5 });
+    expect(result.pension).toBeCloseTo(1500);
+    expect(result.incomeTax).toBeCloseTo(3186);
+    expect(result.nationalInsurance).toBeCloseTo((28500 - 12570) * 0.08);
+  });
+
+  test('uses the rates of the selected tax year', () => {
+    const older = calculateUkTakeHome(30000, { taxYear: '2023-24' });
+    const newer = calculateUkTakeHome(30000, { taxYear: '2024-25' });
+    expect(older.nationalInsurance).toBeGreaterThan(newer.nationalInsurance);
+  });
+
+  test('pays no deductions on a zero salary', () => {
+    expect(calculateUkTakeHome(0, { taxYear: '2025-26', studentLoanPlan: 'plan1' }).net).toBe(0);
+  });
+});
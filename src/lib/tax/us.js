@@ -0,0 +1,204 @@
+// United States, 2025 tax year: federal income tax, FICA (Social Security and
+// Medicare) and state income tax for a handful of states. Assumes the standard
+// deduction, no credits and no local or city taxes.
+
+import { taxFromBands } from './bands';
+
+const FEDERAL = {
+  standardDeduction: { single: 15750, married: 31500 },
+  brackets: {
+    single: [
+      { rate: 0.10, upTo: 11925 },
+      { rate: 0.12, upTo: 48475 },
+      { rate: 0.22, upTo: 103350 },
+      { rate: 0.24, upTo: 197300 },
+      { rate: 0.32, upTo: 250525 },
+      { rate: 0.35, upTo: 626350 },
+      { rate: 0.37, upTo: Infinity },
+    ],
+    married: [
+      { rate: 0.10, upTo: 23850 },
+      { rate: 0.12, upTo: 96950 },
+      { rate: 0.22, upTo: 206700 },
+      { rate: 0.24, upTo: 394600 },
+      { rate: 0.32, upTo: 501050 },
+      { rate: 0.35, upTo: 751600 },
+      { rate: 0.37, upTo: Infinity },
+    ],
+  },
+};
+
+const FICA = {
+  socialSecurityRate: 0.062,
+  socialSecurityWageBase: 176100,
+  medicareRate: 0.0145,
+  additionalMedicareRate: 0.009,
+  additionalMedicareThreshold: { single: 200000, married: 250000 },
+};
+
+// Each state lists its deduction (standard deduction or personal exemption)
+// and brackets per filing status
+export const STATES = {
+  none: {
+    label: 'No state income tax (TX, FL, WA, NV...)',
+    deduction: { single: 0, married: 0 },
+    brackets: { single: [{ rate: 0, upTo: Infinity }], married: [{ rate: 0, upTo: Infinity }] },
+  },
+  CA: {
+    label: 'California',
+    deduction: { single: 5706, married: 11412 },
+    brackets: {
+      single: [
+        { rate: 0.01, upTo: 11079 },
+        { rate: 0.02, upTo: 26264 },
+        { rate: 0.04, upTo: 41452 },
+        { rate: 0.06, upTo: 57542 },
+        { rate: 0.08, upTo: 72724 },
+        { rate: 0.093, upTo: 371479 },
+        { rate: 0.103, upTo: 445771 },
+        { rate: 0.113, upTo: 742953 },
+        { rate: 0.123, upTo: 1000000 },
+        // Includes the 1% mental health services tax
+        { rate: 0.133, upTo: Infinity },
+      ],
+      married: [
+        { rate: 0.01, upTo: 22158 },
+        { rate: 0.02, upTo: 52528 },
+        { rate: 0.04, upTo: 82904 },
+        { rate: 0.06, upTo: 115084 },
+        { rate: 0.08, upTo: 145448 },
+        { rate: 0.093, upTo: 742958 },
+        { rate: 0.103, upTo: 891542 },
+        { rate: 0.113, upTo: 1000000 },
+        { rate: 0.123, upTo: 1485906 },
+        { rate: 0.133, upTo: Infinity },
+      ],
+    },
+    // State Disability Insurance, withheld from all wages
+    payrollRate: 0.012,
+    payrollLabel: 'CA SDI',
+  },
+  NY: {
+    label: 'New York',
+    deduction: { single: 8000, married: 16050 },
+    brackets: {
+      single: [
+        { rate: 0.04, upTo: 8500 },
+        { rate: 0.045, upTo: 11700 },
+        { rate: 0.0525, upTo: 13900 },
+        { rate: 0.055, upTo: 80650 },
+        { rate: 0.06, upTo: 215400 },
+        { rate: 0.0685, upTo: 1077550 },
+        { rate: 0.0965, upTo: 5000000 },
+        { rate: 0.103, upTo: 25000000 },
+        { rate: 0.109, upTo: Infinity },
+      ],
+      married: [
+        { rate: 0.04, upTo: 17150 },
+        { rate: 0.045, upTo: 23600 },
+        { rate: 0.0525, upTo: 27900 },
+        { rate: 0.055, upTo: 161550 },
+        { rate: 0.06, upTo: 323200 },
+        { rate: 0.0685, upTo: 2155350 },
+        { rate: 0.0965, upTo: 5000000 },
+        { rate: 0.103, upTo: 25000000 },
+        { rate: 0.109, upTo: Infinity },
+      ],
+    },
+  },
+  IL: {
+    label: 'Illinois',
+    deduction: { single: 2850, married: 5700 },
+    brackets: {
+      single: [{ rate: 0.0495, upTo: Infinity }],
+      married: [{ rate: 0.0495, upTo: Infinity }],
+    },
+  },
+  MA: {
+    label: 'Massachusetts',
+    deduction: { single: 4400, married: 8800 },
+    brackets: {
+      // 4% surtax on income over $1,083,150
+      single: [{ rate: 0.05, upTo: 1083150 }, { rate: 0.09, upTo: Infinity }],
+      married: [{ rate: 0.05, upTo: 1083150 }, { rate: 0.09, upTo: Infinity }],
+    },
+  },
+  PA: {
+    label: 'Pennsylvania',
+    deduction: { single: 0, married: 0 },
+    brackets: {
+      single: [{ rate: 0.0307, upTo: Infinity }],
+      married: [{ rate: 0.0307, upTo: Infinity }],
+    },
+    // Pennsylvania taxes 401(k) contributions
+    taxesRetirement: true,
+  },
+};
+
+export const FILING_STATUSES = {
+  single: 'Single',
+  married: 'Married filing jointly',
+};
+
+export function calculateFederalIncomeTax(taxable, filingStatus) {
+  return taxFromBands(Math.max(0, taxable), FEDERAL.brackets[filingStatus]);
+}
+
+export function calculateFica(wages, filingStatus) {
+  const socialSecurity = Math.min(wages, FICA.socialSecurityWageBase) * FICA.socialSecurityRate;
+  const medicare = wages * FICA.medicareRate
+    + Math.max(0, wages - FICA.additionalMedicareThreshold[filingStatus]) * FICA.additionalMedicareRate;
+  return { socialSecurity, medicare };
+}
+
+export const usRegime = {
+  id: 'us',
+  label: 'United States',
+  currency: 'USD',
+  options: [
+    { id: 'filingStatus', label: 'Filing Status', type: 'select', choices: FILING_STATUSES, default: 'single' },
+    {
+      id: 'state',
+      label: 'State',
+      type: 'select',
+      choices: Object.fromEntries(Object.entries(STATES).map(([key, state]) => [key, state.label])),
+      default: 'none',
+    },
+    { id: 'retirementPercentage', label: '401(k) contribution (%)', type: 'number', min: 0, max: 100, step: 0.5, default: 0 },
+  ],
+  describe(options) {
+    const state = STATES[options.state];
+    return `US federal${state && options.state !== 'none' ? `, ${state.label}` : ''} & FICA tax (2025)`;
+  },
+  calculate(grossAnnual, options) {
+    const filingStatus = FILING_STATUSES[options.filingStatus] ? options.filingStatus : 'single';
+    const state = STATES[options.state] || STATES.none;
+
+    // Traditional 401(k) contributions reduce income tax but not FICA
+    const retirement = grossAnnual * Math.max(0, Math.min(100, options.retirementPercentage || 0)) / 100;
+    const wages = grossAnnual - retirement;
+
+    const federalTax = calculateFederalIncomeTax(wages - FEDERAL.standardDeduction[filingStatus], filingStatus);
+    const { socialSecurity, medicare } = calculateFica(grossAnnual, filingStatus);
+    const stateWages = state.taxesRetirement ? grossAnnual : wages;
+    const stateTax = taxFromBands(Math.max(0, stateWages - state.deduction[filingStatus]), state.brackets[filingStatus]);
+    const statePayroll = grossAnnual * (state.payrollRate || 0);
+
+    const deductions = [
+      { label: '401(k)', amount: retirement },
+      { label: 'Federal income tax', amount: federalTax },
+      { label: 'Social Security', amount: socialSecurity },
+      { label: 'Medicare', amount: medicare },
+      { label: 'State income tax', amount: stateTax },
+    ];
+    if (state.payrollRate) {
+      deductions.push({ label: state.payrollLabel, amount: statePayroll });
+    }
+
+    return {
+      gross: grossAnnual,
+      net: grossAnnual - deductions.reduce((sum, d) => sum + d.amount, 0),
+      deductions,
+    };
+  },
+};
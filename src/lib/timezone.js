@@ -0,0 +1,132 @@
+// Time zones for the schedule. Working hours, days and months can be kept in
+// an IANA zone such as 'America/New_York' instead of the device's, for remote
+// contracts or while travelling. A zone of '' means the device's own.
+//
+// Calendar days are still passed around as local-midnight Dates (see
+// lib/dates) that name a date; these helpers convert between those days and
+// instants in a zone, following the zone's own clock changes.
+
+const formatters = new Map();
+
+// Helper function: a cached formatter giving the wall-clock fields in a zone
+function getFormatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// The device's zone, e.g. 'Europe/London'
+export function getDeviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Whether the browser knows the zone
+export function isTimeZone(zone) {
+  if (typeof zone !== 'string' || zone === '') return false;
+  try {
+    getFormatter(zone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Every zone the browser knows, falling back to the device's and UTC
+export function getTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [...new Set([getDeviceTimeZone(), 'UTC'])];
+}
+
+// The wall-clock time of an instant in a zone, as
+// { year, month (0-11), day, hours, minutes, seconds, weekday (0-6) }
+export function getZonedParts(instant, zone) {
+  const fields = {};
+  getFormatter(zone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    fields[type] = value;
+  });
+  return {
+    year: Number(fields.year),
+    month: Number(fields.month) - 1,
+    day: Number(fields.day),
+    hours: Number(fields.hour),
+    minutes: Number(fields.minute),
+    seconds: Number(fields.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(fields.weekday),
+  };
+}
+
+const MS_PER_QUARTER_HOUR = 15 * 60 * 1000;
+// Past this many offsets a zone's cache starts again, to bound its memory
+const MAX_CACHED_OFFSETS = 50000;
+const offsets = new Map();
+
+// Helper function: how far the zone's wall clock is ahead of UTC at an
+// instant, in milliseconds. Clocks change on a quarter hour, so one lookup is
+// cached for each zone and quarter hour.
+function getOffset(instant, zone) {
+  const quarter = Math.floor(instant / MS_PER_QUARTER_HOUR);
+  if (!offsets.has(zone) || offsets.get(zone).size > MAX_CACHED_OFFSETS) {
+    offsets.set(zone, new Map());
+  }
+  const cache = offsets.get(zone);
+  if (!cache.has(quarter)) {
+    const start = quarter * MS_PER_QUARTER_HOUR;
+    const parts = getZonedParts(start, zone);
+    cache.set(quarter, Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds) - start);
+  }
+  return cache.get(quarter);
+}
+
+// The calendar day, as a local-midnight Date, that an instant falls on in the
+// zone
+export function getDayInZone(instant, zone) {
+  const date = new Date(instant);
+  if (!zone) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+  const wall = new Date(date.getTime() + getOffset(date.getTime(), zone));
+  return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+}
+
+const MS_PER_DAY = 24 * 3600 * 1000;
+
+// The instant `minutes` past midnight on calendar day `day` by the zone's
+// clock. Minutes past 24:00 run into the following days. A wall time the
+// clocks skip is moved on by the skipped hour; one they repeat is the first.
+export function getInstantInZone(day, minutes, zone) {
+  if (!zone) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+  }
+  const wall = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+  // Zones change their clocks at most once within a couple of days
+  const before = getOffset(wall - MS_PER_DAY, zone);
+  const after = getOffset(wall + MS_PER_DAY, zone);
+  if (before !== after && getOffset(wall - before, zone) !== before
+    && getOffset(wall - after, zone) === after) {
+    return new Date(wall - after);
+  }
+  return new Date(wall - before);
+}
+
+// 'HH:MM' and the weekday of an instant in the zone, e.g. 'Tue 09:41'
+export function formatZonedTime(instant, zone) {
+  return new Date(instant).toLocaleTimeString([], {
+    timeZone: zone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
@@ -0,0 +1,44 @@
+import { toIsoDate } from './dates';
+import { getDayInZone, getInstantInZone, getZonedParts, isTimeZone } from './timezone';
+
+describe('time zones', () => {
+  test('knows real zones only', () => {
+    expect(isTimeZone('America/New_York')).toBe(true);
+    expect(isTimeZone('Mars/Olympus')).toBe(false);
+    expect(isTimeZone('')).toBe(false);
+  });
+
+  test('reads the wall clock in a zone', () => {
+    const parts = getZonedParts(Date.UTC(2024, 0, 1, 3, 15), 'America/Los_Angeles');
+    expect(parts).toEqual({ year: 2023, month: 11, day: 31, hours: 19, minutes: 15, seconds: 0, weekday: 0 });
+  });
+
+  test('finds the day an instant falls on', () => {
+    expect(toIsoDate(getDayInZone(Date.UTC(2024, 0, 1, 3), 'America/Los_Angeles'))).toBe('2023-12-31');
+    expect(toIsoDate(getDayInZone(Date.UTC(2024, 0, 1, 3), 'Asia/Tokyo'))).toBe('2024-01-01');
+    // Kathmandu is 5:45 ahead, so midnight falls within an hour of UTC
+    expect(toIsoDate(getDayInZone(Date.UTC(2024, 0, 1, 18, 14), 'Asia/Kathmandu'))).toBe('2024-01-01');
+    expect(toIsoDate(getDayInZone(Date.UTC(2024, 0, 1, 18, 15), 'Asia/Kathmandu'))).toBe('2024-01-02');
+  });
+
+  test('turns a wall time on a day into an instant', () => {
+    expect(getInstantInZone(new Date(2024, 0, 15), 9 * 60, 'America/New_York').toISOString())
+      .toBe('2024-01-15T14:00:00.000Z');
+    expect(getInstantInZone(new Date(2024, 6, 15), 9 * 60, 'America/New_York').toISOString())
+      .toBe('2024-07-15T13:00:00.000Z');
+    // Minutes past midnight run into the next day
+    expect(getInstantInZone(new Date(2024, 0, 15), 26 * 60, 'Europe/London').toISOString())
+      .toBe('2024-01-16T02:00:00.000Z');
+  });
+
+  test('moves skipped wall times forward and takes the first of repeated ones', () => {
+    // New York skips 02:00-03:00 on 10 March 2024
+    expect(getInstantInZone(new Date(2024, 2, 10), 150, 'America/New_York').toISOString())
+      .toBe('2024-03-10T07:30:00.000Z');
+    expect(getInstantInZone(new Date(2024, 2, 10), 4 * 60, 'America/New_York').toISOString())
+      .toBe('2024-03-10T08:00:00.000Z');
+    // London repeats 01:00-02:00 on 27 October 2024
+    expect(getInstantInZone(new Date(2024, 9, 27), 90, 'Europe/London').toISOString())
+      .toBe('2024-10-27T00:30:00.000Z');
+  });
+});